@@ -1,4 +1,5 @@
 import axios from 'axios';
+import WebSocket from 'ws';
 
 const REGISTRY_URL = 'http://localhost:3000';
 
@@ -53,6 +54,44 @@ class AgentRegistryClient {
     }
   }
 
+  // Follow registry changes over the /events WebSocket instead of polling.
+  // `filters` takes /events parameters such as { types, tags, status, q }.
+  // Reconnects resume after the last event seen. Returns a stop function.
+  watchEvents(filters = {}, onEvent) {
+    let lastEventId = null;
+    let socket;
+    let stopped = false;
+
+    const connect = () => {
+      const url = new URL('/events', this.baseUrl.replace(/^http/, 'ws'));
+      for (const [name, value] of Object.entries(filters)) {
+        url.searchParams.set(name, [].concat(value).join(','));
+      }
+      if (lastEventId) {
+        url.searchParams.set('cursor', lastEventId);
+      }
+
+      socket = new WebSocket(url);
+      socket.on('message', data => {
+        const event = JSON.parse(data);
+        lastEventId = event.id;
+        onEvent(event);
+      });
+      socket.on('error', error => console.error('Event stream error:', error.message));
+      socket.on('close', () => {
+        if (!stopped) {
+          setTimeout(connect, 1000);
+        }
+      });
+    };
+
+    connect();
+    return () => {
+      stopped = true;
+      socket.close();
+    };
+  }
+
   // Check registry health
   async health() {
     try {
@@ -114,7 +153,9 @@ async function demonstrateClient() {
     });
     console.log(`Found ${geoResults.agents.length} agents near New York:`);
     geoResults.agents.forEach(agent => {
-      const distance = agent.distance ? `${agent.distance.toFixed(2)}km` : 'unknown';
+      const distance = agent.distance != null
+        ? `${agent.distance.toFixed(2)}${geoResults.distanceUnit}`
+        : 'unknown';
       console.log(`  - ${agent.name} (${distance} away)`);
     });
   } catch (error) {
@@ -142,8 +183,8 @@ async function demonstrateClient() {
     console.log('Agent Card:', {
       name: agentCard.name,
       cached: agentCard.cached,
-      endpoints: agentCard.endpoints,
-      examples: agentCard.examples?.length || 0
+      version: agentCard.version,
+      skills: agentCard.skills?.map(skill => skill.name) || []
     });
   } catch (error) {
     console.log('Could not fetch agent card');
@@ -162,6 +203,15 @@ async function demonstrateClient() {
     console.log('Could not list agents');
   }
 
+  // Watch for changes to weather agents
+  console.log('\n📡 Watching weather agent changes for 5 seconds...');
+  const stopWatching = client.watchEvents({ tags: 'weather' }, event => {
+    // stream.reset: events were missed, reload from listAgents()
+    console.log(`  - ${event.type} ${event.agentId || ''}`);
+  });
+  await new Promise(resolve => setTimeout(resolve, 5000));
+  stopWatching();
+
   console.log('\n✨ Demo completed!');
 }
 
@@ -1,10 +1,16 @@
 // Example configuration file
-// Copy this to config.js and modify as needed
+// Copy this to config.js (or point CONFIG_FILE at it) and modify as needed.
+// Omitted settings fall back to defaults; environment variables override it.
 
 export default {
   // Server Configuration
   port: process.env.PORT || 3000,
   
+  // Storage Configuration
+  storage: {
+    backend: process.env.STORAGE_BACKEND || 'elasticsearch' // 'elasticsearch' or 'memory'
+  },
+
   // Elasticsearch Configuration
   elasticsearch: {
     url: process.env.ELASTICSEARCH_URL || 'http://localhost:9200',
@@ -17,24 +23,123 @@ export default {
   cache: {
     ttl: parseInt(process.env.CACHE_TTL) || 300, // 5 minutes
     checkPeriod: parseInt(process.env.CACHE_CHECK_PERIOD) || 60, // 1 minute
-    maxKeys: parseInt(process.env.CACHE_MAX_KEYS) || 1000
+    maxKeys: parseInt(process.env.CACHE_MAX_KEYS) || 1000,
+    maxTtl: 86400, // longest freshness an agent's Cache-Control may ask for
+    staleTtl: 3600, // serve expired cards this long while refreshing them
+    redisUrl: process.env.CACHE_REDIS_URL || '', // e.g. redis://localhost:6379/0 (rediss:// for TLS), shared by all instances
+    keyPrefix: 'agent-registry:',
+    warmInterval: 300, // seconds between card pre-warming runs, 0 to disable
+    warmConcurrency: 5
   },
   
   // API Configuration
   api: {
     rateLimit: {
       windowMs: 15 * 60 * 1000, // 15 minutes
-      max: 100 // limit each IP to 100 requests per windowMs
+      max: 100, // limit each IP or API key to 100 requests per windowMs
+      store: 'memory', // where counters live
+      // Budgets for specific routes (windowMs optional), used instead of max
+      routes: {
+        search: { max: 300 },
+        registry: { max: 30 },
+        agentcard: { max: 100 },
+        cardFetch: { max: 20 }, // outbound card fetches on /agentcard cache misses
+        heartbeat: {} // per owner key; max defaults to 10 per lease period
+      }
     },
+    trustProxy: false, // Express `trust proxy` setting when behind a reverse proxy
     cors: {
       origin: process.env.CORS_ORIGIN || '*',
       credentials: true
-    }
+    },
+    cursorKeepAlive: 60 // seconds a /agents or /search cursor stays usable between pages
   },
   
   // Logging
   logging: {
     level: process.env.LOG_LEVEL || 'info',
     format: process.env.NODE_ENV === 'production' ? 'json' : 'dev'
+  },
+
+  // Authentication
+  auth: {
+    adminApiKey: process.env.ADMIN_API_KEY || '' // may update or delete any agent
+  },
+
+  // Tenants (namespaces) of agents
+  tenants: {
+    // Keys bound to a tenant; such a tenant only admits its keys and the admin
+    keys: [
+      // { tenant: 'staging', key: 'staging-team-secret' }
+    ]
+  },
+
+  // Heartbeat leases (seconds)
+  heartbeat: {
+    leaseTtl: 90, // default lease when an agent does not set one
+    sweepInterval: 30,
+    deregisterAfter: 0 // remove agents this long after lease expiry, 0 = never
+  },
+
+  // Agent card fetching (A2A)
+  agentCard: {
+    // Paths tried in order on the agent's URL
+    paths: ['/.well-known/agent.json', '/.well-known/agent-card.json'],
+    timeout: 5000, // ms
+    contentTypes: ['application/json', 'application/*+json']
+  },
+
+  // Outbound calls (card fetches, health probes, webhook deliveries).
+  // Private, loopback and link-local addresses are refused unless allowlisted.
+  egress: {
+    allowlist: [], // e.g. ['10.0.0.0/8', 'agents.internal', '*.svc.cluster.local']
+    maxResponseBytes: 1048576,
+    maxRedirects: 3 // each redirect target is checked again
+  },
+
+  // Vectors for semantic and hybrid search
+  embeddings: {
+    provider: 'local', // 'local' (no network) or 'http' (OpenAI-compatible endpoint)
+    dims: 256, // local embedder only
+    // url: 'https://api.openai.com/v1/embeddings',
+    // model: 'text-embedding-3-small',
+    // apiKey: '',
+    timeout: 10000, // ms
+    minSimilarity: 0.2, // drop semantic matches below this cosine similarity
+    hybridVectorBoost: 2 // weight of the vector score against BM25 in hybrid mode
+  },
+
+  // Ranking for POST /route
+  routing: {
+    candidates: 50, // search hits considered before ranking
+    latencyTargetMs: 250, // probe latency that scores 0.5
+    verifiedOnly: false, // only route to verified agents unless a request says otherwise
+    // Relative weight of each score component
+    weights: { relevance: 0.45, skills: 0.25, health: 0.2, latency: 0.1 }
+  },
+
+  // Change feed at /events (SSE and WebSocket)
+  events: {
+    bufferSize: 1000, // recent events kept for clients resuming from a cursor
+    keepAlive: 15 // seconds between keep-alive messages
+  },
+
+  // Outbound webhook deliveries
+  webhooks: {
+    timeout: 5000, // ms
+    maxAttempts: 8, // then the delivery becomes a dead letter
+    retryBaseDelay: 10, // seconds before the first retry, doubling each time
+    retryMaxDelay: 3600, // seconds
+    pollInterval: 5, // seconds between checks for due retries
+    concurrency: 5
+  },
+
+  // Active health probing of agent URLs
+  healthProbe: {
+    interval: 60, // seconds
+    timeout: 3000, // ms
+    path: '/health',
+    concurrency: 10,
+    failureThreshold: 1 // consecutive failures before an agent is unhealthy
   }
 }; 
\ No newline at end of file
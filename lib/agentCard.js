@@ -0,0 +1,232 @@
+import crypto from 'crypto';
+import Joi from 'joi';
+import { EgressError } from './egress.js';
+
+// A2A AgentCard schema. Unknown fields are allowed so newer protocol
+// versions still validate on the fields we know about.
+export const skillSchema = Joi.object({
+  id: Joi.string().required(),
+  name: Joi.string().required(),
+  description: Joi.string().required(),
+  tags: Joi.array().items(Joi.string()).required(),
+  examples: Joi.array().items(Joi.string()).optional(),
+  inputModes: Joi.array().items(Joi.string()).optional(),
+  outputModes: Joi.array().items(Joi.string()).optional()
+}).unknown(true);
+
+const capabilitiesSchema = Joi.object({
+  streaming: Joi.boolean().optional(),
+  pushNotifications: Joi.boolean().optional(),
+  stateTransitionHistory: Joi.boolean().optional(),
+  extensions: Joi.array().items(Joi.object({
+    uri: Joi.string().uri().required(),
+    description: Joi.string().optional(),
+    required: Joi.boolean().optional(),
+    params: Joi.object().unknown(true).optional()
+  }).unknown(true)).optional()
+}).unknown(true);
+
+const schemeBase = { description: Joi.string().optional() };
+
+const securitySchemeSchema = Joi.alternatives().conditional('.type', {
+  switch: [
+    {
+      is: 'apiKey',
+      then: Joi.object({
+        type: Joi.string().required(),
+        name: Joi.string().required(),
+        in: Joi.string().valid('query', 'header', 'cookie').required(),
+        ...schemeBase
+      }).unknown(true)
+    },
+    {
+      is: 'http',
+      then: Joi.object({
+        type: Joi.string().required(),
+        scheme: Joi.string().required(),
+        bearerFormat: Joi.string().optional(),
+        ...schemeBase
+      }).unknown(true)
+    },
+    {
+      is: 'oauth2',
+      then: Joi.object({
+        type: Joi.string().required(),
+        flows: Joi.object().min(1).required(),
+        ...schemeBase
+      }).unknown(true)
+    },
+    {
+      is: 'openIdConnect',
+      then: Joi.object({
+        type: Joi.string().required(),
+        openIdConnectUrl: Joi.string().uri().required(),
+        ...schemeBase
+      }).unknown(true)
+    },
+    {
+      is: 'mutualTLS',
+      then: Joi.object({ type: Joi.string().required(), ...schemeBase }).unknown(true)
+    }
+  ],
+  otherwise: Joi.object({
+    type: Joi.string().valid('apiKey', 'http', 'oauth2', 'openIdConnect', 'mutualTLS').required()
+  }).unknown(true)
+});
+
+export const agentCardSchema = Joi.object({
+  protocolVersion: Joi.string().optional(),
+  name: Joi.string().required(),
+  description: Joi.string().required(),
+  url: Joi.string().uri().required(),
+  version: Joi.string().required(),
+  provider: Joi.object({
+    organization: Joi.string().required(),
+    url: Joi.string().uri().required()
+  }).unknown(true).optional(),
+  iconUrl: Joi.string().uri().optional(),
+  documentationUrl: Joi.string().uri().optional(),
+  capabilities: capabilitiesSchema.required(),
+  securitySchemes: Joi.object().pattern(Joi.string(), securitySchemeSchema).optional(),
+  security: Joi.array().items(
+    Joi.object().pattern(Joi.string(), Joi.array().items(Joi.string()))
+  ).optional(),
+  defaultInputModes: Joi.array().items(Joi.string()).min(1).required(),
+  defaultOutputModes: Joi.array().items(Joi.string()).min(1).required(),
+  skills: Joi.array().items(skillSchema).min(1).required(),
+  supportsAuthenticatedExtendedCard: Joi.boolean().optional()
+}).unknown(true);
+
+// Validate a fetched card. Returns { valid, errors: [{ path, message }] }.
+export function validateAgentCard(card) {
+  const { error } = agentCardSchema.validate(card, { abortEarly: false });
+  const errors = (error?.details || []).map(detail => ({
+    path: detail.path.join('.'),
+    message: detail.message
+  }));
+
+  // Security requirements must name declared schemes
+  if (card && typeof card === 'object' && Array.isArray(card.security)) {
+    const declared = Object.keys(card.securitySchemes || {});
+    card.security.forEach((requirement, index) => {
+      for (const scheme of Object.keys(requirement || {})) {
+        if (!declared.includes(scheme)) {
+          errors.push({
+            path: `security.${index}.${scheme}`,
+            message: `"${scheme}" is not declared in securitySchemes`
+          });
+        }
+      }
+    });
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+// Agent document fields indexed from a card's skills. Skills without their
+// own modes inherit the card defaults, so mode filters only look at skills.
+export function skillFields({ skills = [], defaultInputModes = [], defaultOutputModes = [] }) {
+  return {
+    defaultInputModes,
+    defaultOutputModes,
+    skills: skills.map(skill => ({
+      id: skill.id,
+      name: skill.name,
+      description: skill.description,
+      tags: skill.tags || [],
+      examples: skill.examples || [],
+      inputModes: skill.inputModes || defaultInputModes,
+      outputModes: skill.outputModes || defaultOutputModes
+    }))
+  };
+}
+
+// JSON with object keys sorted, so equal documents serialize alike. For
+// JSON data this matches the JSON Canonicalization Scheme (RFC 8785).
+export function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value !== null && typeof value === 'object') {
+    const entries = Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// SHA-256 of a card's contents, independent of key order and formatting
+export function hashCard(card) {
+  return crypto.createHash('sha256').update(canonicalJson(card)).digest('hex');
+}
+
+export class CardFetchError extends Error {
+  constructor(message, attempts) {
+    super(message);
+    this.name = 'CardFetchError';
+    this.attempts = attempts;
+  }
+}
+
+// Caching headers of a card response
+function cacheHeaders(headers) {
+  return {
+    cacheControl: headers['cache-control'] || null,
+    etag: headers.etag || null,
+    lastModified: headers['last-modified'] || null
+  };
+}
+
+// Try each configured card path on the agent's URL until one returns a JSON
+// object. Returns { card, path, url, headers } with the caching headers.
+// Given the `path`, `etag` and `lastModified` of a cached card, that path is
+// asked first whether the card changed; if not, returns { notModified: true,
+// path, url, headers }. Requests go through the `egress` policy. Throws
+// CardFetchError listing attempts.
+export async function fetchAgentCard(baseUrl, { paths, timeout, contentTypes, egress }, cached = null) {
+  const attempts = [];
+  const ordered = cached?.path ? [cached.path, ...paths.filter(path => path !== cached.path)] : paths;
+
+  for (const cardPath of ordered) {
+    const url = `${baseUrl.replace(/\/$/, '')}${cardPath}`;
+    const conditional = cardPath === cached?.path
+      ? {
+          ...(cached.etag && { 'If-None-Match': cached.etag }),
+          ...(cached.lastModified && { 'If-Modified-Since': cached.lastModified })
+        }
+      : {};
+    try {
+      const response = await egress.get(url, {
+        timeout,
+        headers: conditional,
+        validateStatus: status => (status >= 200 && status < 300) || status === 304,
+        contentTypes
+      });
+      if (response.status === 304) {
+        return { notModified: true, path: cardPath, url, headers: cacheHeaders(response.headers) };
+      }
+      if (response.data && typeof response.data === 'object' && !Array.isArray(response.data)) {
+        return { card: response.data, path: cardPath, url, headers: cacheHeaders(response.headers) };
+      }
+      attempts.push({ path: cardPath, error: 'Response is not a JSON object' });
+    } catch (error) {
+      if (error instanceof EgressError) {
+        attempts.push({ path: cardPath, error: error.message, reason: error.reason });
+        // Other paths on a refused host are refused too
+        if (error.reason === 'blocked_scheme' || error.reason === 'blocked_address') {
+          break;
+        }
+        continue;
+      }
+      if (!error.response) {
+        // The agent is unreachable, other paths will not fare better
+        attempts.push({ path: cardPath, error: error.message });
+        break;
+      }
+      attempts.push({ path: cardPath, status: error.response.status });
+    }
+  }
+
+  throw new CardFetchError('No agent card found', attempts);
+}
@@ -0,0 +1,213 @@
+import { parseVersion, sortableVersion } from './version.js';
+import { VersionConflictError } from './storage/index.js';
+
+// Each registered version of an agent is its own document, with id
+// `agentId@version`. Plain `agentId` resolves to the latest stable version,
+// or the latest pre-release when there is no stable one.
+//
+// The versions of an agent are listed in its head, a document of its own
+// stored under the plain agentId: { agentId, ownerKeyHash, latest, versions },
+// where `latest` is the id of the version flagged as such and `versions`
+// holds { id, version, versionSort, prerelease } for each one, newest first.
+// Heads are read in real time, so a write sees the versions written just
+// before it without waiting for a refresh. They are written before the
+// versions and conditionally, so concurrent writes to one agent conflict
+// instead of losing a version, and the first registration claims the agent.
+
+// Versions found by searching for an agent stored without a head
+const MAX_VERSIONS = 100;
+
+// Times the sweeper rereads a head that changed while it was updating it
+const HEAD_ATTEMPTS = 3;
+
+export function agentDocId(agentId, version) {
+  return `${agentId}@${version}`;
+}
+
+// Split a path reference, `agentId` or `agentId@version`
+export function parseAgentRef(ref) {
+  const at = ref.indexOf('@');
+  return at === -1
+    ? { agentId: ref, version: null }
+    : { agentId: ref.slice(0, at), version: ref.slice(at + 1) };
+}
+
+// Sortable version fields stored with every registration
+export function versionFields(version) {
+  const parsed = parseVersion(version);
+  return {
+    versionSort: sortableVersion(parsed),
+    prerelease: parsed.prerelease.length > 0
+  };
+}
+
+function headEntry(id, source) {
+  return {
+    id,
+    version: source.version,
+    versionSort: source.versionSort ?? null,
+    prerelease: source.prerelease ?? null
+  };
+}
+
+// Newest first; missing values last
+function compareSort(a, b) {
+  if (a.versionSort === b.versionSort) return 0;
+  if (a.versionSort === null) return 1;
+  if (b.versionSort === null) return -1;
+  return a.versionSort < b.versionSort ? 1 : -1;
+}
+
+// The head of `agentId`, with the seqNo and primaryTerm it was read at, or
+// null when the agent has never been registered. The head of a deleted
+// agent lists no versions. Agents stored before heads get one built from
+// a search, without a seqNo, which the next write creates.
+export async function readHead(storage, heads, agentId) {
+  const doc = await heads.getDocument(agentId);
+  if (doc) {
+    return { ...doc.source, seqNo: doc.seqNo, primaryTerm: doc.primaryTerm };
+  }
+
+  const result = await storage.search({
+    query: { term: { agentId } },
+    sort: [{ versionSort: { order: 'desc', missing: '_last' } }],
+    _source: { includes: ['version', 'versionSort', 'prerelease', 'latest', 'ownerKeyHash'] },
+    size: MAX_VERSIONS
+  });
+  if (result.hits.length === 0) {
+    return null;
+  }
+  const flagged = result.hits.find(hit => hit.source.latest);
+  return {
+    agentId,
+    ownerKeyHash: (flagged || result.hits[0]).source.ownerKeyHash,
+    latest: flagged?.id ?? null,
+    versions: result.hits.map(hit => headEntry(hit.id, hit.source))
+  };
+}
+
+// Store a head returned by versionOperations. Throws VersionConflictError
+// when it has been written since it was read, or was created meanwhile.
+export function saveHead(heads, { seqNo, primaryTerm, ...head }) {
+  const condition = seqNo === undefined ? { create: true } : { ifSeqNo: seqNo, ifPrimaryTerm: primaryTerm };
+  return heads.put(head.agentId, { ...head, updatedAt: new Date().toISOString() }, condition);
+}
+
+// Latest stable first, then pre-releases, each newest first
+function compareLatest(a, b) {
+  if (a.prerelease !== b.prerelease) {
+    // Stable first; missing values last
+    if (a.prerelease === null) return 1;
+    if (b.prerelease === null) return -1;
+    return a.prerelease ? 1 : -1;
+  }
+  return compareSort(a, b);
+}
+
+// The version plain `agentId` resolves to among head entries
+function pickLatest(versions) {
+  return [...versions].sort(compareLatest)[0] || null;
+}
+
+// The document of a version listed in `head`, or of the version plain
+// `agentId` resolves to. Returns { id, source, seqNo, primaryTerm } or null.
+// Matches versions by precedence, so `v1.5` finds 1.5.0.
+export async function findVersion(storage, head, version = null) {
+  if (!head) {
+    return null;
+  }
+  if (version) {
+    const parsed = parseVersion(version);
+    const sort = parsed && sortableVersion(parsed);
+    const entry = head.versions.find(candidate => candidate.version === version)
+      || (sort && head.versions.find(candidate => candidate.versionSort === sort));
+    return entry ? storage.getDocument(entry.id) : null;
+  }
+  // The flagged version, unless its write failed after the head was saved
+  const candidates = [...head.versions]
+    .sort((a, b) => (b.id === head.latest) - (a.id === head.latest) || compareLatest(a, b));
+  for (const entry of candidates) {
+    const doc = await storage.getDocument(entry.id);
+    if (doc) {
+      return doc;
+    }
+  }
+  return null;
+}
+
+// Find the document for `agentId`, or for one of its versions
+export async function resolveAgent(storage, heads, { agentId, version }) {
+  return findVersion(storage, await readHead(storage, heads, agentId), version);
+}
+
+// Every registered version of an agent as { id, source }, newest first
+export async function listVersions(storage, heads, agentId) {
+  const head = await readHead(storage, heads, agentId);
+  const docs = await Promise.all((head?.versions || []).map(entry => storage.getDocument(entry.id)));
+  return docs.filter(Boolean).map(({ id, source: { embedding, ...source } }) => ({ id, source }));
+}
+
+// Bulk operations that write `writes` ([{ id, source }]) and delete the
+// `deletes` ids of the agent whose `head` was read, with `latest` flags
+// moved to the version that now takes it. Returns { operations, latest,
+// head }: the writes come first, in order, `latest` is the head entry that
+// will be flagged, or null when none is left, and `head` is the head to
+// save before running the operations.
+export function versionOperations(head, agentId, { writes = [], deletes = [] }) {
+  const written = new Set(writes.map(write => write.id));
+  const removed = new Set(deletes);
+  const kept = (head?.versions || []).filter(entry => !written.has(entry.id) && !removed.has(entry.id));
+  const versions = [...kept, ...writes.map(({ id, source }) => headEntry(id, source))].sort(compareSort);
+  const latest = pickLatest(versions);
+  const flagged = head?.latest ?? null;
+
+  const operations = [
+    ...writes.map(({ id, source }) => ({
+      action: 'index',
+      id,
+      doc: { ...source, latest: id === latest?.id }
+    })),
+    ...kept
+      .filter(entry => (entry.id === flagged) !== (entry.id === latest?.id))
+      .map(entry => ({ action: 'update', id: entry.id, doc: { latest: entry.id === latest.id } })),
+    ...deletes.map(id => ({ action: 'delete', id }))
+  ];
+  // A deleted agent keeps no owner, so anyone may register it again
+  const ownerKeyHash = versions.length
+    ? writes.at(-1)?.source.ownerKeyHash ?? head?.ownerKeyHash
+    : undefined;
+  return {
+    operations,
+    latest,
+    head: {
+      agentId,
+      ...(ownerKeyHash && { ownerKeyHash }),
+      latest: latest?.id ?? null,
+      versions,
+      seqNo: head?.seqNo,
+      primaryTerm: head?.primaryTerm
+    }
+  };
+}
+
+// Drop versions that were deleted from the head of `agentId`, and flag the
+// version that is now the latest. Returns it, or null when none is left.
+export async function dropVersions(storage, heads, agentId, ids) {
+  for (let attempt = 1; ; attempt++) {
+    const head = await readHead(storage, heads, agentId);
+    if (!head) {
+      return null;
+    }
+    const { operations, latest, head: next } = versionOperations(head, agentId, { deletes: ids });
+    try {
+      await saveHead(heads, next);
+    } catch (error) {
+      if (error instanceof VersionConflictError && attempt < HEAD_ATTEMPTS) {
+        continue;
+      }
+      throw error;
+    }
+    await storage.bulk(operations.filter(operation => operation.action !== 'delete'));
+    return latest;
+  }
+}
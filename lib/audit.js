@@ -0,0 +1,195 @@
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import { hashKey } from './auth.js';
+import { logger } from './logger.js';
+import { tenantFilter, tenantOf } from './tenants.js';
+
+// Append-only record of changes to agents. Every registration, update,
+// status change and deletion of an agent version becomes one event that is
+// never updated or removed.
+
+export const AUDIT_ACTIONS = ['registered', 'updated', 'status_changed', 'deleted'];
+export const AUDIT_ROLES = ['admin', 'owner', 'anonymous', 'system'];
+
+// Changes made by the registry itself, such as lease expiry
+export const SYSTEM_ACTOR = { role: 'system', keyId: null };
+
+// Bookkeeping that changes on every write or is derived from other fields
+const IGNORED_FIELDS = new Set([
+  'tenant',
+  'updatedAt',
+  'lastHeartbeat',
+  'leaseExpiresAt',
+  'health',
+  'embedding',
+  'versionSort',
+  'prerelease',
+  'latest',
+  'cardSource',
+  'registrationSignature',
+  'cardSignature',
+  'publisherKids'
+]);
+
+// Reported as changed, without their values
+const REDACTED_FIELDS = new Set(['ownerKeyHash']);
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Flatten nested objects to dotted paths; arrays are compared as a whole
+function flatten(doc, prefix = '', out = {}) {
+  for (const [key, value] of Object.entries(doc || {})) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(value)) {
+      flatten(value, path, out);
+    } else if (value !== undefined) {
+      out[path] = value;
+    }
+  }
+  return out;
+}
+
+// Field-level differences between two states of an agent document, as
+// [{ field, from, to }] sorted by field. Missing fields are null.
+export function diffFields(before, after) {
+  const from = flatten(before);
+  const to = flatten(after);
+  const fields = new Set([...Object.keys(from), ...Object.keys(to)]);
+
+  const changes = [];
+  for (const field of fields) {
+    if (IGNORED_FIELDS.has(field.split('.')[0])) {
+      continue;
+    }
+    if (JSON.stringify(from[field]) === JSON.stringify(to[field])) {
+      continue;
+    }
+    changes.push(REDACTED_FIELDS.has(field)
+      ? { field, redacted: true }
+      : { field, from: from[field] ?? null, to: to[field] ?? null });
+  }
+  return changes.sort((a, b) => a.field.localeCompare(b.field));
+}
+
+// Who made a request. Keys are identified by a prefix of their hash, which
+// matches the start of the agent's stored ownerKeyHash.
+export function requestActor(req) {
+  const { apiKey, isAdmin } = req.auth || {};
+  let role = 'anonymous';
+  if (isAdmin) {
+    role = 'admin';
+  } else if (apiKey) {
+    role = 'owner';
+  }
+  return { role, keyId: apiKey ? hashKey(apiKey).slice(0, 16) : null };
+}
+
+// Emits `recorded` with { event, before, after } for every change recorded
+export class AuditLog extends EventEmitter {
+  constructor(storage) {
+    super();
+    this.storage = storage;
+  }
+
+  init() {
+    return this.storage.init();
+  }
+
+  // Append an event for a change from `before` to `after` (either may be
+  // null). Updates that change nothing are not recorded. Write failures are
+  // logged rather than thrown, since the change itself has already happened.
+  async record({ action, before = null, after = null, actor, ip = null, userAgent = null, reason = null }) {
+    const changes = diffFields(before, after);
+    if (action === 'updated' && changes.length === 0) {
+      return null;
+    }
+
+    const { agentId, version } = after || before;
+    const event = {
+      eventId: crypto.randomUUID(),
+      tenant: tenantOf(after || before),
+      agentId,
+      version,
+      action,
+      timestamp: new Date().toISOString(),
+      actor,
+      ip,
+      userAgent,
+      reason,
+      changedFields: changes.map(change => change.field),
+      changes
+    };
+
+    try {
+      await this.storage.put(event.eventId, event);
+    } catch (error) {
+      logger.error('Audit write error:', error.message);
+    }
+    this.emit('recorded', { event, before, after });
+    return event;
+  }
+
+  // Record a change made by an API request, attributed to its caller
+  recordRequest(req, action, before, after) {
+    return this.record({
+      action,
+      before,
+      after,
+      actor: requestActor(req),
+      ip: req.ip,
+      userAgent: req.get('user-agent') || null
+    });
+  }
+
+  // Events matching the filters, newest first. Without a `tenant`, events of
+  // every tenant are included.
+  async search({
+    tenant, agentId, version, action, role, keyId, ip, field, from, to, page = 1, perPage = 20
+  }) {
+    const filter = [];
+    if (tenant) {
+      filter.push(tenantFilter(tenant));
+    }
+    const terms = {
+      agentId,
+      version,
+      action,
+      'actor.role': role,
+      'actor.keyId': keyId,
+      ip,
+      changedFields: field
+    };
+    for (const [name, value] of Object.entries(terms)) {
+      if (value !== undefined) {
+        filter.push({ term: { [name]: value } });
+      }
+    }
+    if (from || to) {
+      filter.push({
+        range: {
+          timestamp: {
+            ...(from && { gte: new Date(from).toISOString() }),
+            ...(to && { lte: new Date(to).toISOString() })
+          }
+        }
+      });
+    }
+
+    const result = await this.storage.search({
+      query: { bool: { filter } },
+      sort: [{ timestamp: { order: 'desc' } }, { eventId: { order: 'desc' } }],
+      from: (page - 1) * perPage,
+      size: perPage
+    });
+
+    return {
+      events: result.hits.map(hit => hit.source),
+      pagination: {
+        page,
+        perPage,
+        total: result.total,
+        totalPages: Math.ceil(result.total / perPage)
+      }
+    };
+  }
+}
@@ -0,0 +1,76 @@
+import crypto from 'crypto';
+
+// Hash an API key so raw secrets are never stored in the index
+export function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// Generate a new owner secret for a first-time registration
+export function generateOwnerKey() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+// Read the caller's key from `Authorization: Bearer <key>` or `X-API-Key`.
+// Only plain headers are used, so WebSocket upgrade requests work too.
+export function extractApiKey(req) {
+  const header = req.headers.authorization;
+  if (header && header.toLowerCase().startsWith('bearer ')) {
+    return header.slice(7).trim() || null;
+  }
+  return req.headers['x-api-key'] || null;
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+// Build the middleware that attaches the presented credentials to the request.
+// The admin key can override ownership checks on any agent.
+export function createAuthenticator({ adminApiKey }) {
+  const isAdminKey = key => Boolean(adminApiKey && key && safeEqual(key, adminApiKey));
+
+  return function authenticate(req, res, next) {
+    const apiKey = extractApiKey(req);
+    req.auth = {
+      apiKey,
+      isAdmin: isAdminKey(apiKey)
+    };
+    next();
+  };
+}
+
+// Middleware: reject callers that did not present the admin key
+export function requireAdmin(req, res, next) {
+  if (!req.auth?.isAdmin) {
+    return res.status(403).json({ error: 'Admin credentials required' });
+  }
+  next();
+}
+
+// Check the caller against an agent's stored owner key hash.
+// Returns null when allowed, otherwise { status, error } for the response.
+export function checkOwnership(auth, agent) {
+  if (auth?.isAdmin) {
+    return null;
+  }
+  if (!auth?.apiKey) {
+    return { status: 401, error: 'Owner credentials required' };
+  }
+  if (!agent.ownerKeyHash || !safeEqual(hashKey(auth.apiKey), agent.ownerKeyHash)) {
+    return { status: 403, error: 'Credentials do not match agent owner' };
+  }
+  return null;
+}
+
+// Fields that never leave the registry
+const PRIVATE_FIELDS = ['ownerKeyHash'];
+
+export function toPublicAgent(source) {
+  const agent = { ...source };
+  for (const field of PRIVATE_FIELDS) {
+    delete agent[field];
+  }
+  return agent;
+}
@@ -0,0 +1,44 @@
+// Request and response shapes shared by the bulk, import and export routes
+
+// Items accepted by one bulk request; imports are written in batches of this size
+export const MAX_BULK_ITEMS = 1000;
+
+// Content types read as newline-delimited JSON
+export const NDJSON_TYPES = ['application/x-ndjson', 'application/ndjson', 'application/jsonl'];
+
+// Items in a bulk body: a JSON array, or NDJSON text with one item per line
+// (blank lines are skipped). Returns [{ item }] or, for lines that are not
+// JSON, [{ error }], so the other items can still be processed. Returns null
+// for any other body.
+export function parseBulkItems(body) {
+  if (Array.isArray(body)) {
+    return body.map(item => ({ item }));
+  }
+  if (typeof body !== 'string') {
+    return null;
+  }
+  return body.split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map(line => {
+      try {
+        return { item: JSON.parse(line) };
+      } catch (error) {
+        return { error: `Invalid JSON: ${error.message}` };
+      }
+    });
+}
+
+// Response body for per-item results, each with an HTTP-style `status`
+export function bulkResponse(results) {
+  const failed = results.filter(result => result.status >= 400).length;
+  return {
+    errors: failed > 0,
+    summary: {
+      total: results.length,
+      succeeded: results.length - failed,
+      failed
+    },
+    items: results
+  };
+}
@@ -0,0 +1,241 @@
+import { LruCache } from './lru.js';
+import { RedisTier } from './redis.js';
+import { logger } from '../logger.js';
+
+// Agent card cache. Cards live in a bounded in-process LRU tier and, when
+// `redisUrl` is set, in a shared Redis-protocol tier that every registry
+// instance reads, so one instance's fetch serves them all. An entry is fresh
+// for its TTL, then served stale while a background refresh runs, until its
+// stale window closes too.
+
+// Freshness for a fetched card from the agent's Cache-Control header, within
+// the `cache` config bounds. Returns { ttl, staleTtl } in seconds, or null
+// when the agent forbids storing the card.
+export function cachePolicy(cacheControl, { ttl, maxTtl, staleTtl }) {
+  const directives = new Map();
+  for (const part of (cacheControl || '').split(',')) {
+    const [name, value] = part.trim().toLowerCase().split('=');
+    if (name) {
+      directives.set(name, value === undefined ? true : Number(value.replace(/"/g, '')));
+    }
+  }
+  if (directives.has('no-store') || directives.has('private')) {
+    return null;
+  }
+
+  let fresh = ttl;
+  const maxAge = directives.get('s-maxage') ?? directives.get('max-age');
+  if (Number.isFinite(maxAge)) {
+    fresh = maxAge;
+  }
+  if (directives.has('no-cache')) {
+    fresh = 0;
+  }
+
+  // Agents that require revalidation are never served stale
+  let stale = staleTtl;
+  if (directives.has('must-revalidate') || directives.has('no-cache')) {
+    stale = 0;
+  } else if (Number.isFinite(directives.get('stale-while-revalidate'))) {
+    stale = directives.get('stale-while-revalidate');
+  }
+  return { ttl: Math.min(Math.max(fresh, 0), maxTtl), staleTtl: Math.max(stale, 0) };
+}
+
+// Start of the cache keys of a tenant's cards
+export function tenantCachePrefix(tenant) {
+  return `agentcard:${tenant}/`;
+}
+
+// Cache key of the card for an agent reference (`agentId` or
+// `agentId@version`) within a tenant
+export function cardCacheKey(tenant, ref) {
+  return `${tenantCachePrefix(tenant)}${ref}`;
+}
+
+export class CardCache {
+  constructor({ maxKeys, checkPeriod, redisUrl, keyPrefix }) {
+    this.local = new LruCache({ maxEntries: maxKeys });
+    this.shared = redisUrl ? new RedisTier({ url: redisUrl, keyPrefix }) : null;
+    this.checkPeriod = checkPeriod;
+    // Refreshes in progress, so concurrent misses for a card share one fetch
+    this.inFlight = new Map();
+    // Bumped when a key is invalidated, so a refresh that started before the
+    // change does not store an outdated card
+    this.generations = new Map();
+    this.resetStats();
+  }
+
+  resetStats() {
+    this.counters = {
+      hits: 0,
+      staleHits: 0,
+      misses: 0,
+      refreshes: 0,
+      refreshFailures: 0,
+      coalesced: 0,
+      sharedErrors: 0
+    };
+  }
+
+  // Follow other instances' invalidations and drop expired entries
+  async init() {
+    if (this.shared) {
+      await this.shared.onInvalidate(invalidated => {
+        if (Array.isArray(invalidated)) {
+          invalidated.forEach(key => this.local.delete(key));
+        } else if (invalidated?.prefix) {
+          this.local.prune((entry, key) => key.startsWith(invalidated.prefix));
+        } else {
+          this.local.clear();
+        }
+      });
+    }
+    if (this.checkPeriod > 0) {
+      const timer = setInterval(() => {
+        const now = Date.now();
+        this.local.prune(entry => entry.staleUntil <= now);
+      }, this.checkPeriod * 1000);
+      timer.unref();
+    }
+  }
+
+  // Failures of the shared tier degrade to the local tier alone
+  async sharedCall(operation, fallback) {
+    try {
+      return await operation();
+    } catch (error) {
+      this.counters.sharedErrors++;
+      logger.debug('Shared cache error:', error.message);
+      return fallback;
+    }
+  }
+
+  // The entry for a key from either tier, without counting a lookup
+  async peek(key) {
+    let entry = this.local.get(key);
+    if (!entry && this.shared) {
+      entry = await this.sharedCall(() => this.shared.get(key), undefined);
+      if (entry && entry.staleUntil > Date.now()) {
+        this.local.set(key, entry);
+      }
+    }
+    return entry;
+  }
+
+  // Look a key up. Returns { state, entry }, where state is `fresh`, `stale`
+  // (serve it, but refresh) or `miss`. A miss may still return an expired
+  // entry, whose validators let the refresh skip downloading the card.
+  async lookup(key) {
+    const entry = await this.peek(key);
+    const now = Date.now();
+    if (!entry || entry.staleUntil <= now) {
+      this.counters.misses++;
+      return { state: 'miss', entry };
+    }
+    if (now < entry.freshUntil) {
+      this.counters.hits++;
+      return { state: 'fresh', entry };
+    }
+    this.counters.staleHits++;
+    return { state: 'stale', entry };
+  }
+
+  // Refresh a key with `load(previous)`, which resolves to { value, ttl,
+  // staleTtl, meta } to cache `value` (ttl null: return it uncached) or
+  // { failure } otherwise. Concurrent refreshes of a key share one load.
+  refresh(key, load, previous) {
+    if (this.inFlight.has(key)) {
+      this.counters.coalesced++;
+      return this.inFlight.get(key);
+    }
+    const generation = this.generations.get(key);
+    const promise = (async () => {
+      this.counters.refreshes++;
+      const result = await load(previous);
+      if (result.failure) {
+        this.counters.refreshFailures++;
+        return result;
+      }
+      if (result.ttl !== null && this.generations.get(key) === generation) {
+        const now = Date.now();
+        const freshUntil = now + result.ttl * 1000;
+        await this.set(key, {
+          value: result.value,
+          meta: result.meta,
+          storedAt: new Date(now).toISOString(),
+          freshUntil,
+          staleUntil: freshUntil + result.staleTtl * 1000
+        });
+      }
+      return result;
+    })().finally(() => this.inFlight.delete(key));
+    this.inFlight.set(key, promise);
+    return promise;
+  }
+
+  async set(key, entry) {
+    this.local.set(key, entry);
+    if (this.shared) {
+      await this.sharedCall(() => this.shared.set(key, entry, entry.staleUntil - Date.now()));
+    }
+  }
+
+  // Drop keys from both tiers, and from other instances' local tiers
+  async del(keys) {
+    for (const key of keys) {
+      this.local.delete(key);
+      this.generations.set(key, (this.generations.get(key) || 0) + 1);
+    }
+    if (this.shared) {
+      await this.sharedCall(() => this.shared.delete(keys));
+    }
+  }
+
+  // Drop every entry, or only those whose keys start with `prefix`. The
+  // counters are reset with the whole cache.
+  async clear(prefix = '') {
+    if (prefix) {
+      this.local.prune((entry, key) => key.startsWith(prefix));
+    } else {
+      this.local.clear();
+      this.resetStats();
+    }
+    if (this.shared) {
+      await this.sharedCall(() => this.shared.clear(prefix));
+    }
+  }
+
+  // The in-process entries whose keys start with `prefix`, and whether the
+  // shared tier is available; counters cover every key, so they are left out
+  scopedStats(prefix) {
+    let entries = 0;
+    for (const key of this.local.keys()) {
+      if (key.startsWith(prefix)) {
+        entries++;
+      }
+    }
+    return {
+      keys: entries,
+      local: { entries },
+      shared: this.shared ? { enabled: true, connected: this.shared.connected } : { enabled: false }
+    };
+  }
+
+  stats() {
+    const { hits, staleHits, misses } = this.counters;
+    return {
+      ...this.counters,
+      hitRate: (hits + staleHits) / (hits + staleHits + misses) || 0,
+      keys: this.local.size,
+      local: {
+        entries: this.local.size,
+        maxEntries: this.local.maxEntries,
+        evictions: this.local.evictions
+      },
+      shared: this.shared
+        ? { enabled: true, connected: this.shared.connected, keyPrefix: this.shared.keyPrefix }
+        : { enabled: false }
+    };
+  }
+}
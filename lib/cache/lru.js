@@ -0,0 +1,60 @@
+// In-process cache tier: a Map kept in least recently used order, bounded
+// to `maxEntries` (-1 for unlimited)
+export class LruCache {
+  constructor({ maxEntries }) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+    this.evictions = 0;
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (entry !== undefined) {
+      // Re-insert to mark as most recently used
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+    }
+    return entry;
+  }
+
+  set(key, entry) {
+    if (this.maxEntries === 0) {
+      return;
+    }
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    if (this.maxEntries > 0 && this.entries.size > this.maxEntries) {
+      const [oldest] = this.entries.keys();
+      this.entries.delete(oldest);
+      this.evictions++;
+    }
+  }
+
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  // Remove entries for which `expired(entry, key)` holds; returns the count
+  prune(expired) {
+    let pruned = 0;
+    for (const [key, entry] of this.entries) {
+      if (expired(entry, key)) {
+        this.entries.delete(key);
+        pruned++;
+      }
+    }
+    return pruned;
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  keys() {
+    return this.entries.keys();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
@@ -0,0 +1,103 @@
+import Redis from 'ioredis';
+import { logger } from '../logger.js';
+
+// Shared cache tier on a Redis-protocol server (Redis, Valkey, KeyDB)
+
+// Milliseconds to wait for a reply before a command fails
+const COMMAND_TIMEOUT = 1000;
+
+// Milliseconds to wait before reconnecting after a failure
+const RECONNECT_DELAY = 1000;
+
+// A connection that keeps reconnecting in the background
+function connect(url, options) {
+  const client = new Redis(url, { ...options, retryStrategy: () => RECONNECT_DELAY });
+  let established = false;
+  client.on('ready', () => {
+    established = true;
+  });
+  client.on('error', error => {
+    // Retries of a store that stays down are not worth a warning each
+    if (established) {
+      logger.warn(`Cache store connection lost: ${error.message}`);
+    } else {
+      logger.debug(`Cache store unavailable: ${error.message}`);
+    }
+    established = false;
+  });
+  return client;
+}
+
+// Cache entries as JSON strings under `keyPrefix`. Invalidations are
+// published on `${keyPrefix}invalidate` so every instance can drop its own
+// in-process copies.
+export class RedisTier {
+  constructor({ url, keyPrefix }) {
+    // Commands fail at once while the store is unreachable, so the cache
+    // carries on with its local tier instead of waiting
+    this.client = connect(url, {
+      enableOfflineQueue: false,
+      maxRetriesPerRequest: 0,
+      commandTimeout: COMMAND_TIMEOUT
+    });
+    // Subscriptions wait for the store and are restored on reconnect
+    this.subscriber = connect(url, { maxRetriesPerRequest: null });
+    this.keyPrefix = keyPrefix;
+    this.channel = `${keyPrefix}invalidate`;
+  }
+
+  async get(key) {
+    const value = await this.client.get(`${this.keyPrefix}${key}`);
+    return value === null ? undefined : JSON.parse(value);
+  }
+
+  // Store an entry for `ttlMs` milliseconds
+  async set(key, entry, ttlMs) {
+    await this.client.set(`${this.keyPrefix}${key}`, JSON.stringify(entry), 'PX', Math.max(1, Math.ceil(ttlMs)));
+  }
+
+  async delete(keys) {
+    await this.client.del(...keys.map(key => `${this.keyPrefix}${key}`));
+    await this.client.publish(this.channel, JSON.stringify(keys));
+  }
+
+  // Delete every entry under the prefix, or those whose keys start with
+  // `prefix`
+  async clear(prefix = '') {
+    for await (const keys of this.client.scanStream({ match: `${this.keyPrefix}${prefix}*`, count: 500 })) {
+      const entries = keys.filter(key => key !== this.channel);
+      if (entries.length) {
+        await this.client.del(...entries);
+      }
+    }
+    await this.client.publish(this.channel, JSON.stringify(prefix ? { prefix } : null));
+  }
+
+  // Call `handler` with what another instance invalidated: an array of keys,
+  // { prefix } when it cleared the keys starting with it, or null when it
+  // cleared the cache
+  async onInvalidate(handler) {
+    this.subscriber.on('message', (channel, message) => {
+      if (channel !== this.channel) {
+        return;
+      }
+      try {
+        handler(JSON.parse(message));
+      } catch (error) {
+        logger.warn('Invalid cache invalidation message:', error.message);
+      }
+    });
+    // Not awaited, so startup does not wait for an unreachable store
+    this.subscriber.subscribe(this.channel)
+      .catch(error => logger.warn('Cache invalidation subscribe failed:', error.message));
+  }
+
+  get connected() {
+    return this.client.status === 'ready';
+  }
+
+  close() {
+    this.client.disconnect();
+    this.subscriber.disconnect();
+  }
+}
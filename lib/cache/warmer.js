@@ -0,0 +1,96 @@
+import { cardCacheKey } from './index.js';
+import { LATEST_VERSION_FILTER } from '../search.js';
+import { tenantOf } from '../tenants.js';
+import { logger } from '../logger.js';
+
+// Agents read per search when looking for cards to warm
+const WARM_PAGE_SIZE = 100;
+
+// Part of its freshness period a cached card may have left to be warmed
+const NEAR_EXPIRY = 0.1;
+
+// Whether a cached card is missing, expired, or close to expiring
+function isDue(entry, now) {
+  if (!entry) {
+    return true;
+  }
+  const period = entry.freshUntil - Date.parse(entry.storedAt);
+  return entry.freshUntil - now <= period * NEAR_EXPIRY;
+}
+
+// Refresh the cards of active agents that are missing from the cache or
+// close to expiring, so clients rarely wait on an agent. Every tenant's
+// agents are warmed. `load(tenant, ref, previous)` loads a card as for
+// GET /agentcard/:agentId. Each fetch first calls `acquire()`, and the run
+// stops once it resolves to false, so warming keeps to a fetch budget.
+// Returns the number of cards refreshed.
+export async function warmCards(storage, cardCache, load, { warmConcurrency, acquire = async () => true }) {
+  let searchAfter;
+  let warmed = 0;
+  let exhausted = false;
+
+  for (;;) {
+    const result = await storage.search({
+      query: { bool: { filter: [{ term: { status: 'active' } }, LATEST_VERSION_FILTER] } },
+      _source: ['tenant', 'agentId'],
+      // Each tenant has its own latest version of an agentId
+      sort: [{ agentId: 'asc' }, { tenant: 'asc' }],
+      size: WARM_PAGE_SIZE,
+      ...(searchAfter && { search_after: searchAfter })
+    });
+    const hits = result.hits;
+
+    const due = [];
+    const now = Date.now();
+    for (const hit of hits) {
+      const tenant = tenantOf(hit.source);
+      const key = cardCacheKey(tenant, hit.source.agentId);
+      const entry = await cardCache.peek(key);
+      if (isDue(entry, now)) {
+        due.push({ key, tenant, agentId: hit.source.agentId, entry });
+      }
+    }
+
+    for (let i = 0; i < due.length && !exhausted; i += warmConcurrency) {
+      await Promise.all(due.slice(i, i + warmConcurrency).map(async ({ key, tenant, agentId, entry }) => {
+        if (exhausted || !await acquire()) {
+          exhausted = true;
+          return;
+        }
+        const refreshed = await cardCache.refresh(
+          key,
+          previous => load(tenant, { agentId, version: null }, previous),
+          entry
+        );
+        if (!refreshed.failure) {
+          warmed++;
+        }
+      }));
+    }
+
+    if (hits.length < WARM_PAGE_SIZE || exhausted) {
+      return warmed;
+    }
+    searchAfter = hits[hits.length - 1].sort;
+  }
+}
+
+// Warm cards on a fixed interval, never overlapping runs
+export function startCardWarmer(storage, cardCache, load, options) {
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) {
+      return;
+    }
+    running = true;
+    try {
+      await warmCards(storage, cardCache, load, options);
+    } catch (error) {
+      logger.error('Card warming error:', error.message);
+    } finally {
+      running = false;
+    }
+  }, options.warmInterval * 1000);
+  timer.unref();
+  return timer;
+}
@@ -0,0 +1,88 @@
+import crypto from 'crypto';
+import { diffFields } from './audit.js';
+import { tenantFilter } from './tenants.js';
+import { logger } from './logger.js';
+
+// Versions of agent cards. A card is recorded each time a fetch returns
+// contents that differ from the last card recorded for that agent version,
+// with the fields that changed. Agents are identified within their tenant.
+
+export class CardHistory {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  init() {
+    return this.storage.init();
+  }
+
+  // Record `card` (with content hash `hash`) fetched for an agent version
+  // from `source`: { url, path, etag, lastModified }. `previous` is the last
+  // recorded entry, or null for the first card. Write failures are logged
+  // rather than thrown, like audit events.
+  async record({ tenant, agentId, version, card, hash, source, previous = null }) {
+    const changes = diffFields(previous?.card, card);
+    const entry = {
+      entryId: crypto.randomUUID(),
+      tenant,
+      agentId,
+      version,
+      hash,
+      previousHash: previous?.hash || null,
+      fetchedAt: new Date().toISOString(),
+      url: source.url,
+      path: source.path,
+      etag: source.etag,
+      lastModified: source.lastModified,
+      changedFields: changes.map(change => change.field),
+      changes,
+      card
+    };
+
+    try {
+      await this.storage.put(entry.entryId, entry);
+    } catch (error) {
+      logger.error('Card history write error:', error.message);
+    }
+    return entry;
+  }
+
+  // The most recent entry for an agent version, optionally with a given hash
+  async latest(tenant, agentId, version, hash) {
+    const filter = [tenantFilter(tenant), { term: { agentId } }, { term: { version } }];
+    if (hash) {
+      filter.push({ term: { hash } });
+    }
+    const result = await this.storage.search({
+      query: { bool: { filter } },
+      sort: [{ fetchedAt: { order: 'desc' } }, { entryId: { order: 'desc' } }],
+      size: 1
+    });
+    return result.hits[0]?.source || null;
+  }
+
+  // Entries for an agent, newest first. Cards themselves are left out
+  // unless `includeCards` is set.
+  async search({ tenant, agentId, version, includeCards = false, page = 1, perPage = 20 }) {
+    const filter = [tenantFilter(tenant), { term: { agentId } }];
+    if (version !== undefined) {
+      filter.push({ term: { version } });
+    }
+    const result = await this.storage.search({
+      query: { bool: { filter } },
+      sort: [{ fetchedAt: { order: 'desc' } }, { entryId: { order: 'desc' } }],
+      from: (page - 1) * perPage,
+      size: perPage
+    });
+
+    return {
+      entries: result.hits.map(({ source: { card, ...entry } }) => (includeCards ? { ...entry, card } : entry)),
+      pagination: {
+        page,
+        perPage,
+        total: result.total,
+        totalPages: Math.ceil(result.total / perPage)
+      }
+    };
+  }
+}
@@ -0,0 +1,47 @@
+import Joi from 'joi';
+
+// Write consistency for agent changes. Writes return once stored and become
+// searchable on the next index refresh; `?refresh=wait_for` holds the
+// response until they are. Each write of a registration counts up its
+// `revision`, which clients send back in If-Match to update only the
+// registration they read. Heartbeats, health probes and card indexing leave
+// it, so they do not make a client's ETag stale.
+
+const writeQuerySchema = Joi.object({
+  refresh: Joi.string().valid('wait_for').optional()
+}).unknown(true);
+
+// Middleware: validate `?refresh` and set req.writeOptions for storage writes
+export function writeOptions(req, res, next) {
+  const { error, value } = writeQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+  req.writeOptions = value.refresh ? { refresh: value.refresh } : {};
+  next();
+}
+
+// Revision of a stored registration; 0 for those written before revisions
+export const revisionOf = source => source?.revision ?? 0;
+
+// Entity tag for a stored registration, e.g. "3"
+export function documentETag(source) {
+  return `"${revisionOf(source)}"`;
+}
+
+// The precondition in an If-Match header: undefined without one, {} for `*`
+// (the registration must exist), { revision } for an entity tag, or null
+// when the header is malformed
+export function parseIfMatch(header) {
+  if (header === undefined) {
+    return undefined;
+  }
+  if (header.trim() === '*') {
+    return {};
+  }
+  const match = /^"(\d+)"$/.exec(header.trim());
+  if (!match) {
+    return null;
+  }
+  return { revision: Number(match[1]) };
+}
@@ -0,0 +1,331 @@
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import Joi from 'joi';
+import { DEFAULT_TENANT, tenantSchema } from './tenants.js';
+
+// A per-route rate limit budget; windowMs falls back to api.rateLimit.windowMs
+// and a missing `max` leaves the limiter to derive one
+function rateLimitBudget(max) {
+  return Joi.object({
+    windowMs: Joi.number().integer().min(1000).optional(),
+    max: max === undefined ? Joi.number().integer().min(0) : Joi.number().integer().min(0).default(max)
+  }).default();
+}
+
+// Every setting with its default. The structure mirrors config.example.js.
+const configSchema = Joi.object({
+  port: Joi.number().port().default(3000),
+
+  storage: Joi.object({
+    backend: Joi.string().valid('elasticsearch', 'memory').default('elasticsearch')
+  }).default(),
+
+  elasticsearch: Joi.object({
+    url: Joi.string().uri().default('http://localhost:9200'),
+    username: Joi.string().allow('').default('elastic'),
+    password: Joi.string().allow('').default('changeme'),
+    index: Joi.string().lowercase().default('agents')
+  }).default(),
+
+  cache: Joi.object({
+    ttl: Joi.number().integer().min(0).default(300),
+    checkPeriod: Joi.number().integer().min(0).default(60),
+    maxKeys: Joi.number().integer().min(-1).default(1000),
+    // Upper bound on a freshness period an agent's Cache-Control asks for
+    maxTtl: Joi.number().integer().min(0).default(86400),
+    // Seconds an expired card is still served while it is refreshed
+    staleTtl: Joi.number().integer().min(0).default(3600),
+    // Shared tier on a Redis-protocol server; '' keeps cards per instance
+    redisUrl: Joi.string().uri({ scheme: ['redis', 'rediss'] }).allow('').default(''),
+    keyPrefix: Joi.string().default('agent-registry:'),
+    // Seconds between pre-warming runs for active agents' cards (0 disables)
+    warmInterval: Joi.number().integer().min(0).default(300),
+    warmConcurrency: Joi.number().integer().min(1).default(5)
+  }).default(),
+
+  api: Joi.object({
+    rateLimit: Joi.object({
+      windowMs: Joi.number().integer().min(1000).default(15 * 60 * 1000),
+      max: Joi.number().integer().min(0).default(100), // 0 disables
+      store: Joi.string().valid('memory').default('memory'),
+      routes: Joi.object({
+        search: rateLimitBudget(300),
+        registry: rateLimitBudget(30),
+        agentcard: rateLimitBudget(100),
+        // Outbound agent card fetches triggered by /agentcard cache misses
+        cardFetch: rateLimitBudget(20),
+        // Per owner key; sized from heartbeat.leaseTtl when not set
+        heartbeat: rateLimitBudget()
+      }).default()
+    }).default(),
+    // Express `trust proxy`: true, a hop count, or trusted addresses, so
+    // req.ip is the client behind a reverse proxy
+    trustProxy: Joi.alternatives(
+      Joi.boolean(),
+      Joi.number().integer().min(0),
+      Joi.string()
+    ).default(false),
+    cors: Joi.object({
+      origin: Joi.alternatives(
+        Joi.boolean(),
+        Joi.string(),
+        Joi.array().items(Joi.string())
+      ).default('*'),
+      credentials: Joi.boolean().default(true)
+    }).default(),
+    // Seconds a /agents or /search cursor stays usable after its last page
+    cursorKeepAlive: Joi.number().integer().min(1).default(60)
+  }).default(),
+
+  logging: Joi.object({
+    level: Joi.string().valid('error', 'warn', 'info', 'debug').default('info'),
+    format: Joi.string().valid('json', 'dev')
+      .default(process.env.NODE_ENV === 'production' ? 'json' : 'dev')
+  }).default(),
+
+  auth: Joi.object({
+    adminApiKey: Joi.string().allow('').default('')
+  }).default(),
+
+  tenants: Joi.object({
+    // API keys bound to a tenant. Their callers work in that tenant, which
+    // then only admits its own keys and the admin. The default tenant stays
+    // open to everyone.
+    keys: Joi.array().items(Joi.object({
+      tenant: tenantSchema.invalid(DEFAULT_TENANT).required(),
+      key: Joi.string().required()
+    })).unique('key').default([])
+  }).default(),
+
+  heartbeat: Joi.object({
+    leaseTtl: Joi.number().integer().min(5).max(86400).default(90),
+    sweepInterval: Joi.number().integer().min(1).default(30),
+    deregisterAfter: Joi.number().integer().min(0).default(0) // 0 disables
+  }).default(),
+
+  agentCard: Joi.object({
+    // Tried in order on the agent's URL until one returns a card
+    paths: Joi.array().items(Joi.string().pattern(/^\//)).min(1)
+      .default(['/.well-known/agent.json', '/.well-known/agent-card.json']),
+    timeout: Joi.number().integer().min(100).default(5000),
+    // Media types a card response may have; `*` matches within a part
+    contentTypes: Joi.array().items(Joi.string()).min(1).default(['application/json', 'application/*+json'])
+  }).default(),
+
+  // Outbound calls: card fetches, health probes and webhook deliveries
+  egress: Joi.object({
+    // Addresses, CIDR ranges and host names (`*.example.com` for subdomains)
+    // that may be called although they are private, loopback or link-local
+    allowlist: Joi.array().items(Joi.alternatives().try(
+      Joi.string().ip({ cidr: 'optional' }),
+      Joi.string().pattern(/^(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)*$/i)
+    )).default([]),
+    maxResponseBytes: Joi.number().integer().min(1024).default(1024 * 1024),
+    maxRedirects: Joi.number().integer().min(0).default(3)
+  }).default(),
+
+  embeddings: Joi.object({
+    provider: Joi.string().valid('local', 'http').default('local'),
+    // Vector size of the local embedder; http embedders return their model's size
+    dims: Joi.number().integer().min(8).max(4096).default(256),
+    url: Joi.string().uri().when('provider', { is: 'http', then: Joi.required() }),
+    model: Joi.string().optional(),
+    apiKey: Joi.string().allow('').default(''),
+    timeout: Joi.number().integer().min(100).default(10000),
+    // Cosine similarity below which semantic matches are dropped
+    minSimilarity: Joi.number().min(-1).max(1).default(0.2),
+    // Weight of the vector score against BM25 in hybrid search
+    hybridVectorBoost: Joi.number().min(0).default(2)
+  }).default(),
+
+  routing: Joi.object({
+    // Search hits considered before ranking for POST /route
+    candidates: Joi.number().integer().min(1).max(500).default(50),
+    // Probe latency that scores 0.5
+    latencyTargetMs: Joi.number().integer().min(1).default(250),
+    // Default of the verifiedOnly constraint, for registries that only
+    // route to agents signed by a registered publisher
+    verifiedOnly: Joi.boolean().default(false),
+    weights: Joi.object({
+      relevance: Joi.number().min(0).default(0.45),
+      skills: Joi.number().min(0).default(0.25),
+      health: Joi.number().min(0).default(0.2),
+      latency: Joi.number().min(0).default(0.1)
+    }).default()
+  }).default(),
+
+  events: Joi.object({
+    // Recent events kept for clients resuming from a cursor
+    bufferSize: Joi.number().integer().min(1).default(1000),
+    // Seconds between keep-alive messages on open streams
+    keepAlive: Joi.number().integer().min(1).default(15)
+  }).default(),
+
+  webhooks: Joi.object({
+    timeout: Joi.number().integer().min(100).default(5000),
+    // Attempts before a delivery becomes a dead letter
+    maxAttempts: Joi.number().integer().min(1).default(8),
+    // Seconds before the first retry, doubling per attempt up to the maximum
+    retryBaseDelay: Joi.number().integer().min(1).default(10),
+    retryMaxDelay: Joi.number().integer().min(1).default(3600),
+    // Seconds between checks for due retries
+    pollInterval: Joi.number().integer().min(1).default(5),
+    concurrency: Joi.number().integer().min(1).default(5)
+  }).default(),
+
+  healthProbe: Joi.object({
+    interval: Joi.number().integer().min(1).default(60),
+    timeout: Joi.number().integer().min(100).default(3000),
+    path: Joi.string().pattern(/^\//).default('/health'),
+    concurrency: Joi.number().integer().min(1).default(10),
+    failureThreshold: Joi.number().integer().min(1).default(1)
+  }).default()
+});
+
+// Environment variables and the setting each one overrides
+const ENV_VARS = {
+  PORT: 'port',
+  STORAGE_BACKEND: 'storage.backend',
+  ELASTICSEARCH_URL: 'elasticsearch.url',
+  ELASTICSEARCH_USERNAME: 'elasticsearch.username',
+  ELASTICSEARCH_PASSWORD: 'elasticsearch.password',
+  ELASTICSEARCH_INDEX: 'elasticsearch.index',
+  CACHE_TTL: 'cache.ttl',
+  CACHE_CHECK_PERIOD: 'cache.checkPeriod',
+  CACHE_MAX_KEYS: 'cache.maxKeys',
+  CACHE_MAX_TTL: 'cache.maxTtl',
+  CACHE_STALE_TTL: 'cache.staleTtl',
+  CACHE_REDIS_URL: 'cache.redisUrl',
+  CACHE_KEY_PREFIX: 'cache.keyPrefix',
+  CACHE_WARM_INTERVAL: 'cache.warmInterval',
+  CACHE_WARM_CONCURRENCY: 'cache.warmConcurrency',
+  RATE_LIMIT_WINDOW_MS: 'api.rateLimit.windowMs',
+  RATE_LIMIT_MAX: 'api.rateLimit.max',
+  RATE_LIMIT_STORE: 'api.rateLimit.store',
+  RATE_LIMIT_SEARCH_MAX: 'api.rateLimit.routes.search.max',
+  RATE_LIMIT_REGISTRY_MAX: 'api.rateLimit.routes.registry.max',
+  RATE_LIMIT_AGENTCARD_MAX: 'api.rateLimit.routes.agentcard.max',
+  RATE_LIMIT_CARD_FETCH_MAX: 'api.rateLimit.routes.cardFetch.max',
+  RATE_LIMIT_HEARTBEAT_MAX: 'api.rateLimit.routes.heartbeat.max',
+  TRUST_PROXY: 'api.trustProxy',
+  CORS_ORIGIN: 'api.cors.origin',
+  CORS_CREDENTIALS: 'api.cors.credentials',
+  CURSOR_KEEP_ALIVE: 'api.cursorKeepAlive',
+  LOG_LEVEL: 'logging.level',
+  LOG_FORMAT: 'logging.format',
+  ADMIN_API_KEY: 'auth.adminApiKey',
+  TENANT_API_KEYS: 'tenants.keys',
+  HEARTBEAT_LEASE_TTL: 'heartbeat.leaseTtl',
+  HEARTBEAT_SWEEP_INTERVAL: 'heartbeat.sweepInterval',
+  HEARTBEAT_DEREGISTER_AFTER: 'heartbeat.deregisterAfter',
+  AGENT_CARD_PATHS: 'agentCard.paths',
+  AGENT_CARD_TIMEOUT: 'agentCard.timeout',
+  AGENT_CARD_CONTENT_TYPES: 'agentCard.contentTypes',
+  EGRESS_ALLOWLIST: 'egress.allowlist',
+  EGRESS_MAX_RESPONSE_BYTES: 'egress.maxResponseBytes',
+  EGRESS_MAX_REDIRECTS: 'egress.maxRedirects',
+  EMBEDDINGS_PROVIDER: 'embeddings.provider',
+  EMBEDDINGS_DIMS: 'embeddings.dims',
+  EMBEDDINGS_URL: 'embeddings.url',
+  EMBEDDINGS_MODEL: 'embeddings.model',
+  EMBEDDINGS_API_KEY: 'embeddings.apiKey',
+  EMBEDDINGS_MIN_SIMILARITY: 'embeddings.minSimilarity',
+  EMBEDDINGS_HYBRID_VECTOR_BOOST: 'embeddings.hybridVectorBoost',
+  ROUTING_CANDIDATES: 'routing.candidates',
+  ROUTING_LATENCY_TARGET_MS: 'routing.latencyTargetMs',
+  ROUTING_VERIFIED_ONLY: 'routing.verifiedOnly',
+  EVENTS_BUFFER_SIZE: 'events.bufferSize',
+  EVENTS_KEEP_ALIVE: 'events.keepAlive',
+  WEBHOOK_TIMEOUT: 'webhooks.timeout',
+  WEBHOOK_MAX_ATTEMPTS: 'webhooks.maxAttempts',
+  WEBHOOK_RETRY_BASE_DELAY: 'webhooks.retryBaseDelay',
+  WEBHOOK_RETRY_MAX_DELAY: 'webhooks.retryMaxDelay',
+  WEBHOOK_POLL_INTERVAL: 'webhooks.pollInterval',
+  HEALTH_PROBE_INTERVAL: 'healthProbe.interval',
+  HEALTH_PROBE_TIMEOUT: 'healthProbe.timeout',
+  HEALTH_PROBE_PATH: 'healthProbe.path',
+  HEALTH_PROBE_CONCURRENCY: 'healthProbe.concurrency',
+  HEALTH_PROBE_FAILURE_THRESHOLD: 'healthProbe.failureThreshold'
+};
+
+export class ConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConfigError';
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function deepMerge(target, source) {
+  const result = { ...target };
+  for (const [key, value] of Object.entries(source)) {
+    result[key] = isPlainObject(value) && isPlainObject(result[key])
+      ? deepMerge(result[key], value)
+      : value;
+  }
+  return result;
+}
+
+function setPath(obj, dotted, value) {
+  const parts = dotted.split('.');
+  let target = obj;
+  for (const part of parts.slice(0, -1)) {
+    target[part] = target[part] || {};
+    target = target[part];
+  }
+  target[parts[parts.length - 1]] = value;
+}
+
+function envOverrides(env) {
+  const overrides = {};
+  for (const [name, setting] of Object.entries(ENV_VARS)) {
+    if (env[name] === undefined || env[name] === '') {
+      continue;
+    }
+    let value = env[name];
+    // Comma-separated lists
+    if ((name === 'CORS_ORIGIN' && value.includes(',')) ||
+      ['AGENT_CARD_PATHS', 'AGENT_CARD_CONTENT_TYPES', 'EGRESS_ALLOWLIST'].includes(name)) {
+      value = value.split(',').map(item => item.trim());
+    }
+    // Comma-separated `tenant:key` pairs
+    if (name === 'TENANT_API_KEYS') {
+      value = value.split(',').map(pair => {
+        const [tenant, ...key] = pair.trim().split(':');
+        return { tenant, key: key.join(':') };
+      });
+    }
+    setPath(overrides, setting, value);
+  }
+  return overrides;
+}
+
+// Load the config file named by CONFIG_FILE, or ./config.js when present
+async function readConfigFile(env) {
+  const file = path.resolve(env.CONFIG_FILE || 'config.js');
+  if (!fs.existsSync(file)) {
+    if (env.CONFIG_FILE) {
+      throw new ConfigError(`Config file not found: ${file}`);
+    }
+    return {};
+  }
+  const module = await import(pathToFileURL(file).href);
+  return module.default || {};
+}
+
+// Merge defaults, the config file and environment variables, then validate.
+// Throws ConfigError describing every invalid setting.
+export async function loadConfig(env = process.env) {
+  const fileConfig = await readConfigFile(env);
+  const merged = deepMerge(fileConfig, envOverrides(env));
+
+  const { error, value } = configSchema.validate(merged, { abortEarly: false });
+  if (error) {
+    throw new ConfigError(error.details.map(detail => detail.message).join('; '));
+  }
+  return value;
+}
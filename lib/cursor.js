@@ -0,0 +1,52 @@
+// Opaque cursors for paging through /agents and /search. A cursor holds the
+// point in time the pages are read from, the sort values of the last hit
+// returned and the query parameters, so every page comes from the same
+// snapshot of the registry and later pages need only the cursor.
+
+// Deepest result page/perPage pagination can reach, Elasticsearch's default
+// index.max_result_window
+export const MAX_RESULT_WINDOW = 10000;
+
+// Break ties between hits with equal sort values, as points in time allow
+export const CURSOR_TIEBREAKER = { _shard_doc: 'asc' };
+
+export function encodeCursor({ pitId, searchAfter, params }) {
+  return Buffer.from(JSON.stringify({ pitId, searchAfter, params })).toString('base64url');
+}
+
+// Returns { pitId, searchAfter, params }, or null for a malformed cursor
+export function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof decoded?.pitId !== 'string' || !Array.isArray(decoded.searchAfter) ||
+      typeof decoded.params !== 'object' || decoded.params === null) {
+      return null;
+    }
+    return decoded;
+  } catch {
+    return null;
+  }
+}
+
+// Read one page of `body` (a search body without from/size or sort
+// tiebreaker) in a point in time. Without a `cursor`, a point in time is
+// opened for the first page. Returns { result, nextCursor }; nextCursor is
+// null after the last page, whose point in time is closed.
+export async function searchPage(storage, body, { cursor, params, perPage, keepAlive }) {
+  const pitId = cursor?.pitId || await storage.openPointInTime({ keepAlive });
+  const result = await storage.search({
+    ...body,
+    sort: [...(body.sort?.length ? body.sort : [{ _score: 'desc' }]), CURSOR_TIEBREAKER],
+    size: perPage,
+    pit: { id: pitId, keep_alive: `${keepAlive}s` },
+    ...(cursor && { search_after: cursor.searchAfter })
+  });
+
+  const nextPitId = result.pitId || pitId;
+  if (result.hits.length < perPage) {
+    await storage.closePointInTime(nextPitId);
+    return { result, nextCursor: null };
+  }
+  const searchAfter = result.hits[result.hits.length - 1].sort;
+  return { result, nextCursor: encodeCursor({ pitId: nextPitId, searchAfter, params }) };
+}
@@ -0,0 +1,237 @@
+import dns from 'dns';
+import net from 'net';
+import axios from 'axios';
+import { logger } from './logger.js';
+
+// Egress policy for outbound calls to agents and webhook receivers. Their
+// URLs come from callers, so without it the registry could be pointed at
+// cloud metadata endpoints or internal services. Private, loopback, link-local and other
+// special-purpose addresses are refused unless allowlisted, whether they
+// appear in the URL, a redirect or a DNS answer. The connection uses the
+// addresses that were checked, so DNS cannot change them afterwards.
+
+// [address, prefix length, family]
+const BLOCKED_RANGES = [
+  ['0.0.0.0', 8, 'ipv4'], // "this" network
+  ['10.0.0.0', 8, 'ipv4'], // private
+  ['100.64.0.0', 10, 'ipv4'], // carrier-grade NAT
+  ['127.0.0.0', 8, 'ipv4'], // loopback
+  ['169.254.0.0', 16, 'ipv4'], // link-local, including cloud metadata
+  ['172.16.0.0', 12, 'ipv4'], // private
+  ['192.0.0.0', 24, 'ipv4'], // IETF protocol assignments
+  ['192.168.0.0', 16, 'ipv4'], // private
+  ['198.18.0.0', 15, 'ipv4'], // benchmarking
+  ['224.0.0.0', 4, 'ipv4'], // multicast
+  ['240.0.0.0', 4, 'ipv4'], // reserved and broadcast
+  ['::', 128, 'ipv6'], // unspecified
+  ['::1', 128, 'ipv6'], // loopback
+  ['64:ff9b::', 96, 'ipv6'], // NAT64 of IPv4 addresses
+  ['fc00::', 7, 'ipv6'], // unique local
+  ['fe80::', 10, 'ipv6'], // link-local
+  ['ff00::', 8, 'ipv6'] // multicast
+];
+
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+
+// `reason` is one of blocked_scheme, blocked_address, too_many_redirects,
+// response_too_large or content_type
+export class EgressError extends Error {
+  constructor(reason, message) {
+    super(message);
+    this.name = 'EgressError';
+    this.reason = reason;
+  }
+}
+
+// IPv4-mapped IPv6 addresses are checked as the IPv4 address they carry.
+// URLs write them in hex, e.g. ::ffff:a9fe:a9fe.
+function plainAddress(address) {
+  const dotted = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (dotted) {
+    return dotted[1];
+  }
+  const hex = /^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i.exec(address);
+  if (hex) {
+    const high = parseInt(hex[1], 16);
+    const low = parseInt(hex[2], 16);
+    return [high >> 8, high & 255, low >> 8, low & 255].join('.');
+  }
+  return address;
+}
+
+const addressFamily = address => (net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+// Whether a Content-Type header names one of `allowed`, where an entry may
+// use `*` wildcards, e.g. `application/*+json`
+function contentTypeAllowed(header, allowed) {
+  const type = (header || '').split(';')[0].trim().toLowerCase();
+  return allowed.some(pattern => new RegExp(
+    `^${pattern.toLowerCase().split('*').map(part => part.replace(/[.+?^${}()|[\]\\/]/g, '\\$&')).join('[^/]*')}$`
+  ).test(type));
+}
+
+export class EgressPolicy {
+  // `allowlist` holds addresses, CIDR ranges and host names (`*.example.com`
+  // for subdomains) that may be called even though they are blocked
+  constructor({ allowlist, maxResponseBytes, maxRedirects }) {
+    this.maxResponseBytes = maxResponseBytes;
+    this.maxRedirects = maxRedirects;
+    // Passed to connections on its own
+    this.lookup = this.lookup.bind(this);
+
+    this.blocked = new net.BlockList();
+    for (const [address, prefix, family] of BLOCKED_RANGES) {
+      this.blocked.addSubnet(address, prefix, family);
+    }
+
+    this.allowedAddresses = new net.BlockList();
+    this.allowedHosts = [];
+    for (const entry of allowlist) {
+      const [address, prefix] = entry.split('/');
+      if (net.isIP(address)) {
+        const family = addressFamily(address);
+        if (prefix === undefined) {
+          this.allowedAddresses.addAddress(address, family);
+        } else {
+          this.allowedAddresses.addSubnet(address, Number(prefix), family);
+        }
+      } else {
+        this.allowedHosts.push(entry.toLowerCase());
+      }
+    }
+  }
+
+  hostAllowed(hostname) {
+    const host = hostname.toLowerCase();
+    return this.allowedHosts.some(entry => (entry.startsWith('*.')
+      ? host.endsWith(entry.slice(1))
+      : host === entry));
+  }
+
+  // Why an address may not be called, or null when it may
+  addressDenied(address) {
+    const plain = plainAddress(address);
+    const family = addressFamily(plain);
+    if (this.allowedAddresses.check(plain, family) || !this.blocked.check(plain, family)) {
+      return null;
+    }
+    return `${plain} is in a blocked address range`;
+  }
+
+  // Refuse URLs that cannot be called before connecting
+  checkUrl(url) {
+    const { protocol, hostname } = new URL(url);
+    if (protocol !== 'http:' && protocol !== 'https:') {
+      throw new EgressError('blocked_scheme', `${protocol} URLs are not allowed`);
+    }
+    const host = hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(host) && !this.hostAllowed(host)) {
+      const denied = this.addressDenied(host);
+      if (denied) {
+        throw new EgressError('blocked_address', denied);
+      }
+    }
+  }
+
+  // dns.lookup() replacement for connections: every address a host name
+  // resolves to must be allowed
+  lookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+      if (error) {
+        return callback(error);
+      }
+      if (!this.hostAllowed(hostname)) {
+        for (const { address } of addresses) {
+          const denied = this.addressDenied(address);
+          if (denied) {
+            return callback(new EgressError('blocked_address', `${hostname} resolves to ${denied}`));
+          }
+        }
+      }
+      if (options.all) {
+        callback(null, addresses);
+      } else {
+        callback(null, addresses[0].address, addresses[0].family);
+      }
+    });
+  }
+
+  // One axios request, connecting only to checked addresses and without
+  // following redirects
+  async send(request) {
+    try {
+      return await axios({
+        ...request,
+        lookup: this.lookup,
+        maxRedirects: 0,
+        maxContentLength: this.maxResponseBytes
+      });
+    } catch (error) {
+      if (error.cause instanceof EgressError) {
+        throw error.cause;
+      }
+      if (/maxContentLength/.test(error.message)) {
+        throw new EgressError('response_too_large', `Response exceeds ${this.maxResponseBytes} bytes`);
+      }
+      throw error;
+    }
+  }
+
+  // GET a URL under the policy, following redirects one checked hop at a
+  // time. Takes axios `timeout`, `headers` and `validateStatus`, and
+  // `contentTypes` that a successful response must have. Responds like
+  // axios.get(); refused calls are logged and throw EgressError.
+  async get(url, { timeout, headers = {}, validateStatus = status => status >= 200 && status < 300, contentTypes }) {
+    let current = url;
+    try {
+      for (let redirects = 0; ; redirects++) {
+        this.checkUrl(current);
+        const response = await this.send({
+          method: 'get',
+          url: current,
+          timeout,
+          headers,
+          validateStatus: status => REDIRECT_STATUSES.has(status) || validateStatus(status)
+        });
+
+        if (REDIRECT_STATUSES.has(response.status) && response.headers.location) {
+          if (redirects >= this.maxRedirects) {
+            throw new EgressError('too_many_redirects', `More than ${this.maxRedirects} redirects`);
+          }
+          current = new URL(response.headers.location, current).href;
+          continue;
+        }
+
+        if (contentTypes && response.status >= 200 && response.status < 300 &&
+          !contentTypeAllowed(response.headers['content-type'], contentTypes)) {
+          throw new EgressError(
+            'content_type',
+            `Content-Type ${response.headers['content-type'] || '(none)'} is not one of ${contentTypes.join(', ')}`
+          );
+        }
+        return response;
+      }
+    } catch (error) {
+      if (error instanceof EgressError) {
+        logger.warn(`Egress refused for ${current}: ${error.message} (${error.reason})`);
+      }
+      throw error;
+    }
+  }
+
+  // POST a body under the policy. Redirects are not followed, so any 3xx
+  // fails like other non-2xx statuses. Takes axios `timeout` and `headers`;
+  // responds like axios.post(), and refused calls are logged and throw
+  // EgressError.
+  async post(url, body, { timeout, headers = {} }) {
+    try {
+      this.checkUrl(url);
+      return await this.send({ method: 'post', url, data: body, timeout, headers });
+    } catch (error) {
+      if (error instanceof EgressError) {
+        logger.warn(`Egress refused for ${url}: ${error.message} (${error.reason})`);
+      }
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,129 @@
+import axios from 'axios';
+
+// Words that mean the same thing to someone looking for an agent. The local
+// embedder maps each group onto a shared feature so paraphrases such as
+// "currency conversion" and "forex rates" land close together.
+const CONCEPTS = [
+  ['currency', 'currencies', 'forex', 'fx', 'exchange', 'conversion', 'convert', 'converter', 'money'],
+  ['weather', 'forecast', 'forecasts', 'climate', 'temperature', 'meteorology', 'rain', 'precipitation'],
+  ['translate', 'translation', 'translator', 'language', 'languages', 'multilingual', 'localization'],
+  ['stock', 'stocks', 'equity', 'equities', 'shares', 'trading', 'portfolio', 'investment', 'investing'],
+  ['finance', 'financial', 'banking', 'accounting', 'payments', 'payment'],
+  ['health', 'medical', 'medicine', 'symptom', 'symptoms', 'doctor', 'clinical', 'diagnosis'],
+  ['speech', 'audio', 'voice', 'transcribe', 'transcription', 'spoken', 'dictation'],
+  ['image', 'images', 'photo', 'photos', 'picture', 'pictures', 'vision', 'visual'],
+  ['search', 'find', 'lookup', 'discover', 'retrieve', 'retrieval'],
+  ['summarize', 'summary', 'summarization', 'digest', 'tldr'],
+  ['code', 'coding', 'programming', 'developer', 'software', 'debugging'],
+  ['email', 'mail', 'inbox', 'newsletter'],
+  ['calendar', 'schedule', 'scheduling', 'meeting', 'meetings', 'appointment', 'appointments'],
+  ['travel', 'flight', 'flights', 'hotel', 'hotels', 'booking', 'trip', 'itinerary'],
+  ['news', 'headlines', 'articles', 'journalism'],
+  ['map', 'maps', 'geocoding', 'navigation', 'directions', 'routing'],
+  ['shopping', 'ecommerce', 'product', 'products', 'cart', 'checkout', 'retail'],
+  ['legal', 'law', 'contract', 'contracts', 'compliance', 'regulation'],
+  ['math', 'calculate', 'calculator', 'arithmetic', 'computation'],
+  ['database', 'sql', 'analytics', 'dataset', 'datasets']
+];
+
+const CONCEPT_OF = new Map(
+  CONCEPTS.flatMap((words, index) => words.map(word => [word, `concept:${index}`]))
+);
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'any', 'are', 'as', 'at', 'based', 'by', 'for', 'from', 'in', 'into',
+  'is', 'it', 'of', 'on', 'or', 'the', 'to', 'with'
+]);
+
+// 32-bit FNV-1a
+function hash(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+function normalize(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm ? vector.map(value => value / norm) : vector;
+}
+
+// Deterministic embedder that needs no model or network: hashes words, their
+// character trigrams and their concept group into a fixed-size vector
+export class LocalEmbedder {
+  constructor({ dims }) {
+    this.dims = dims;
+  }
+
+  async embed(text) {
+    const vector = new Array(this.dims).fill(0);
+    const add = (feature, weight) => {
+      const h = hash(feature);
+      // A second hash bit picks the sign so collisions tend to cancel out
+      vector[h % this.dims] += (hash(`~${feature}`) & 1 ? 1 : -1) * weight;
+    };
+
+    const words = String(text).toLowerCase().split(/[^\p{L}\p{N}]+/u)
+      .filter(word => word && !STOP_WORDS.has(word));
+    for (const word of words) {
+      add(`word:${word}`, 1);
+      const concept = CONCEPT_OF.get(word);
+      if (concept) {
+        add(concept, 1.5);
+      }
+      const padded = `^${word}$`;
+      for (let i = 0; i + 3 <= padded.length; i++) {
+        add(`gram:${padded.slice(i, i + 3)}`, 0.3);
+      }
+    }
+    return normalize(vector);
+  }
+}
+
+// Embedder backed by an OpenAI-compatible embeddings endpoint
+export class HttpEmbedder {
+  constructor({ url, model, apiKey, timeout }) {
+    this.url = url;
+    this.model = model;
+    this.apiKey = apiKey;
+    this.timeout = timeout;
+  }
+
+  async embed(text) {
+    const response = await axios.post(this.url, { input: text, model: this.model }, {
+      timeout: this.timeout,
+      headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {}
+    });
+    return response.data.data[0].embedding;
+  }
+}
+
+// Embedders implement `embed(text)` returning a vector of numbers
+const EMBEDDERS = {
+  local: options => new LocalEmbedder(options),
+  http: options => new HttpEmbedder(options)
+};
+
+// Build the embedder selected by `embeddings.provider`
+export function createEmbedder(options) {
+  const create = EMBEDDERS[options.provider];
+  if (!create) {
+    throw new Error(`Unknown embeddings provider: ${options.provider}`);
+  }
+  return create(options);
+}
+
+// The agent text that semantic search matches against
+export function embeddingText(agent) {
+  const skills = (agent.skills || []).flatMap(skill => [
+    skill.name,
+    skill.description,
+    ...(skill.tags || []),
+    ...(skill.examples || [])
+  ]);
+  return [agent.name, agent.description, agent.capabilities, ...skills]
+    .filter(Boolean)
+    .join('\n');
+}
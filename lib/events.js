@@ -0,0 +1,145 @@
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import { LATEST_VERSION_FILTER, buildFilters, textQuery } from './search.js';
+import { matchesQuery } from './storage/memory.js';
+import { tenantFilter } from './tenants.js';
+import { logger } from './logger.js';
+
+// Change feed behind /events. Events are numbered per process run and the
+// most recent ones are buffered, so a client reconnecting with the id of the
+// last event it saw receives everything it missed.
+
+export const EVENT_TYPES = [
+  'agent.registered',
+  'agent.updated',
+  'agent.deleted',
+  'agent.status_changed',
+  'card.refreshed',
+  'card.changed'
+];
+
+// Sent instead of a replay when events after a client's cursor are no longer
+// buffered; the client should reload what it tracks from /agents
+export const STREAM_RESET = 'stream.reset';
+
+export class EventFeed extends EventEmitter {
+  // `present` shapes a stored agent document for clients
+  constructor({ bufferSize, present }) {
+    super();
+    this.setMaxListeners(0);
+    this.bufferSize = bufferSize;
+    this.present = present;
+    // Cursors from an earlier run, or another instance, are not resumable
+    this.runId = crypto.randomBytes(4).toString('hex');
+    this.sequence = 0;
+    this.buffer = [];
+  }
+
+  // Publish a change from `before` to `after` (either may be null for
+  // registrations and deletions) to every subscriber
+  publish(type, { before = null, after = null, changedFields = [] }) {
+    const agent = after || before;
+    this.sequence++;
+    const id = `${this.runId}-${this.sequence}`;
+    const event = {
+      id,
+      sequence: this.sequence,
+      type,
+      // Both states are matched against subscriber filters, so a search sees
+      // agents leaving its results as well as entering them
+      states: [before, after].filter(Boolean),
+      payload: {
+        id,
+        type,
+        timestamp: new Date().toISOString(),
+        agentId: agent.agentId,
+        version: agent.version,
+        changedFields,
+        agent: this.present(agent)
+      }
+    };
+
+    this.buffer.push(event);
+    if (this.buffer.length > this.bufferSize) {
+      this.buffer.shift();
+    }
+    this.emit('event', event);
+    return event;
+  }
+
+  // Buffered events after a cursor, or null when some may be missing
+  since(cursor) {
+    const [runId, sequence] = String(cursor).split('-');
+    const after = Number(sequence);
+    if (runId !== this.runId || !Number.isInteger(after) || after > this.sequence) {
+      return null;
+    }
+    const oldest = this.buffer[0]?.sequence ?? this.sequence + 1;
+    if (after < oldest - 1) {
+      return null;
+    }
+    return this.buffer.filter(event => event.sequence > after);
+  }
+
+  // Deliver events accepted by `filter` to `send`, starting after `cursor`
+  // when given. Returns a function that ends the subscription.
+  subscribe({ cursor, filter }, send) {
+    // A failing subscriber must not fail the change that published the event
+    const listener = event => {
+      try {
+        if (filter(event)) {
+          send(event);
+        }
+      } catch (error) {
+        logger.warn('Event delivery error:', error.message);
+      }
+    };
+
+    // Replay and subscription happen in the same tick, so nothing falls between
+    if (cursor) {
+      const missed = this.since(cursor);
+      if (missed) {
+        missed.forEach(listener);
+      } else {
+        send(resetEvent(this.runId, this.sequence));
+      }
+    }
+    this.on('event', listener);
+    return () => this.off('event', listener);
+  }
+}
+
+function resetEvent(runId, sequence) {
+  const id = `${runId}-${sequence}`;
+  return {
+    id,
+    type: STREAM_RESET,
+    payload: {
+      id,
+      type: STREAM_RESET,
+      timestamp: new Date().toISOString(),
+      reason: 'Events after the given cursor are no longer available'
+    }
+  };
+}
+
+// Filter for a subscriber: event `types`, plus any /search parameters (`q`,
+// `tags`, `status`, location and skill filters), which an agent must match
+// before or after the change. Every version of an agent is considered. With
+// a `tenant`, only that tenant's agents match.
+export function createEventFilter({ types, tenant, ...search }) {
+  const filter = buildFilters(search).filter(clause => clause !== LATEST_VERSION_FILTER);
+  if (tenant) {
+    filter.push(tenantFilter(tenant));
+  }
+  const query = {
+    bool: {
+      must: search.q ? [textQuery(search.q)] : [],
+      filter
+    }
+  };
+  const wantedTypes = types ? new Set(types) : null;
+
+  return event => (!wantedTypes || wantedTypes.has(event.type)) &&
+    event.states.some(state => matchesQuery(query, state));
+}
@@ -0,0 +1,154 @@
+const EARTH_RADIUS_M = 6371008.8;
+
+// Meters per distance unit, as accepted by Elasticsearch
+const DISTANCE_UNITS = {
+  mm: 0.001,
+  cm: 0.01,
+  m: 1,
+  km: 1000,
+  in: 0.0254,
+  ft: 0.3048,
+  yd: 0.9144,
+  mi: 1609.344,
+  nmi: 1852
+};
+
+export const SEARCH_DISTANCE_UNITS = ['km', 'm', 'mi', 'nmi', 'ft', 'yd'];
+
+// Parse the geo_point formats Elasticsearch accepts: [lon, lat], {lat, lon}, "lat,lon", geohash
+export function parseGeoPoint(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (Array.isArray(value) && value.length === 2 && typeof value[0] === 'number') {
+    return { lat: value[1], lon: value[0] };
+  }
+  if (typeof value === 'object' && 'lat' in value && 'lon' in value) {
+    return { lat: Number(value.lat), lon: Number(value.lon) };
+  }
+  if (typeof value === 'string' && value.includes(',')) {
+    const [lat, lon] = value.split(',').map(Number);
+    return { lat, lon };
+  }
+  if (typeof value === 'string' && GEOHASH_PATTERN.test(value)) {
+    return decodeGeohash(value);
+  }
+  return null;
+}
+
+// Great-circle distance in meters
+export function haversine(a, b) {
+  const toRad = deg => (deg * Math.PI) / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLon = toRad(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(h));
+}
+
+export function toMeters(distance, unit = 'm') {
+  const factor = DISTANCE_UNITS[unit];
+  if (!factor) {
+    throw new Error(`Unsupported distance unit: ${unit}`);
+  }
+  return distance * factor;
+}
+
+// Accepts numbers (meters) or strings such as "50km"
+export function parseDistance(value) {
+  if (typeof value === 'number') {
+    return value;
+  }
+  const match = /^\s*([\d.]+)\s*([a-z]*)\s*$/i.exec(String(value));
+  if (!match) {
+    throw new Error(`Invalid distance: ${value}`);
+  }
+  return toMeters(parseFloat(match[1]), match[2] || 'm');
+}
+
+// Parse `minLon,minLat,maxLon,maxLat` (GeoJSON bbox order). Returns null if invalid.
+// minLon may exceed maxLon for boxes that cross the antimeridian.
+export function parseBoundingBox(value) {
+  const parts = String(value).split(',').map(part => Number(part.trim()));
+  if (parts.length !== 4 || parts.some(Number.isNaN)) {
+    return null;
+  }
+  const [minLon, minLat, maxLon, maxLat] = parts;
+  if (minLat < -90 || maxLat > 90 || minLat > maxLat ||
+      Math.abs(minLon) > 180 || Math.abs(maxLon) > 180) {
+    return null;
+  }
+  return {
+    top_left: { lat: maxLat, lon: minLon },
+    bottom_right: { lat: minLat, lon: maxLon }
+  };
+}
+
+export function inBoundingBox(point, { top_left: topLeft, bottom_right: bottomRight }) {
+  if (point.lat > topLeft.lat || point.lat < bottomRight.lat) {
+    return false;
+  }
+  return topLeft.lon <= bottomRight.lon
+    ? point.lon >= topLeft.lon && point.lon <= bottomRight.lon
+    : point.lon >= topLeft.lon || point.lon <= bottomRight.lon;
+}
+
+// Distance from an origin to the nearest of a document's points, in `unit`
+export function distanceTo(origin, value, unit) {
+  const points = (Array.isArray(value) && typeof value[0] !== 'number' ? value : [value])
+    .map(parseGeoPoint)
+    .filter(Boolean);
+  if (points.length === 0) {
+    return null;
+  }
+  return Math.min(...points.map(point => haversine(origin, point))) / toMeters(1, unit);
+}
+
+const GEOHASH_ALPHABET = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+export const GEOHASH_PATTERN = /^[0123456789bcdefghjkmnpqrstuvwxyz]{1,12}$/;
+
+// Decode a geohash to the center of its cell
+export function decodeGeohash(hash) {
+  const lat = [-90, 90];
+  const lon = [-180, 180];
+  let even = true;
+  for (const char of hash.toLowerCase()) {
+    const bits = GEOHASH_ALPHABET.indexOf(char);
+    for (let bit = 4; bit >= 0; bit--) {
+      const range = even ? lon : lat;
+      const mid = (range[0] + range[1]) / 2;
+      range[(bits >> bit) & 1 ? 0 : 1] = mid;
+      even = !even;
+    }
+  }
+  return { lat: (lat[0] + lat[1]) / 2, lon: (lon[0] + lon[1]) / 2 };
+}
+
+export function encodeGeohash({ lat, lon }, precision = 12) {
+  const latRange = [-90, 90];
+  const lonRange = [-180, 180];
+  let hash = '';
+  let even = true;
+  let bits = 0;
+  let bitCount = 0;
+  while (hash.length < precision) {
+    const range = even ? lonRange : latRange;
+    const value = even ? lon : lat;
+    const mid = (range[0] + range[1]) / 2;
+    bits <<= 1;
+    if (value >= mid) {
+      bits |= 1;
+      range[0] = mid;
+    } else {
+      range[1] = mid;
+    }
+    even = !even;
+    if (++bitCount === 5) {
+      hash += GEOHASH_ALPHABET[bits];
+      bits = 0;
+      bitCount = 0;
+    }
+  }
+  return hash;
+}
@@ -0,0 +1,151 @@
+import { logger } from './logger.js';
+import { SYSTEM_ACTOR } from './audit.js';
+import { agentDocId, dropVersions } from './agentVersions.js';
+import { agentsOf, tenantOf } from './tenants.js';
+import { cardCacheKey } from './cache/index.js';
+import { VersionConflictError } from './storage/index.js';
+
+// Status reason recorded when the sweeper marks an agent inactive
+export const LEASE_EXPIRED = 'lease_expired';
+
+// Documents read per search when collecting swept agents
+const SWEEP_PAGE_SIZE = 500;
+
+// Lease fields written on registration and on every heartbeat
+export function leaseFields(leaseTtl, now = new Date()) {
+  return {
+    leaseTtl,
+    lastHeartbeat: now.toISOString(),
+    leaseExpiresAt: new Date(now.getTime() + leaseTtl * 1000).toISOString()
+  };
+}
+
+// Every agent document matching a query, a page at a time
+async function findAll(storage, query) {
+  const hits = [];
+  let searchAfter;
+  for (;;) {
+    const result = await storage.search({
+      query,
+      // The same agentId@version may exist in several tenants
+      sort: [{ agentId: 'asc' }, { version: 'asc' }, { tenant: 'asc' }],
+      _source: { excludes: ['embedding'] },
+      seq_no_primary_term: true,
+      size: SWEEP_PAGE_SIZE,
+      ...(searchAfter && { search_after: searchAfter })
+    });
+    hits.push(...result.hits);
+    if (result.hits.length < SWEEP_PAGE_SIZE) {
+      return hits;
+    }
+    searchAfter = result.hits[result.hits.length - 1].sort;
+  }
+}
+
+// Mark agents whose lease ran out as inactive, then deregister agents that
+// stayed expired for `deregisterAfter` seconds (0 keeps them), in every
+// tenant, removing them from their agents' `heads`. With an `auditLog`, each
+// change is recorded as made by the system; with a `cardCache`, the cards of
+// deregistered agents are dropped from it.
+export async function sweepExpiredLeases(storage, { deregisterAfter }, now = new Date(), {
+  heads,
+  auditLog = null,
+  cardCache = null
+} = {}) {
+  const nowIso = now.toISOString();
+
+  const expiredQuery = {
+    bool: {
+      filter: [
+        { terms: { status: ['active', 'maintenance'] } },
+        { range: { leaseExpiresAt: { lt: nowIso } } }
+      ]
+    }
+  };
+  const change = { status: 'inactive', statusReason: LEASE_EXPIRED, updatedAt: nowIso };
+  const expiring = auditLog ? await findAll(storage, expiredQuery) : [];
+  // Refreshed, since the deregistration search below must see these changes
+  const markedInactive = await storage.updateByQuery(expiredQuery, change, { refresh: true });
+  for (const hit of expiring) {
+    await auditLog.record({
+      action: 'status_changed',
+      before: hit.source,
+      after: { ...hit.source, ...change },
+      actor: SYSTEM_ACTOR,
+      reason: LEASE_EXPIRED
+    });
+  }
+
+  let deregistered = 0;
+  if (deregisterAfter > 0) {
+    const cutoff = new Date(now.getTime() - deregisterAfter * 1000).toISOString();
+    const deregisterQuery = {
+      bool: {
+        filter: [
+          { term: { status: 'inactive' } },
+          { term: { statusReason: LEASE_EXPIRED } },
+          { range: { leaseExpiresAt: { lt: cutoff } } }
+        ]
+      }
+    };
+    // A version written since it was found, such as by a heartbeat, stays
+    const expired = [];
+    for (const hit of await findAll(storage, deregisterQuery)) {
+      try {
+        if (await storage.delete(hit.id, { ifSeqNo: hit.seqNo, ifPrimaryTerm: hit.primaryTerm })) {
+          expired.push(hit);
+        }
+      } catch (error) {
+        if (!(error instanceof VersionConflictError)) {
+          throw error;
+        }
+      }
+    }
+    deregistered = expired.length;
+
+    for (const hit of expired) {
+      await auditLog?.record({
+        action: 'deleted',
+        before: hit.source,
+        actor: SYSTEM_ACTOR,
+        reason: LEASE_EXPIRED
+      });
+    }
+    // Remaining versions of a deregistered agent may now be the latest
+    const agents = new Map();
+    for (const { source } of expired) {
+      const key = `${tenantOf(source)}/${source.agentId}`;
+      const agent = agents.get(key) || { tenant: tenantOf(source), agentId: source.agentId, ids: [] };
+      agent.ids.push(agentDocId(source.agentId, source.version));
+      agents.set(key, agent);
+    }
+    for (const { tenant, agentId, ids } of agents.values()) {
+      await dropVersions(agentsOf(storage, tenant), agentsOf(heads, tenant), agentId, ids);
+    }
+    // Cached by version, and by agentId for whichever version it resolved to
+    if (cardCache && expired.length) {
+      await cardCache.del(expired.flatMap(({ source }) => [
+        cardCacheKey(tenantOf(source), agentDocId(source.agentId, source.version)),
+        cardCacheKey(tenantOf(source), source.agentId)
+      ]));
+    }
+  }
+
+  return { markedInactive, deregistered };
+}
+
+// Run the sweeper on a fixed interval; `services` as for sweepExpiredLeases
+export function startLeaseSweeper(storage, options, services = {}) {
+  const timer = setInterval(async () => {
+    try {
+      const result = await sweepExpiredLeases(storage, options, new Date(), services);
+      if (result.markedInactive || result.deregistered) {
+        logger.info(`Lease sweep: ${result.markedInactive} marked inactive, ${result.deregistered} deregistered`);
+      }
+    } catch (error) {
+      logger.error('Lease sweep error:', error.message);
+    }
+  }, options.sweepInterval * 1000);
+  timer.unref();
+  return timer;
+}
@@ -0,0 +1,93 @@
+import Joi from 'joi';
+import { GEOHASH_PATTERN, decodeGeohash, encodeGeohash, parseGeoPoint } from './geo.js';
+
+// Formats a location can be registered in and returned as
+export const LOCATION_FORMATS = ['latlon', 'coordinates', 'geojson', 'array', 'geohash'];
+
+const lat = Joi.number().min(-90).max(90).required();
+const lon = Joi.number().min(-180).max(180).required();
+const latLonObject = Joi.object({ lat, lon });
+const lonLatArray = Joi.array().ordered(lon, lat).length(2);
+const geohash = Joi.string().lowercase().pattern(GEOHASH_PATTERN)
+  .messages({ 'string.pattern.base': '"location" is not a valid geohash' });
+const place = {
+  city: Joi.string().optional(),
+  country: Joi.string().optional()
+};
+
+// Accepted inputs:
+//   { lat, lon, city?, country? }
+//   { coordinates: {lat, lon}, city?, country? }
+//   { type: 'Point', coordinates: [lon, lat], city?, country? }   (GeoJSON)
+//   [lon, lat]
+//   "dr5regw3p"                                                   (geohash)
+export const locationSchema = Joi.alternatives().try(
+  geohash,
+  lonLatArray,
+  Joi.object({ type: Joi.string().valid('Point').required(), coordinates: lonLatArray.required(), ...place }),
+  Joi.object({ lat, lon, ...place }),
+  Joi.object({ coordinates: latLonObject.required(), ...place })
+).messages({
+  'alternatives.match': '"location" must be a lat/lon object, a coordinates object, a GeoJSON Point, a [lon, lat] array or a geohash'
+});
+
+export const locationFormatSchema = Joi.string().valid(...LOCATION_FORMATS);
+
+function detectFormat(input) {
+  if (typeof input === 'string') return 'geohash';
+  if (Array.isArray(input)) return 'array';
+  if (input.type === 'Point') return 'geojson';
+  if ('coordinates' in input) return 'coordinates';
+  return 'latlon';
+}
+
+// Convert a validated location to the stored form: coordinates as a
+// {lat, lon} geo_point, plus the format it arrived in so it can be returned
+// the same way.
+export function toStoredLocation(input) {
+  const format = detectFormat(input);
+  const stored = { format };
+
+  let point;
+  if (format === 'geohash') {
+    point = decodeGeohash(input);
+    stored.geohashPrecision = input.length;
+  } else if (format === 'array' || format === 'geojson') {
+    point = parseGeoPoint(format === 'array' ? input : input.coordinates);
+  } else {
+    point = parseGeoPoint(format === 'coordinates' ? input.coordinates : input);
+  }
+  stored.coordinates = { lat: point.lat, lon: point.lon };
+
+  if (typeof input === 'object' && !Array.isArray(input)) {
+    if (input.city) stored.city = input.city;
+    if (input.country) stored.country = input.country;
+  }
+  return stored;
+}
+
+// Render a stored location in the requested format, defaulting to the
+// format it was registered in. Accepts documents stored with [lon, lat].
+export function renderLocation(stored, format) {
+  const point = parseGeoPoint(stored.coordinates);
+  if (!point) {
+    return stored;
+  }
+  const place = {};
+  if (stored.city) place.city = stored.city;
+  if (stored.country) place.country = stored.country;
+
+  switch (format || stored.format || 'coordinates') {
+    case 'latlon':
+      return { lat: point.lat, lon: point.lon, ...place };
+    case 'geojson':
+      return { type: 'Point', coordinates: [point.lon, point.lat], ...place };
+    case 'array':
+      return [point.lon, point.lat];
+    case 'geohash':
+      return encodeGeohash(point, stored.geohashPrecision || 12);
+    case 'coordinates':
+    default:
+      return { coordinates: { lat: point.lat, lon: point.lon }, ...place };
+  }
+}
@@ -0,0 +1,62 @@
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+let settings = { level: 'info', format: 'dev' };
+
+// Apply the `logging` section of the config
+export function configureLogger({ level, format }) {
+  settings = { level, format };
+}
+
+function serialize(arg) {
+  if (arg instanceof Error) {
+    return { message: arg.message, stack: arg.stack };
+  }
+  return arg;
+}
+
+function write(level, message, args) {
+  if (LEVELS[level] > LEVELS[settings.level]) {
+    return;
+  }
+  const stream = level === 'error' || level === 'warn' ? console.error : console.log;
+
+  if (settings.format === 'json') {
+    const record = { time: new Date().toISOString(), level, msg: message };
+    // A single plain object becomes structured fields on the record
+    if (args.length === 1 && args[0] && typeof args[0] === 'object' && !(args[0] instanceof Error)) {
+      Object.assign(record, args[0]);
+    } else if (args.length) {
+      record.details = args.map(serialize);
+    }
+    stream(JSON.stringify(record));
+  } else {
+    stream(message, ...args);
+  }
+}
+
+export const logger = {
+  error: (message, ...args) => write('error', message, args),
+  warn: (message, ...args) => write('warn', message, args),
+  info: (message, ...args) => write('info', message, args),
+  debug: (message, ...args) => write('debug', message, args)
+};
+
+// Log one line per request once the response is sent
+export function requestLogger(req, res, next) {
+  const started = Date.now();
+  res.on('finish', () => {
+    const durationMs = Date.now() - started;
+    if (settings.format === 'json') {
+      logger.info('request', {
+        method: req.method,
+        url: req.originalUrl,
+        status: res.statusCode,
+        durationMs,
+        ip: req.ip
+      });
+    } else {
+      logger.info(`${req.method} ${req.originalUrl} ${res.statusCode} ${durationMs}ms`);
+    }
+  });
+  next();
+}
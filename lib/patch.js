@@ -0,0 +1,179 @@
+// Partial updates: JSON Merge Patch (RFC 7396) and JSON Patch (RFC 6902)
+
+export const MERGE_PATCH_TYPE = 'application/merge-patch+json';
+export const JSON_PATCH_TYPE = 'application/json-patch+json';
+
+export class PatchError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PatchError';
+  }
+}
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Apply a merge patch: objects merge recursively, `null` removes a member and
+// any other value, arrays included, replaces it. Returns a new document.
+export function applyMergePatch(target, patch) {
+  if (!isPlainObject(patch)) {
+    return structuredClone(patch);
+  }
+  const result = isPlainObject(target) ? structuredClone(target) : {};
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = applyMergePatch(result[key], value);
+    }
+  }
+  return result;
+}
+
+// Split a JSON Pointer such as `/skills/0/name` into its reference tokens
+function parsePointer(pointer) {
+  if (typeof pointer !== 'string' || (pointer !== '' && !pointer.startsWith('/'))) {
+    throw new PatchError(`Invalid JSON Pointer: ${pointer}`);
+  }
+  return pointer === ''
+    ? []
+    : pointer.slice(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+// Array index for a token; `-` (one past the end) only when `append` is set
+function arrayIndex(array, token, { append = false } = {}) {
+  if (append && token === '-') {
+    return array.length;
+  }
+  if (!/^(0|[1-9]\d*)$/.test(token)) {
+    throw new PatchError(`Invalid array index: ${token}`);
+  }
+  const index = Number(token);
+  if (index > (append ? array.length : array.length - 1)) {
+    throw new PatchError(`Array index out of bounds: ${token}`);
+  }
+  return index;
+}
+
+// The container a pointer points into, and the last token
+function resolveParent(doc, pointer) {
+  const tokens = parsePointer(pointer);
+  if (tokens.length === 0) {
+    throw new PatchError('The whole document cannot be patched');
+  }
+  const last = tokens.pop();
+  let parent = doc;
+  for (const token of tokens) {
+    if (Array.isArray(parent)) {
+      parent = parent[arrayIndex(parent, token)];
+    } else if (isPlainObject(parent) && Object.hasOwn(parent, token)) {
+      parent = parent[token];
+    } else {
+      throw new PatchError(`Path not found: ${pointer}`);
+    }
+  }
+  if (parent === null || typeof parent !== 'object') {
+    throw new PatchError(`Path not found: ${pointer}`);
+  }
+  return { parent, last };
+}
+
+function getValue(doc, pointer) {
+  const { parent, last } = resolveParent(doc, pointer);
+  if (Array.isArray(parent)) {
+    return parent[arrayIndex(parent, last)];
+  }
+  if (!Object.hasOwn(parent, last)) {
+    throw new PatchError(`Path not found: ${pointer}`);
+  }
+  return parent[last];
+}
+
+function addValue(doc, pointer, value) {
+  const { parent, last } = resolveParent(doc, pointer);
+  if (Array.isArray(parent)) {
+    parent.splice(arrayIndex(parent, last, { append: true }), 0, value);
+  } else {
+    parent[last] = value;
+  }
+}
+
+function removeValue(doc, pointer) {
+  const value = getValue(doc, pointer);
+  const { parent, last } = resolveParent(doc, pointer);
+  if (Array.isArray(parent)) {
+    parent.splice(arrayIndex(parent, last), 1);
+  } else {
+    delete parent[last];
+  }
+  return value;
+}
+
+// Structural equality for `test`, ignoring object member order
+function deepEqual(a, b) {
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b) &&
+      a.length === b.length && a.every((item, i) => deepEqual(item, b[i]));
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length &&
+      keys.every(key => Object.hasOwn(b, key) && deepEqual(a[key], b[key]));
+  }
+  return a === b;
+}
+
+// Apply JSON Patch operations in order; any failing operation fails the
+// whole patch. Returns a new document.
+export function applyJsonPatch(target, operations) {
+  if (!Array.isArray(operations)) {
+    throw new PatchError('A JSON Patch must be an array of operations');
+  }
+  const doc = structuredClone(target);
+
+  for (const [index, operation] of operations.entries()) {
+    const { op, path, from, value } = operation || {};
+    try {
+      parsePointer(path);
+      if (['move', 'copy'].includes(op)) {
+        parsePointer(from);
+      }
+      if (['add', 'replace', 'test'].includes(op) && value === undefined) {
+        throw new PatchError('A value is required');
+      }
+      switch (op) {
+        case 'add':
+          addValue(doc, path, structuredClone(value));
+          break;
+        case 'remove':
+          removeValue(doc, path);
+          break;
+        case 'replace':
+          removeValue(doc, path);
+          addValue(doc, path, structuredClone(value));
+          break;
+        case 'move':
+          if (path.startsWith(`${from}/`)) {
+            throw new PatchError('A value cannot be moved into itself');
+          }
+          addValue(doc, path, removeValue(doc, from));
+          break;
+        case 'copy':
+          addValue(doc, path, structuredClone(getValue(doc, from)));
+          break;
+        case 'test':
+          if (!deepEqual(getValue(doc, path), value)) {
+            throw new PatchError(`Test failed at ${path}`);
+          }
+          break;
+        default:
+          throw new PatchError(`Unknown operation: ${op}`);
+      }
+    } catch (error) {
+      if (error instanceof PatchError) {
+        throw new PatchError(`Operation ${index} (${op}): ${error.message}`);
+      }
+      throw error;
+    }
+  }
+  return doc;
+}
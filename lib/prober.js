@@ -0,0 +1,99 @@
+import { logger } from './logger.js';
+
+// Call the agent's health endpoint through the `egress` policy and time the
+// round trip
+export async function probeAgent(url, { path, timeout, egress }) {
+  const started = Date.now();
+  try {
+    await egress.get(`${url.replace(/\/$/, '')}${path}`, { timeout });
+    return { ok: true, latencyMs: Date.now() - started };
+  } catch (error) {
+    return {
+      ok: false,
+      latencyMs: Date.now() - started,
+      error: error.response ? `HTTP ${error.response.status}` : error.message
+    };
+  }
+}
+
+// Fold a probe result into the health record stored on the agent. An agent
+// is unhealthy after `failureThreshold` consecutive failed probes.
+export function nextHealth(previous = {}, probe, { failureThreshold }, now = new Date()) {
+  const checks = (previous.checks || 0) + 1;
+  const successes = (previous.successes || 0) + (probe.ok ? 1 : 0);
+  const consecutiveFailures = probe.ok ? 0 : (previous.consecutiveFailures || 0) + 1;
+  const lastSuccess = probe.ok ? now.toISOString() : previous.lastSuccess || null;
+
+  return {
+    healthy: Boolean(lastSuccess) && consecutiveFailures < failureThreshold,
+    latencyMs: probe.ok ? probe.latencyMs : previous.latencyMs ?? null,
+    lastChecked: now.toISOString(),
+    lastSuccess,
+    lastError: probe.ok ? null : probe.error,
+    consecutiveFailures,
+    checks,
+    successes,
+    uptime: Math.round((successes / checks) * 10000) / 100
+  };
+}
+
+async function probeAndRecord(storage, id, agent, options) {
+  const probe = await probeAgent(agent.url, options);
+  const health = nextHealth(agent.health, probe, options);
+  // The agent may have been deleted while we were probing it
+  await storage.update(id, { health });
+}
+
+// Probe every registered agent version, a page at a time
+export async function probeAllAgents(storage, options) {
+  let searchAfter;
+  let probed = 0;
+
+  for (;;) {
+    const result = await storage.search({
+      query: { match_all: {} },
+      _source: ['agentId', 'url', 'health'],
+      // The same agentId@version may exist in several tenants
+      sort: [{ agentId: 'asc' }, { version: 'asc' }, { tenant: 'asc' }],
+      size: 100,
+      ...(searchAfter && { search_after: searchAfter })
+    });
+
+    const hits = result.hits;
+    if (hits.length === 0) {
+      break;
+    }
+
+    for (let i = 0; i < hits.length; i += options.concurrency) {
+      await Promise.all(
+        hits.slice(i, i + options.concurrency)
+          .map(hit => probeAndRecord(storage, hit.id, hit.source, options))
+      );
+    }
+
+    probed += hits.length;
+    searchAfter = hits[hits.length - 1].sort;
+  }
+
+  return probed;
+}
+
+// Run the prober on a fixed interval, never overlapping runs
+export function startHealthProber(storage, options) {
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) {
+      return;
+    }
+    running = true;
+    try {
+      await probeAllAgents(storage, options);
+    } catch (error) {
+      logger.error('Health probe error:', error.message);
+    } finally {
+      running = false;
+    }
+  }, options.interval * 1000);
+  timer.unref();
+  return timer;
+}
@@ -0,0 +1,146 @@
+import crypto from 'crypto';
+import Joi from 'joi';
+import { verificationFields } from './signatures.js';
+
+// Publishers and the public keys (JWKS) their signatures on agent cards and
+// registrations are checked against. Only the admin registers publishers,
+// since a registered key is what makes an agent verified.
+
+// JWK members that only private keys have
+const PRIVATE_KEY_MEMBERS = ['d', 'p', 'q', 'dp', 'dq', 'qi', 'oth', 'k'];
+
+const jwkSchema = Joi.object({
+  kty: Joi.string().valid('RSA', 'EC', 'OKP').required(),
+  kid: Joi.string().required(),
+  use: Joi.string().valid('sig').optional(),
+  alg: Joi.string().optional()
+})
+  .unknown()
+  .custom((jwk, helpers) => {
+    if (PRIVATE_KEY_MEMBERS.some(member => jwk[member] !== undefined)) {
+      return helpers.message(`Key "${jwk.kid}" must be a public key`);
+    }
+    try {
+      crypto.createPublicKey({ key: jwk, format: 'jwk' });
+    } catch (error) {
+      return helpers.message(`Key "${jwk.kid}" is not a usable public key: ${error.message}`);
+    }
+    return jwk;
+  });
+
+export const publisherSchema = Joi.object({
+  publisherId: Joi.string().pattern(/^[^/]+$/).required(),
+  name: Joi.string().required(),
+  description: Joi.string().allow('').optional(),
+  jwks: Joi.object({
+    keys: Joi.array().items(jwkSchema).min(1).unique('kid').required()
+  }).required()
+});
+
+const kidsOf = publisher => publisher.jwks.keys.map(key => key.kid);
+
+// Agents read per search when revoking keys
+const REVOKE_PAGE_SIZE = 100;
+
+export class PublisherRegistry {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  init() {
+    return this.storage.init();
+  }
+
+  get(publisherId) {
+    return this.storage.get(publisherId);
+  }
+
+  async list() {
+    const result = await this.storage.search({
+      query: { match_all: {} },
+      sort: [{ publisherId: 'asc' }],
+      size: 1000
+    });
+    return result.hits.map(hit => hit.source);
+  }
+
+  // The publisher, other than `publisherId`, that already uses one of `kids`
+  async kidOwner(kids, publisherId) {
+    const result = await this.storage.search({
+      query: { bool: { filter: [{ terms: { kids } }], must_not: [{ term: { publisherId } }] } },
+      size: 1
+    });
+    return result.hits[0]?.source || null;
+  }
+
+  // Store a validated publisher, creating or replacing it. Key ids are
+  // indexed so signatures can name a key without naming its publisher.
+  async put(publisher, existing = null) {
+    const now = new Date().toISOString();
+    const doc = {
+      ...publisher,
+      kids: kidsOf(publisher),
+      createdAt: existing?.createdAt || now,
+      updatedAt: now
+    };
+    // Searchable before returning, so signatures by its keys verify at once
+    await this.storage.put(publisher.publisherId, doc, { refresh: 'wait_for' });
+    return doc;
+  }
+
+  delete(publisherId) {
+    return this.storage.delete(publisherId, { refresh: 'wait_for' });
+  }
+
+  // { publisherId, jwk } for a key id, or null
+  async findKey(kid) {
+    const result = await this.storage.search({
+      query: { bool: { filter: [{ term: { kids: kid } }] } },
+      size: 1
+    });
+    const publisher = result.hits[0]?.source;
+    const jwk = publisher?.jwks.keys.find(key => key.kid === kid);
+    return jwk ? { publisherId: publisher.publisherId, jwk } : null;
+  }
+}
+
+// Undo verification that rests on keys a publisher no longer has. Signature
+// results by a revoked key turn into failures, so the agent stays unverified
+// until it is signed again with a current key. Returns the number of agent
+// versions updated.
+export async function revokeKeys(agents, publisherId, remainingKids, { refresh } = {}) {
+  const checkedAt = new Date().toISOString();
+  const revoke = result => (result?.verified && result.publisherId === publisherId && !remainingKids.includes(result.kid)
+    ? { ...result, verified: false, errors: [`Key ${result.kid} was revoked`], checkedAt }
+    : result);
+
+  let searchAfter;
+  let updated = 0;
+  for (;;) {
+    const result = await agents.search({
+      query: { bool: { filter: [{ term: { publisherId } }] } },
+      _source: ['registrationSignature', 'cardSignature', 'publisherKids'],
+      // Publishers sign agents in every tenant, where agentIds repeat
+      sort: [{ agentId: 'asc' }, { version: 'asc' }, { tenant: 'asc' }],
+      size: REVOKE_PAGE_SIZE,
+      ...(searchAfter && { search_after: searchAfter })
+    });
+    const hits = result.hits;
+
+    const operations = hits
+      .filter(hit => (hit.source.publisherKids || []).some(kid => !remainingKids.includes(kid)))
+      .map(hit => ({
+        action: 'update',
+        id: hit.id,
+        doc: verificationFields(revoke(hit.source.registrationSignature), revoke(hit.source.cardSignature))
+      }));
+    if (operations.length) {
+      await agents.bulk(operations, { refresh });
+      updated += operations.length;
+    }
+    if (hits.length < REVOKE_PAGE_SIZE) {
+      return updated;
+    }
+    searchAfter = hits[hits.length - 1].sort;
+  }
+}
@@ -0,0 +1,150 @@
+import { hashKey } from './auth.js';
+
+// Fixed-window counters kept in process memory. A shared store only has to
+// implement the same `increment(key, windowMs)` returning { count, resetAt }.
+export class MemoryRateLimitStore {
+  constructor() {
+    this.windows = new Map();
+
+    // Drop finished windows so idle clients do not accumulate
+    this.timer = setInterval(() => {
+      const now = Date.now();
+      for (const [key, window] of this.windows) {
+        if (window.resetAt <= now) {
+          this.windows.delete(key);
+        }
+      }
+    }, 60 * 1000);
+    this.timer.unref();
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let window = this.windows.get(key);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      this.windows.set(key, window);
+    }
+    window.count++;
+    return { count: window.count, resetAt: window.resetAt };
+  }
+}
+
+const STORES = {
+  memory: () => new MemoryRateLimitStore()
+};
+
+// Heartbeats one owner key may send per lease period, for agents renewing a
+// few times per lease and several agents or versions sharing a key
+const HEARTBEATS_PER_LEASE = 10;
+
+const HEARTBEAT_PATH = /^\/agent\/[^/]+\/heartbeat$/;
+
+// Pick the budget a request counts against, or null when it is not limited
+function routeBudget(req) {
+  if (req.path === '/health') return null;
+  if (req.method === 'POST' && HEARTBEAT_PATH.test(req.path)) return 'heartbeat';
+  if (req.path === '/search' || req.path.startsWith('/search/') || req.path === '/route') return 'search';
+  if (req.path === '/registry' || req.path.startsWith('/registry/')) return 'registry';
+  if (req.path.startsWith('/agentcard/')) return 'agentcard';
+  return 'default';
+}
+
+// Every request is counted per IP, and also per API key when one is presented,
+// so rotating keys does not escape the IP budget. Heartbeats with a key are
+// counted per key alone, since many agents may share one address.
+function clientKeys(req, budgetName) {
+  if (budgetName === 'heartbeat' && req.auth?.apiKey) {
+    return [`key:${hashKey(req.auth.apiKey)}`];
+  }
+  const keys = [`ip:${req.ip}`];
+  if (req.auth?.apiKey) {
+    keys.push(`key:${hashKey(req.auth.apiKey)}`);
+  }
+  return keys;
+}
+
+// Build the rate limiter from the `api.rateLimit` config section. Each request
+// counts against one budget: its route's if configured, otherwise the default.
+// A budget with `max: 0` is unlimited. Admin credentials are never limited.
+// Without a configured `max`, the heartbeat budget allows
+// HEARTBEATS_PER_LEASE per `leaseTtl` seconds.
+export function createRateLimiter({ windowMs, max, store = 'memory', routes = {} }, { leaseTtl = 90 } = {}) {
+  const createStore = STORES[store];
+  if (!createStore) {
+    throw new Error(`Unknown rate limit store: ${store}`);
+  }
+  const counters = createStore();
+
+  const budgets = { default: { windowMs, max } };
+  for (const [name, budget] of Object.entries(routes)) {
+    budgets[name] = { windowMs: budget.windowMs || windowMs, max: budget.max };
+  }
+  const heartbeat = budgets.heartbeat || { windowMs };
+  if (heartbeat.max === undefined) {
+    budgets.heartbeat = {
+      ...heartbeat,
+      max: Math.ceil(heartbeat.windowMs / 1000 / leaseTtl) * HEARTBEATS_PER_LEASE
+    };
+  }
+
+  // Count the request against a budget and set RateLimit headers.
+  // Sends 429 and returns false when the budget is exhausted.
+  async function consume(budgetName, req, res) {
+    const budget = budgets[budgetName] || budgets.default;
+    if (budget.max === 0 || req.auth?.isAdmin) {
+      return true;
+    }
+
+    const windows = await Promise.all(
+      clientKeys(req, budgetName).map(key => counters.increment(`${budgetName}:${key}`, budget.windowMs))
+    );
+    // Report the most exhausted of the client's counters
+    const { count, resetAt } = windows.reduce((worst, window) =>
+      (window.count > worst.count ? window : worst));
+    const resetSeconds = Math.max(0, Math.ceil((resetAt - Date.now()) / 1000));
+
+    res.set({
+      'RateLimit-Policy': `${budget.max};w=${Math.ceil(budget.windowMs / 1000)}`,
+      'RateLimit-Limit': String(budget.max),
+      'RateLimit-Remaining': String(Math.max(0, budget.max - count)),
+      'RateLimit-Reset': String(resetSeconds)
+    });
+
+    if (count > budget.max) {
+      res.set('Retry-After', String(resetSeconds));
+      res.status(429).json({
+        error: 'Too many requests',
+        budget: budgetName,
+        retryAfter: resetSeconds
+      });
+      return false;
+    }
+    return true;
+  }
+
+  // Count a request the registry makes on its own behalf, such as a card
+  // fetch for warming, against a budget as `client`. Resolves to false when
+  // the budget is exhausted.
+  async function acquire(budgetName, client) {
+    const budget = budgets[budgetName] || budgets.default;
+    if (budget.max === 0) {
+      return true;
+    }
+    const { count } = await counters.increment(`${budgetName}:system:${client}`, budget.windowMs);
+    return count <= budget.max;
+  }
+
+  async function middleware(req, res, next) {
+    try {
+      const budgetName = routeBudget(req);
+      if (!budgetName || await consume(budgetName, req, res)) {
+        next();
+      }
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  return { middleware, consume, acquire };
+}
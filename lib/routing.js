@@ -0,0 +1,84 @@
+import { distanceTo } from './geo.js';
+
+const round = value => Math.round(value * 1000) / 1000;
+
+// Health from active probing: uptime when healthy, 0 when failing and a
+// neutral 0.5 for agents that have not been probed yet
+function healthComponent(health) {
+  if (!health?.lastChecked) {
+    return { value: 0.5, reason: 'Not health-checked yet' };
+  }
+  if (!health.healthy) {
+    return { value: 0, reason: `Failing health checks (${health.consecutiveFailures} in a row)` };
+  }
+  const uptime = health.uptime ?? 100;
+  return { value: uptime / 100, reason: `Healthy, ${uptime}% uptime` };
+}
+
+// 1 for instant responses, 0.5 at the latency target, towards 0 beyond it
+function latencyComponent(latencyMs, latencyTargetMs) {
+  if (latencyMs === undefined || latencyMs === null) {
+    return { value: 0.5, reason: 'Latency unknown' };
+  }
+  return {
+    value: latencyTargetMs / (latencyTargetMs + latencyMs),
+    reason: `${latencyMs} ms probe latency`
+  };
+}
+
+// Rank search hits for a task. Each hit must come from a search with skill
+// inner hits (see textQuery). Text relevance and skill match are relative to
+// the best candidate; the weighted components give a score from 0 to 1.
+export function rankCandidates(hits, { weights, latencyTargetMs, origin, unit }) {
+  const bestSkill = hit => hit.innerHits?.skills?.[0]?.score || 0;
+  const maxScore = Math.max(0, ...hits.map(hit => hit.score || 0)) || 1;
+  const maxSkillScore = Math.max(0, ...hits.map(bestSkill)) || 1;
+  const totalWeight = Object.values(weights).reduce((sum, weight) => sum + weight, 0) || 1;
+
+  const ranked = hits.map(hit => {
+    const agent = hit.source;
+    const matchedSkills = (hit.innerHits?.skills || []).map(skill => ({
+      id: skill.source.id,
+      name: skill.source.name,
+      score: round(skill.score / maxSkillScore)
+    }));
+    const health = healthComponent(agent.health);
+    const latency = latencyComponent(agent.health?.latencyMs, latencyTargetMs);
+
+    const breakdown = {
+      relevance: (hit.score || 0) / maxScore,
+      skills: bestSkill(hit) / maxSkillScore,
+      health: health.value,
+      latency: latency.value
+    };
+    const score = Object.entries(weights)
+      .reduce((sum, [component, weight]) => sum + weight * breakdown[component], 0) / totalWeight;
+
+    const reasons = [
+      `Text relevance ${Math.round(breakdown.relevance * 100)}% of the best match`,
+      matchedSkills.length
+        ? `Skills matching the task: ${matchedSkills.map(skill => skill.name).join(', ')}`
+        : 'No skill matches the task text',
+      health.reason,
+      latency.reason
+    ];
+
+    const distance = origin ? distanceTo(origin, agent.location?.coordinates, unit) : null;
+    if (distance !== null) {
+      reasons.push(`${round(distance)} ${unit} away`);
+    }
+
+    return {
+      agent,
+      score: round(score),
+      breakdown: Object.fromEntries(
+        Object.entries(breakdown).map(([component, value]) => [component, round(value)])
+      ),
+      matchedSkills,
+      reasons,
+      ...(distance !== null && { distance })
+    };
+  });
+
+  return ranked.sort((a, b) => b.score - a.score);
+}
@@ -0,0 +1,221 @@
+import { versionRangeQuery } from './version.js';
+
+// Query DSL building shared by /search, /search/skills and /route
+
+// Only the version each agent resolves to by default. Documents registered
+// before multi-version support have no `latest` flag and always match.
+export const LATEST_VERSION_FILTER = { bool: { must_not: [{ term: { latest: false } }] } };
+
+// Semantic and hybrid searches consider at least this many nearest agents
+export const SEMANTIC_MIN_K = 100;
+
+export function splitList(value) {
+  return value.split(',').map(item => item.trim());
+}
+
+// Skill filters for input/output modes. A full media type matches exactly;
+// a bare type such as `audio` matches any of its subtypes.
+export function skillModeFilters({ inputMode, outputMode }) {
+  const modeQuery = (field, mode) => (mode.includes('/')
+    ? { term: { [field]: mode } }
+    : { bool: { should: [{ term: { [field]: mode } }, { prefix: { [field]: `${mode}/` } }] } });
+
+  const filters = [];
+  if (inputMode) {
+    filters.push(modeQuery('skills.inputModes', inputMode));
+  }
+  if (outputMode) {
+    filters.push(modeQuery('skills.outputModes', outputMode));
+  }
+  return filters;
+}
+
+// Text search over the agent and its best matching skill. With `skillHits`,
+// up to that many matching skills come back as inner hits named `skills`.
+export function textQuery(q, { skillHits = 0 } = {}) {
+  const skillQuery = {
+    nested: {
+      path: 'skills',
+      score_mode: 'max',
+      query: {
+        multi_match: {
+          query: q,
+          fields: ['skills.name^2', 'skills.description', 'skills.examples'],
+          fuzziness: 'AUTO',
+          type: 'best_fields'
+        }
+      }
+    }
+  };
+  if (skillHits) {
+    skillQuery.nested.inner_hits = { name: 'skills', size: skillHits };
+  }
+
+  return {
+    bool: {
+      should: [
+        {
+          multi_match: {
+            query: q,
+            fields: ['name^2', 'description', 'capabilities'],
+            fuzziness: 'AUTO',
+            type: 'best_fields'
+          }
+        },
+        skillQuery
+      ]
+    }
+  };
+}
+
+// Filter clauses for the /search parameters. `tags` matches any of the tags,
+// `requiredTags` all of them. Without a `version` range only each agent's
+// latest version matches.
+export function buildFilters({
+  tags, requiredTags, status, version, healthy, verified, publisherId, inputMode, outputMode,
+  city, country, lat, lon, radius, unit = 'km', bbox
+}) {
+  const filter = [];
+
+  // Tag filters
+  if (tags) {
+    filter.push({ terms: { tags: Array.isArray(tags) ? tags : splitList(tags) } });
+  }
+  for (const tag of requiredTags || []) {
+    filter.push({ term: { tags: tag } });
+  }
+
+  // Status filter
+  if (status) {
+    filter.push({ term: { status } });
+  }
+
+  // Version range filter, over every registered version
+  filter.push(version ? versionRangeQuery(version) : LATEST_VERSION_FILTER);
+
+  // Health filter (from active probing)
+  if (healthy !== undefined) {
+    filter.push({ term: { 'health.healthy': healthy } });
+  }
+
+  // Publisher filters (from signature verification). Agents stored before
+  // verification existed count as unverified.
+  if (verified === true) {
+    filter.push({ term: { verified: true } });
+  } else if (verified === false) {
+    filter.push({ bool: { must_not: [{ term: { verified: true } }] } });
+  }
+  if (publisherId) {
+    filter.push({ term: { publisherId } });
+  }
+
+  // Skill mode filters, which must hold for the same skill
+  const modeFilters = skillModeFilters({ inputMode, outputMode });
+  if (modeFilters.length) {
+    filter.push({
+      nested: {
+        path: 'skills',
+        query: { bool: { filter: modeFilters } }
+      }
+    });
+  }
+
+  // Location filters
+  if (city) {
+    filter.push({ term: { 'location.city': city } });
+  }
+  if (country) {
+    filter.push({ term: { 'location.country': country } });
+  }
+
+  // Geo radius filter
+  if (radius) {
+    filter.push({
+      geo_distance: {
+        distance: `${radius}${unit}`,
+        'location.coordinates': { lat, lon }
+      }
+    });
+  }
+
+  // Geo bounding box filter
+  if (bbox) {
+    filter.push({
+      geo_bounding_box: {
+        'location.coordinates': bbox
+      }
+    });
+  }
+
+  return filter;
+}
+
+export function buildSort({ sort = 'relevance', q, lat, lon, unit = 'km' }) {
+  switch (sort) {
+    case 'distance':
+      return [{
+        _geo_distance: {
+          'location.coordinates': { lat, lon },
+          order: 'asc',
+          unit
+        }
+      }];
+    case 'name':
+      return [{ 'name.keyword': { order: 'asc' } }];
+    case 'updatedAt':
+      return [{ updatedAt: { order: 'desc' } }];
+    case 'latency':
+      return [{ 'health.latencyMs': { order: 'asc', missing: '_last' } }];
+    case 'relevance':
+    default:
+      return q ? [] : [{ updatedAt: { order: 'desc' } }];
+  }
+}
+
+// Search body for the /search parameters. Semantic and hybrid modes need
+// `queryVector`, the embedded `q`, and the `embeddings` config section.
+// `acrossTenants` is set for the admin's view across every tenant.
+export function buildSearchBody(params, { queryVector, embeddings, skillHits, acrossTenants = false } = {}) {
+  const { q, mode = 'keyword', page = 1, perPage = 20 } = params;
+  const from = (page - 1) * perPage;
+  const filter = buildFilters(params);
+
+  const body = {
+    query: {
+      bool: {
+        must: q ? [textQuery(q, { skillHits })] : [],
+        filter
+      }
+    },
+    sort: buildSort(params),
+    from,
+    size: perPage
+  };
+
+  // Several versions of one agent may match a range; show each agent once.
+  // Across tenants, one agentId may name several agents.
+  if (params.version) {
+    body.collapse = { field: acrossTenants ? 'agentKey' : 'agentId' };
+  }
+
+  // Semantic search ranks the nearest agent vectors under the same filters;
+  // hybrid adds those vector scores to the keyword query's BM25 scores
+  if (mode !== 'keyword') {
+    const k = Math.max(from + perPage, SEMANTIC_MIN_K);
+    body.knn = {
+      field: 'embedding',
+      query_vector: queryVector,
+      k,
+      num_candidates: Math.min(k * 2, 10000),
+      similarity: embeddings.minSimilarity,
+      filter
+    };
+    if (mode === 'semantic') {
+      delete body.query;
+    } else {
+      body.knn.boost = embeddings.hybridVectorBoost;
+    }
+  }
+
+  return body;
+}
@@ -0,0 +1,159 @@
+import crypto from 'crypto';
+import Joi from 'joi';
+import { canonicalJson } from './agentCard.js';
+
+// JWS signatures on agent cards and registrations, in the A2A
+// AgentCardSignature form: { protected, signature, header } in a
+// `signatures` array. Each signs the document without its `signatures`,
+// serialized with the JSON Canonicalization Scheme, as the JWS payload:
+//   BASE64URL(protected) . BASE64URL(canonical document)
+// The protected header names the algorithm and the `kid` of a publisher key
+// registered with the registry.
+
+// alg => how to verify it with crypto.verify()
+const ALGORITHMS = {
+  RS256: { hash: 'sha256' },
+  RS384: { hash: 'sha384' },
+  RS512: { hash: 'sha512' },
+  PS256: { hash: 'sha256', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  PS384: { hash: 'sha384', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  PS512: { hash: 'sha512', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  ES256: { hash: 'sha256', dsaEncoding: 'ieee-p1363' },
+  ES384: { hash: 'sha384', dsaEncoding: 'ieee-p1363' },
+  ES512: { hash: 'sha512', dsaEncoding: 'ieee-p1363' },
+  EdDSA: { hash: null }
+};
+
+export const SIGNATURE_ALGORITHMS = Object.keys(ALGORITHMS);
+
+export const signaturesSchema = Joi.array().items(Joi.object({
+  protected: Joi.string().pattern(/^[A-Za-z0-9_-]+$/).required(),
+  signature: Joi.string().pattern(/^[A-Za-z0-9_-]+$/).required(),
+  // Unprotected header parameters, which verification ignores
+  header: Joi.object().unknown().optional()
+})).min(1);
+
+// The JWS signing input for a document signed with `protectedHeader`
+export function signingInput(protectedHeader, document) {
+  const { signatures, ...payload } = document;
+  return `${protectedHeader}.${Buffer.from(canonicalJson(payload)).toString('base64url')}`;
+}
+
+// Check one signature. Returns { publisherId, kid, alg } or throws with the
+// reason it does not verify.
+async function verifySignature(document, { protected: protectedHeader, signature }, findKey) {
+  let header;
+  try {
+    header = JSON.parse(Buffer.from(protectedHeader, 'base64url').toString('utf8'));
+  } catch {
+    throw new Error('Protected header is not JSON');
+  }
+  const { alg, kid, crit } = header || {};
+  if (!ALGORITHMS[alg]) {
+    throw new Error(`Unsupported algorithm: ${alg}`);
+  }
+  if (crit) {
+    throw new Error('Critical header parameters are not supported');
+  }
+  if (typeof kid !== 'string') {
+    throw new Error('Protected header has no kid');
+  }
+
+  const found = await findKey(kid);
+  if (!found) {
+    throw new Error(`Unknown key: ${kid}`);
+  }
+  if (found.jwk.alg && found.jwk.alg !== alg) {
+    throw new Error(`Key ${kid} is for ${found.jwk.alg}, not ${alg}`);
+  }
+
+  const { hash, ...options } = ALGORITHMS[alg];
+  let valid;
+  try {
+    valid = crypto.verify(
+      hash,
+      Buffer.from(signingInput(protectedHeader, document)),
+      { key: crypto.createPublicKey({ key: found.jwk, format: 'jwk' }), ...options },
+      Buffer.from(signature, 'base64url')
+    );
+  } catch (error) {
+    throw new Error(`Key ${kid} cannot verify ${alg}: ${error.message}`);
+  }
+  if (!valid) {
+    throw new Error(`Signature by ${kid} does not match the document`);
+  }
+  return { publisherId: found.publisherId, kid, alg };
+}
+
+// Verify a document's `signatures` with `findKey(kid)`, which resolves to
+// { publisherId, jwk } or null. One valid signature is enough. Returns null
+// for an unsigned document, otherwise { verified, publisherId, kid, alg,
+// errors, checkedAt }.
+export async function verifySignatures(document, findKey) {
+  if (!Array.isArray(document?.signatures) || document.signatures.length === 0) {
+    return null;
+  }
+  const checkedAt = new Date().toISOString();
+  const errors = [];
+  for (const signature of document.signatures) {
+    try {
+      const signer = await verifySignature(document, signature || {}, findKey);
+      return { verified: true, ...signer, errors: [], checkedAt };
+    } catch (error) {
+      errors.push(error.message);
+    }
+  }
+  return { verified: false, publisherId: null, kid: null, alg: null, errors, checkedAt };
+}
+
+// Whether `endpoint` is the URL `url` or a path under it, on the same
+// origin. URLs are compared as parsed, so a trailing slash or letter case in
+// the host does not matter.
+function isUnder(endpoint, url) {
+  try {
+    const parsed = new URL(endpoint);
+    const base = new URL(url);
+    const path = parsed.pathname.replace(/\/$/, '');
+    const basePath = base.pathname.replace(/\/$/, '');
+    return parsed.origin === base.origin && (path === basePath || path.startsWith(`${basePath}/`));
+  } catch {
+    return false;
+  }
+}
+
+// Verify the signatures of the card fetched for the agent registered at
+// `url`. A signature only vouches for the card's own `url`, the agent's
+// service endpoint, which must be the registered URL or a path under it, so
+// a signed card copied to another host and registered there does not verify.
+export async function verifyCardSignatures(card, url, findKey) {
+  const result = await verifySignatures(card, findKey);
+  if (!result?.verified || isUnder(card.url, url)) {
+    return result;
+  }
+  return {
+    verified: false,
+    publisherId: null,
+    kid: null,
+    alg: null,
+    errors: [`Card is signed for ${card.url}, which is not under the registered URL ${url}`],
+    checkedAt: result.checkedAt
+  };
+}
+
+// Agent fields derived from the registration and card verification results.
+// An agent is verified when whatever is signed verifies, by one publisher.
+// Without a signed registration, that takes a card bound to the agent's URL
+// (see verifyCardSignatures).
+export function verificationFields(registrationSignature, cardSignature) {
+  const results = [registrationSignature, cardSignature].filter(Boolean);
+  const publishers = new Set(results.map(result => result.publisherId));
+  const verified = results.length > 0 && results.every(result => result.verified) && publishers.size === 1;
+  return {
+    registrationSignature: registrationSignature || null,
+    cardSignature: cardSignature || null,
+    verified,
+    publisherId: verified ? results[0].publisherId : null,
+    // Keys this verification rests on, so revoking one can undo it
+    publisherKids: verified ? [...new Set(results.map(result => result.kid))] : []
+  };
+}
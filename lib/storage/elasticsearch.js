@@ -0,0 +1,275 @@
+import { Client } from '@elastic/elasticsearch';
+import { AGENT_MAPPINGS, AGENT_SETTINGS } from './mappings.js';
+import { PointInTimeNotFoundError, VersionConflictError } from './errors.js';
+import { logger } from '../logger.js';
+
+function isNotFound(error) {
+  return error.meta?.statusCode === 404;
+}
+
+function isConflict(error) {
+  return error.meta?.statusCode === 409;
+}
+
+// Request parameters for write options: `refresh` (true or 'wait_for'; by
+// default writes become searchable on the next scheduled refresh) and the
+// `ifSeqNo`/`ifPrimaryTerm` of the document a conditional write expects
+function writeParams({ refresh, ifSeqNo, ifPrimaryTerm, create } = {}) {
+  return {
+    ...(refresh && { refresh }),
+    ...(create && { op_type: 'create' }),
+    ...(ifSeqNo !== undefined && { if_seq_no: ifSeqNo, if_primary_term: ifPrimaryTerm })
+  };
+}
+
+// Map a raw Elasticsearch hit to the storage hit shape
+function toHit(hit) {
+  return {
+    id: hit._id,
+    source: hit._source,
+    score: hit._score,
+    sort: hit.sort,
+    ...(hit._seq_no !== undefined && { seqNo: hit._seq_no, primaryTerm: hit._primary_term }),
+    ...(hit.inner_hits && { innerHits: toInnerHits(hit.inner_hits) })
+  };
+}
+
+// Matched nested objects per inner_hits name: [{ source, score, offset }]
+function toInnerHits(innerHits) {
+  return Object.fromEntries(Object.entries(innerHits).map(([name, inner]) => [
+    name,
+    inner.hits.hits.map(hit => ({
+      source: hit._source,
+      score: hit._score,
+      offset: hit._nested?.offset
+    }))
+  ]));
+}
+
+// Document storage backed by an Elasticsearch index, created with the given
+// mappings and settings when missing
+export class ElasticsearchStorage {
+  constructor({ url, username, password, index, mappings = AGENT_MAPPINGS, settings = AGENT_SETTINGS }) {
+    this.backend = 'elasticsearch';
+    this.index = index;
+    this.mappings = mappings;
+    this.settings = settings;
+    this.client = new Client({
+      node: url,
+      auth: { username, password }
+    });
+  }
+
+  async init() {
+    try {
+      const indexExists = await this.client.indices.exists({ index: this.index });
+
+      if (!indexExists) {
+        await this.client.indices.create({
+          index: this.index,
+          body: {
+            mappings: this.mappings,
+            settings: this.settings
+          }
+        });
+        logger.info(`Created index: ${this.index}`);
+      } else {
+        // Map fields added since the index was created, such as `tenant`,
+        // before documents with them arrive and are mapped dynamically
+        await this.client.indices.putMapping({ index: this.index, body: this.mappings });
+      }
+    } catch (error) {
+      logger.error('Error initializing Elasticsearch index:', error);
+    }
+  }
+
+  async health() {
+    const esHealth = await this.client.cluster.health();
+    return {
+      backend: this.backend,
+      status: esHealth.status,
+      cluster_name: esHealth.cluster_name,
+      number_of_nodes: esHealth.number_of_nodes
+    };
+  }
+
+  // Returns the stored document, or null when it does not exist
+  async get(id) {
+    try {
+      const result = await this.client.get({ index: this.index, id });
+      return result._source;
+    } catch (error) {
+      if (isNotFound(error)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  // Returns { id, source, seqNo, primaryTerm }, or null when the document
+  // does not exist
+  async getDocument(id) {
+    try {
+      const result = await this.client.get({ index: this.index, id });
+      return { id, source: result._source, seqNo: result._seq_no, primaryTerm: result._primary_term };
+    } catch (error) {
+      if (isNotFound(error)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  // Create or replace a document; returns { seqNo, primaryTerm }. A
+  // conditional put of a missing document fails with VersionConflictError,
+  // as does a put with `create` of one that exists.
+  async put(id, doc, options = {}) {
+    try {
+      const result = await this.client.index({
+        index: this.index,
+        id,
+        body: doc,
+        ...writeParams(options)
+      });
+      return { seqNo: result._seq_no, primaryTerm: result._primary_term };
+    } catch (error) {
+      if (isConflict(error)) {
+        throw new VersionConflictError(id);
+      }
+      throw error;
+    }
+  }
+
+  // Merge fields into an existing document; returns false when it does not exist
+  async update(id, doc, { refresh } = {}) {
+    try {
+      await this.client.update({
+        index: this.index,
+        id,
+        retry_on_conflict: 3,
+        body: { doc },
+        ...writeParams({ refresh })
+      });
+      return true;
+    } catch (error) {
+      if (isNotFound(error)) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  // Returns false when the document did not exist
+  async delete(id, options = {}) {
+    try {
+      await this.client.delete({ index: this.index, id, ...writeParams(options) });
+      return true;
+    } catch (error) {
+      if (isNotFound(error)) {
+        return false;
+      }
+      if (isConflict(error)) {
+        throw new VersionConflictError(id);
+      }
+      throw error;
+    }
+  }
+
+  // Index, update and delete many documents in one bulk request. Returns
+  // [{ id, ok, error }] in operation order.
+  async bulk(operations, { refresh } = {}) {
+    if (operations.length === 0) {
+      return [];
+    }
+    const lines = operations.flatMap(({ action, id, doc }) => {
+      const meta = { [action]: { _index: this.index, _id: id } };
+      if (action === 'delete') return [meta];
+      if (action === 'update') return [meta, { doc }];
+      return [meta, doc];
+    });
+    const result = await this.client.bulk({ body: lines, ...writeParams({ refresh }) });
+
+    return result.items.map(item => {
+      const [outcome] = Object.values(item);
+      return {
+        id: outcome._id,
+        ok: !outcome.error && outcome.status < 300,
+        error: outcome.error?.reason || (outcome.status === 404 ? 'Not found' : null)
+      };
+    });
+  }
+
+  // Run a Query DSL search body; returns { total, hits, aggregations }. Hits
+  // carry seqNo and primaryTerm when the body sets seq_no_primary_term. A
+  // search in a point in time (`pit`) also returns its possibly updated pitId.
+  async search(body) {
+    let result;
+    try {
+      // A point in time already names its index
+      result = await this.client.search(body.pit ? { body } : { index: this.index, body });
+    } catch (error) {
+      if (body.pit && isNotFound(error)) {
+        throw new PointInTimeNotFoundError();
+      }
+      throw error;
+    }
+
+    return {
+      total: result.hits.total.value,
+      hits: result.hits.hits.map(toHit),
+      aggregations: result.aggregations,
+      ...(result.pit_id && { pitId: result.pit_id })
+    };
+  }
+
+  // Freeze the index as it is now for searches that page through it; the
+  // point in time expires `keepAlive` seconds after its last search
+  async openPointInTime({ keepAlive }) {
+    const result = await this.client.openPointInTime({ index: this.index, keep_alive: `${keepAlive}s` });
+    return result.id;
+  }
+
+  async closePointInTime(pitId) {
+    try {
+      await this.client.closePointInTime({ id: pitId });
+    } catch (error) {
+      if (!isNotFound(error)) {
+        throw error;
+      }
+    }
+  }
+
+  // Set the given fields on every matching document; returns the count. By
+  // query writes cannot wait for a refresh, so any `refresh` forces one.
+  async updateByQuery(query, doc, { refresh } = {}) {
+    const result = await this.client.updateByQuery({
+      index: this.index,
+      conflicts: 'proceed',
+      refresh: Boolean(refresh),
+      body: {
+        query,
+        script: {
+          source: 'for (entry in params.doc.entrySet()) { ctx._source[entry.getKey()] = entry.getValue(); }',
+          params: { doc }
+        }
+      }
+    });
+    return result.updated || 0;
+  }
+
+  // Delete every matching document; returns the count
+  async deleteByQuery(query, { refresh } = {}) {
+    const result = await this.client.deleteByQuery({
+      index: this.index,
+      conflicts: 'proceed',
+      refresh: Boolean(refresh),
+      body: { query }
+    });
+    return result.deleted || 0;
+  }
+
+  // Make recent writes visible to search
+  async refresh() {
+    await this.client.indices.refresh({ index: this.index });
+  }
+}
@@ -0,0 +1,17 @@
+// Thrown by a conditional write (`ifSeqNo` / `ifPrimaryTerm`) when the
+// document has changed since it was read, or no longer exists
+export class VersionConflictError extends Error {
+  constructor(id) {
+    super(`Document ${id} has been modified`);
+    this.name = 'VersionConflictError';
+    this.id = id;
+  }
+}
+
+// Thrown by a search in a point in time that has expired or been closed
+export class PointInTimeNotFoundError extends Error {
+  constructor() {
+    super('Point in time not found');
+    this.name = 'PointInTimeNotFoundError';
+  }
+}
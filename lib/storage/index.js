@@ -0,0 +1,78 @@
+import { ElasticsearchStorage } from './elasticsearch.js';
+import { MemoryStorage } from './memory.js';
+import {
+  AGENT_MAPPINGS,
+  AGENT_SETTINGS,
+  AGENT_HEAD_MAPPINGS,
+  AUDIT_MAPPINGS,
+  CARD_HISTORY_MAPPINGS,
+  PUBLISHER_MAPPINGS,
+  WEBHOOK_DELIVERY_MAPPINGS,
+  WEBHOOK_MAPPINGS
+} from './mappings.js';
+
+export { PointInTimeNotFoundError, VersionConflictError } from './errors.js';
+
+// Storage backends implement the same interface:
+//   init(), health(), get(id), getDocument(id), put(id, doc, options),
+//   update(id, doc, options), delete(id, options), bulk(operations, options),
+//   search(body), updateByQuery(query, doc, options),
+//   deleteByQuery(query, options), refresh(), openPointInTime({ keepAlive }),
+//   closePointInTime(pitId)
+// Writes become searchable on the next scheduled refresh, or before they
+// return with the `refresh: 'wait_for'` option. getDocument() returns
+// { id, source, seqNo, primaryTerm }, and put() returns { seqNo, primaryTerm }.
+// put() and delete() also take `ifSeqNo` and `ifPrimaryTerm`, and throw
+// VersionConflictError when the document has been written since; put() with
+// `create: true` throws it when the document already exists.
+// bulk() takes [{ action: 'index' | 'update' | 'delete', id, doc }], where an
+// update merges `doc` like update(), and returns [{ id, ok, error }] in the
+// same order.
+// search() takes an Elasticsearch Query DSL body and returns
+// { total, hits: [{ id, source, score, sort, innerHits }], aggregations },
+// where innerHits maps each nested query's inner_hits name to the matched
+// nested objects as [{ source, score, offset }]. A body with
+// `pit: { id, keep_alive }` searches a point in time, which sees the
+// documents as they were when openPointInTime() returned its id; sorting on
+// `_shard_doc` breaks ties between its hits. The result then includes the
+// `pitId` to use next, and a point in time that is gone throws
+// PointInTimeNotFoundError.
+const BACKENDS = {
+  elasticsearch: (config, collection) => new ElasticsearchStorage({
+    ...config.elasticsearch,
+    index: `${config.elasticsearch.index}${collection.indexSuffix}`,
+    mappings: collection.mappings,
+    settings: collection.settings
+  }),
+  memory: (config, collection) => new MemoryStorage({ mappings: collection.mappings })
+};
+
+// Document collections. Each has its own Elasticsearch index, named after
+// `elasticsearch.index`.
+const COLLECTIONS = {
+  agents: { indexSuffix: '', mappings: AGENT_MAPPINGS, settings: AGENT_SETTINGS },
+  agentHeads: { indexSuffix: '-heads', mappings: AGENT_HEAD_MAPPINGS, settings: AGENT_SETTINGS },
+  audit: { indexSuffix: '-audit', mappings: AUDIT_MAPPINGS, settings: AGENT_SETTINGS },
+  cardHistory: { indexSuffix: '-card-history', mappings: CARD_HISTORY_MAPPINGS, settings: AGENT_SETTINGS },
+  publishers: { indexSuffix: '-publishers', mappings: PUBLISHER_MAPPINGS, settings: AGENT_SETTINGS },
+  webhooks: { indexSuffix: '-webhooks', mappings: WEBHOOK_MAPPINGS, settings: AGENT_SETTINGS },
+  webhookDeliveries: {
+    indexSuffix: '-webhook-deliveries',
+    mappings: WEBHOOK_DELIVERY_MAPPINGS,
+    settings: AGENT_SETTINGS
+  }
+};
+
+// Build the backend selected by `config.storage.backend` for a collection
+export function createStorage(config, collectionName = 'agents') {
+  const backend = config.storage?.backend || 'elasticsearch';
+  const create = BACKENDS[backend];
+  if (!create) {
+    throw new Error(`Unknown storage backend: ${backend}`);
+  }
+  const collection = COLLECTIONS[collectionName];
+  if (!collection) {
+    throw new Error(`Unknown storage collection: ${collectionName}`);
+  }
+  return create(config, collection);
+}
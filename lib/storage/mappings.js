@@ -0,0 +1,276 @@
+// Index mappings for agent documents. The Elasticsearch backend creates the
+// index from these; the memory backend uses them to tell text from keyword
+// fields and to resolve multi-fields such as `name.keyword`.
+export const AGENT_MAPPINGS = {
+  properties: {
+    tenant: { type: 'keyword' },
+    agentId: { type: 'keyword' },
+    name: {
+      type: 'text',
+      analyzer: 'standard',
+      fields: {
+        keyword: { type: 'keyword' }
+      }
+    },
+    description: {
+      type: 'text',
+      analyzer: 'standard'
+    },
+    url: { type: 'keyword' },
+    ownerKeyHash: { type: 'keyword', index: false },
+    tags: { type: 'keyword' },
+    status: { type: 'keyword' },
+    statusReason: { type: 'keyword' },
+    leaseTtl: { type: 'integer' },
+    lastHeartbeat: { type: 'date' },
+    leaseExpiresAt: { type: 'date' },
+    version: { type: 'keyword' },
+    // Sorts in semver precedence order (see lib/version.js)
+    versionSort: { type: 'keyword' },
+    prerelease: { type: 'boolean' },
+    // Whether plain agentId resolves to this version
+    latest: { type: 'boolean' },
+    // `tenant/agentId`, telling apart agents with one agentId in several
+    // tenants where searches collapse versions
+    agentKey: { type: 'keyword' },
+    // Counts the writes of the registration, which its ETag is built from
+    revision: { type: 'integer' },
+    capabilities: {
+      type: 'text',
+      analyzer: 'standard'
+    },
+    // Card-level defaults; each indexed skill already carries its resolved modes
+    defaultInputModes: { type: 'keyword' },
+    defaultOutputModes: { type: 'keyword' },
+    // One nested document per A2A skill, so a filter's conditions must hold
+    // for the same skill
+    skills: {
+      type: 'nested',
+      properties: {
+        id: { type: 'keyword' },
+        name: {
+          type: 'text',
+          analyzer: 'standard',
+          fields: {
+            keyword: { type: 'keyword' }
+          }
+        },
+        description: {
+          type: 'text',
+          analyzer: 'standard'
+        },
+        tags: { type: 'keyword' },
+        examples: {
+          type: 'text',
+          analyzer: 'standard'
+        },
+        inputModes: { type: 'keyword' },
+        outputModes: { type: 'keyword' }
+      }
+    },
+    location: {
+      type: 'object',
+      properties: {
+        coordinates: { type: 'geo_point' },
+        city: { type: 'keyword' },
+        country: { type: 'keyword' },
+        // How the location was submitted, so it is returned the same way
+        format: { type: 'keyword', index: false },
+        geohashPrecision: { type: 'integer', index: false }
+      }
+    },
+    health: {
+      type: 'object',
+      properties: {
+        healthy: { type: 'boolean' },
+        latencyMs: { type: 'integer' },
+        lastChecked: { type: 'date' },
+        lastSuccess: { type: 'date' },
+        lastError: { type: 'keyword', index: false },
+        consecutiveFailures: { type: 'integer' },
+        checks: { type: 'long' },
+        successes: { type: 'long' },
+        uptime: { type: 'float' }
+      }
+    },
+    // Result of validating the agent's A2A card
+    cardValidation: {
+      type: 'object',
+      properties: {
+        valid: { type: 'boolean' },
+        errors: { type: 'object', enabled: false },
+        cardPath: { type: 'keyword' },
+        checkedAt: { type: 'date' }
+      }
+    },
+    // Where the agent's card was last fetched from, its validators and the
+    // hash of its contents
+    cardSource: {
+      type: 'object',
+      properties: {
+        url: { type: 'keyword' },
+        path: { type: 'keyword' },
+        etag: { type: 'keyword', index: false },
+        lastModified: { type: 'keyword', index: false },
+        hash: { type: 'keyword' },
+        fetchedAt: { type: 'date' },
+        changedAt: { type: 'date' }
+      }
+    },
+    // Results of checking JWS signatures on the registration and the card
+    registrationSignature: {
+      type: 'object',
+      properties: {
+        verified: { type: 'boolean' },
+        publisherId: { type: 'keyword' },
+        kid: { type: 'keyword' },
+        alg: { type: 'keyword' },
+        errors: { type: 'keyword', index: false },
+        checkedAt: { type: 'date' }
+      }
+    },
+    cardSignature: {
+      type: 'object',
+      properties: {
+        verified: { type: 'boolean' },
+        publisherId: { type: 'keyword' },
+        kid: { type: 'keyword' },
+        alg: { type: 'keyword' },
+        errors: { type: 'keyword', index: false },
+        checkedAt: { type: 'date' }
+      }
+    },
+    // Whether the signed registration and card verify, by one publisher
+    verified: { type: 'boolean' },
+    publisherId: { type: 'keyword' },
+    publisherKids: { type: 'keyword' },
+    // Semantic search vector; dims are taken from the first indexed document
+    embedding: {
+      type: 'dense_vector',
+      index: true,
+      similarity: 'cosine'
+    },
+    updatedAt: { type: 'date' }
+  }
+};
+
+// The versions of each agent, one document per agent; only read by id
+export const AGENT_HEAD_MAPPINGS = {
+  properties: {
+    agentId: { type: 'keyword' },
+    tenant: { type: 'keyword' },
+    ownerKeyHash: { type: 'keyword' },
+    latest: { type: 'keyword' },
+    versions: { type: 'object', enabled: false },
+    updatedAt: { type: 'date' }
+  }
+};
+
+// Audit events, one append-only document per change to an agent
+export const AUDIT_MAPPINGS = {
+  properties: {
+    eventId: { type: 'keyword' },
+    tenant: { type: 'keyword' },
+    agentId: { type: 'keyword' },
+    version: { type: 'keyword' },
+    action: { type: 'keyword' },
+    timestamp: { type: 'date' },
+    actor: {
+      type: 'object',
+      properties: {
+        role: { type: 'keyword' },
+        keyId: { type: 'keyword' }
+      }
+    },
+    ip: { type: 'keyword' },
+    userAgent: { type: 'keyword', index: false },
+    reason: { type: 'keyword' },
+    changedFields: { type: 'keyword' },
+    // [{ field, from, to }]; values can be of any type, so they are not indexed
+    changes: { type: 'object', enabled: false }
+  }
+};
+
+// Agent card versions, one document per change to an agent's card
+export const CARD_HISTORY_MAPPINGS = {
+  properties: {
+    entryId: { type: 'keyword' },
+    tenant: { type: 'keyword' },
+    agentId: { type: 'keyword' },
+    version: { type: 'keyword' },
+    hash: { type: 'keyword' },
+    previousHash: { type: 'keyword' },
+    fetchedAt: { type: 'date' },
+    url: { type: 'keyword' },
+    path: { type: 'keyword' },
+    etag: { type: 'keyword', index: false },
+    lastModified: { type: 'keyword', index: false },
+    changedFields: { type: 'keyword' },
+    changes: { type: 'object', enabled: false },
+    card: { type: 'object', enabled: false }
+  }
+};
+
+// Publishers whose keys sign agent cards and registrations
+export const PUBLISHER_MAPPINGS = {
+  properties: {
+    publisherId: { type: 'keyword' },
+    name: { type: 'text' },
+    description: { type: 'text' },
+    // Public keys as a JWK Set; `kids` indexes their key ids
+    jwks: { type: 'object', enabled: false },
+    kids: { type: 'keyword' },
+    createdAt: { type: 'date' },
+    updatedAt: { type: 'date' }
+  }
+};
+
+// Outbound webhook subscriptions
+export const WEBHOOK_MAPPINGS = {
+  properties: {
+    webhookId: { type: 'keyword' },
+    tenant: { type: 'keyword' },
+    url: { type: 'keyword' },
+    description: { type: 'text' },
+    events: { type: 'keyword' },
+    tags: { type: 'keyword' },
+    agentIds: { type: 'keyword' },
+    active: { type: 'boolean' },
+    // Needed in the clear to sign deliveries
+    secret: { type: 'keyword', index: false },
+    ownerKeyHash: { type: 'keyword' },
+    createdAt: { type: 'date' },
+    updatedAt: { type: 'date' }
+  }
+};
+
+// One document per event sent to a webhook, with its delivery attempts
+export const WEBHOOK_DELIVERY_MAPPINGS = {
+  properties: {
+    deliveryId: { type: 'keyword' },
+    webhookId: { type: 'keyword' },
+    eventId: { type: 'keyword' },
+    eventType: { type: 'keyword' },
+    agentId: { type: 'keyword' },
+    status: { type: 'keyword' },
+    attempts: { type: 'integer' },
+    nextAttemptAt: { type: 'date' },
+    lastAttemptAt: { type: 'date' },
+    deliveredAt: { type: 'date' },
+    createdAt: { type: 'date' },
+    responseStatus: { type: 'integer' },
+    lastError: { type: 'keyword', index: false },
+    payload: { type: 'object', enabled: false },
+    attemptLog: { type: 'object', enabled: false }
+  }
+};
+
+export const AGENT_SETTINGS = {
+  analysis: {
+    analyzer: {
+      standard: {
+        type: 'standard'
+      }
+    }
+  }
+};
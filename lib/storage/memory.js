@@ -0,0 +1,842 @@
+import crypto from 'crypto';
+import { AGENT_MAPPINGS } from './mappings.js';
+import { PointInTimeNotFoundError, VersionConflictError } from './errors.js';
+import { haversine, inBoundingBox, parseDistance, parseGeoPoint, toMeters } from '../geo.js';
+
+// BM25 parameters, the same defaults Elasticsearch uses
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+export function analyze(text) {
+  if (text === undefined || text === null) {
+    return [];
+  }
+  return String(text).toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+function levenshtein(a, b) {
+  if (a === b) {
+    return 0;
+  }
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Allowed edit distance for a term under Elasticsearch fuzziness rules
+function maxEdits(term, fuzziness) {
+  if (fuzziness === undefined || fuzziness === null) {
+    return 0;
+  }
+  if (String(fuzziness).toUpperCase() === 'AUTO') {
+    if (term.length <= 2) return 0;
+    if (term.length <= 5) return 1;
+    return 2;
+  }
+  return parseInt(fuzziness) || 0;
+}
+
+// Look up the mapping for a dotted field path
+function mappingFor(mappings, path) {
+  let properties = mappings.properties;
+  let mapping;
+  for (const part of path.split('.')) {
+    if (mapping?.fields?.[part]) {
+      return mapping.fields[part];
+    }
+    mapping = properties?.[part];
+    if (!mapping) {
+      return null;
+    }
+    properties = mapping.properties;
+  }
+  return mapping;
+}
+
+// Map multi-field paths such as `name.keyword` to the field they index
+function sourcePath(mappings, path) {
+  const cut = path.lastIndexOf('.');
+  if (cut !== -1 && mappingFor(mappings, path.slice(0, cut))?.fields?.[path.slice(cut + 1)]) {
+    return path.slice(0, cut);
+  }
+  return path;
+}
+
+// Resolve a dotted path to a flat list of values
+function fieldValues(mappings, doc, path) {
+  const resolved = sourcePath(mappings, path);
+  const isGeo = mappingFor(mappings, resolved)?.type === 'geo_point';
+  let values = [doc];
+  for (const part of resolved.split('.')) {
+    const next = [];
+    for (const value of values) {
+      if (value === null || typeof value !== 'object' || !(part in value)) {
+        continue;
+      }
+      const child = value[part];
+      // A geo_point given as [lon, lat] is one value, not two
+      if (Array.isArray(child) && !(isGeo && typeof child[0] === 'number')) {
+        next.push(...child);
+      } else {
+        next.push(child);
+      }
+    }
+    values = next;
+  }
+  return values.filter(value => value !== undefined && value !== null);
+}
+
+// The nested path containing a field, e.g. `skills` for `skills.name`
+function nestedPathOf(mappings, path) {
+  const parts = path.split('.');
+  for (let i = parts.length - 1; i > 0; i--) {
+    const prefix = parts.slice(0, i).join('.');
+    if (mappingFor(mappings, prefix)?.type === 'nested') {
+      return prefix;
+    }
+  }
+  return null;
+}
+
+// Wrap one nested object so its fields resolve by their full path
+function nestedDoc(path, item) {
+  return path.split('.').reduceRight((value, part) => ({ [part]: value }), item);
+}
+
+// Combine nested scores the way Elasticsearch's score_mode does
+function combineScores(scores, mode = 'avg') {
+  switch (mode) {
+    case 'max': return Math.max(...scores);
+    case 'min': return Math.min(...scores);
+    case 'sum': return scores.reduce((sum, score) => sum + score, 0);
+    case 'none': return 0;
+    default: return scores.reduce((sum, score) => sum + score, 0) / scores.length;
+  }
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+function mergeInnerHits(target, result) {
+  if (result?.innerHits) {
+    Object.assign(target, result.innerHits);
+  }
+}
+
+function fieldType(mappings, path) {
+  return mappingFor(mappings, path)?.type || null;
+}
+
+// Normalize a value for comparisons in term/range/sort
+function comparable(value, type) {
+  if (type === 'date') {
+    return typeof value === 'number' ? value : Date.parse(value);
+  }
+  if (type === 'boolean') {
+    return value === true || value === 'true' ? 1 : 0;
+  }
+  if (['integer', 'long', 'float', 'double', 'short', 'byte'].includes(type)) {
+    return Number(value);
+  }
+  return value;
+}
+
+function compareValues(a, b) {
+  if (a === b) return 0;
+  if (a === undefined || a === null) return 1;
+  if (b === undefined || b === null) return -1;
+  return a < b ? -1 : 1;
+}
+
+function splitBoost(field) {
+  const [name, boost] = field.split('^');
+  return { name, boost: boost ? parseFloat(boost) : 1 };
+}
+
+const PRIMARY_TERM = 1;
+
+// Document storage kept in process memory. Interprets the subset of the
+// Elasticsearch Query DSL that the registry uses, so routes build one query
+// for both backends. The mappings tell text from keyword fields.
+export class MemoryStorage {
+  constructor({ mappings = AGENT_MAPPINGS } = {}) {
+    this.backend = 'memory';
+    this.mappings = mappings;
+    this.docs = new Map();
+    // Sequence number of each document's last write, as in Elasticsearch;
+    // there is a single primary term
+    this.sequence = 0;
+    this.seqNos = new Map();
+    // Open points in time: id => { docs, keepAlive, expiresAt }
+    this.pits = new Map();
+  }
+
+  // Record a write to a document and return its new sequence number
+  written(id) {
+    this.sequence++;
+    this.seqNos.set(id, this.sequence);
+    return this.sequence;
+  }
+
+  // Throw unless a conditional write's expectation holds
+  checkSeqNo(id, { ifSeqNo, ifPrimaryTerm, create }) {
+    if (create && this.docs.has(id)) {
+      throw new VersionConflictError(id);
+    }
+    if (ifSeqNo !== undefined && (this.seqNos.get(id) !== ifSeqNo || ifPrimaryTerm !== PRIMARY_TERM)) {
+      throw new VersionConflictError(id);
+    }
+  }
+
+  async init() {}
+
+  async health() {
+    return {
+      backend: this.backend,
+      status: 'green',
+      documents: this.docs.size
+    };
+  }
+
+  async get(id) {
+    const doc = this.docs.get(id);
+    return doc ? structuredClone(doc) : null;
+  }
+
+  async getDocument(id) {
+    const doc = this.docs.get(id);
+    return doc
+      ? { id, source: structuredClone(doc), seqNo: this.seqNos.get(id), primaryTerm: PRIMARY_TERM }
+      : null;
+  }
+
+  // Writes are visible immediately, so `refresh` has nothing to wait for
+  async put(id, doc, options = {}) {
+    this.checkSeqNo(id, options);
+    this.docs.set(id, structuredClone(doc));
+    return { seqNo: this.written(id), primaryTerm: PRIMARY_TERM };
+  }
+
+  async update(id, doc) {
+    const current = this.docs.get(id);
+    if (!current) {
+      return false;
+    }
+    this.docs.set(id, { ...current, ...structuredClone(doc) });
+    this.written(id);
+    return true;
+  }
+
+  async delete(id, options = {}) {
+    if (!this.docs.has(id)) {
+      return false;
+    }
+    this.checkSeqNo(id, options);
+    this.seqNos.delete(id);
+    return this.docs.delete(id);
+  }
+
+  async bulk(operations) {
+    const results = [];
+    for (const { action, id, doc } of operations) {
+      let ok = true;
+      if (action === 'delete') {
+        ok = await this.delete(id);
+      } else if (action === 'update') {
+        ok = await this.update(id, doc);
+      } else {
+        await this.put(id, doc);
+      }
+      results.push({ id, ok, error: ok ? null : 'Not found' });
+    }
+    return results;
+  }
+
+  async search(body = {}) {
+    const ctx = this.createContext(body.pit ? this.pointInTime(body.pit) : this.docs);
+    // A knn search alone only returns the nearest neighbours; alongside a
+    // query, either one matching is enough and the scores add up
+    const query = body.query || (body.knn ? null : { match_all: {} });
+    const knnScores = body.knn ? this.knnScores(body.knn, ctx) : new Map();
+
+    let hits = [];
+    let shardDoc = 0;
+    for (const [id, doc] of ctx.docs) {
+      const result = query ? this.evaluate(query, doc, ctx) : null;
+      const knnScore = knnScores.get(id);
+      if (result || knnScore !== undefined) {
+        hits.push({
+          id,
+          doc,
+          score: (result?.score || 0) + (knnScore || 0),
+          innerHits: result?.innerHits,
+          shardDoc
+        });
+      }
+      shardDoc++;
+    }
+
+    const total = hits.length;
+    const aggregations = body.aggs || body.aggregations
+      ? this.aggregate(body.aggs || body.aggregations, hits)
+      : undefined;
+
+    const sortClause = body.sort ? [].concat(body.sort) : [];
+    const sortedByScore = sortClause.length === 0;
+    if (sortedByScore) {
+      hits.sort((a, b) => b.score - a.score);
+    } else {
+      const keys = sortClause.map(clause => this.sortKey(clause));
+      for (const hit of hits) {
+        hit.sort = keys.map(key => key.value(hit));
+      }
+      hits.sort((a, b) => {
+        for (let i = 0; i < keys.length; i++) {
+          const order = compareValues(a.sort[i], b.sort[i]);
+          if (order !== 0) {
+            // Missing values stay last regardless of direction
+            if (a.sort[i] === null || b.sort[i] === null) return order;
+            return keys[i].desc ? -order : order;
+          }
+        }
+        return 0;
+      });
+
+      if (body.search_after) {
+        hits = hits.filter(hit => this.isAfter(hit.sort, body.search_after, keys));
+      }
+    }
+
+    // Keep the top hit per value of the collapse field
+    if (body.collapse) {
+      const seen = new Set();
+      hits = hits.filter(hit => {
+        const [key] = fieldValues(this.mappings, hit.doc, body.collapse.field);
+        if (seen.has(key)) {
+          return false;
+        }
+        seen.add(key);
+        return true;
+      });
+    }
+
+    const from = body.from || 0;
+    const size = body.size ?? 10;
+    const tracksScore = sortedByScore || body.track_scores ||
+      sortClause.some(clause => clause === '_score' || clause._score);
+
+    return {
+      total,
+      hits: hits.slice(from, from + size).map(hit => ({
+        id: hit.id,
+        source: this.filterSource(hit.doc, body._source),
+        score: tracksScore ? hit.score : null,
+        sort: hit.sort,
+        ...(body.seq_no_primary_term && { seqNo: this.seqNos.get(hit.id), primaryTerm: PRIMARY_TERM }),
+        ...(hit.innerHits && { innerHits: hit.innerHits })
+      })),
+      aggregations,
+      ...(body.pit && { pitId: body.pit.id })
+    };
+  }
+
+  // Point in time searches see the documents as they were when it opened
+  async openPointInTime({ keepAlive }) {
+    const now = Date.now();
+    for (const [id, pit] of this.pits) {
+      if (pit.expiresAt <= now) {
+        this.pits.delete(id);
+      }
+    }
+    const id = crypto.randomUUID();
+    // Writes replace documents rather than change them, so a copy of the
+    // map is a snapshot
+    this.pits.set(id, { docs: new Map(this.docs), keepAlive, expiresAt: now + keepAlive * 1000 });
+    return id;
+  }
+
+  async closePointInTime(pitId) {
+    this.pits.delete(pitId);
+  }
+
+  // The documents of an open point in time, extending its expiry
+  pointInTime({ id, keep_alive: keepAlive }) {
+    const pit = this.pits.get(id);
+    if (!pit || pit.expiresAt <= Date.now()) {
+      this.pits.delete(id);
+      throw new PointInTimeNotFoundError();
+    }
+    const seconds = parseInt(keepAlive) || pit.keepAlive;
+    pit.expiresAt = Date.now() + seconds * 1000;
+    return pit.docs;
+  }
+
+  async updateByQuery(query, doc) {
+    const ctx = this.createContext();
+    let updated = 0;
+    for (const [id, current] of this.docs) {
+      if (this.evaluate(query, current, ctx)) {
+        this.docs.set(id, { ...current, ...structuredClone(doc) });
+        this.written(id);
+        updated++;
+      }
+    }
+    return updated;
+  }
+
+  async deleteByQuery(query) {
+    const ctx = this.createContext();
+    let deleted = 0;
+    for (const [id, current] of this.docs) {
+      if (this.evaluate(query, current, ctx)) {
+        this.docs.delete(id);
+        this.seqNos.delete(id);
+        deleted++;
+      }
+    }
+    return deleted;
+  }
+
+  // Writes are visible immediately
+  async refresh() {}
+
+  // Exact nearest neighbours for a top-level knn clause: id => boosted score.
+  // Cosine scores are scaled to 0..1 and `similarity` is a minimum cosine, as
+  // in Elasticsearch.
+  knnScores({ field, query_vector: queryVector, k, filter, similarity, boost = 1 }, ctx) {
+    const filters = [].concat(filter || []);
+    const candidates = [];
+    for (const [id, doc] of ctx.docs) {
+      const vector = sourcePathValue(doc, field);
+      if (!Array.isArray(vector) || vector.length !== queryVector.length) {
+        continue;
+      }
+      if (!filters.every(clause => this.evaluate(clause, doc, ctx))) {
+        continue;
+      }
+      const cosine = cosineSimilarity(queryVector, vector);
+      if (similarity === undefined || cosine >= similarity) {
+        candidates.push({ id, score: (1 + cosine) / 2 });
+      }
+    }
+    candidates.sort((a, b) => b.score - a.score);
+    return new Map(candidates.slice(0, k).map(({ id, score }) => [id, score * boost]));
+  }
+
+  // Per-search documents, and cache of corpus statistics used for BM25
+  createContext(docs = this.docs) {
+    return { docs, fieldStats: new Map(), docFreq: new Map() };
+  }
+
+  // Documents BM25 statistics are taken over: each nested object counts as
+  // its own document for fields inside a nested mapping, as in Elasticsearch
+  corpus(field, ctx) {
+    const path = nestedPathOf(this.mappings, field);
+    const docs = [...ctx.docs.values()];
+    return path
+      ? docs.flatMap(doc => fieldValues(this.mappings, doc, path).map(item => nestedDoc(path, item)))
+      : docs;
+  }
+
+  fieldStats(field, ctx) {
+    if (!ctx.fieldStats.has(field)) {
+      const corpus = this.corpus(field, ctx);
+      let totalLength = 0;
+      for (const doc of corpus) {
+        totalLength += fieldValues(this.mappings, doc, field).flatMap(analyze).length;
+      }
+      ctx.fieldStats.set(field, {
+        count: corpus.length,
+        avgLength: corpus.length ? totalLength / corpus.length : 0
+      });
+    }
+    return ctx.fieldStats.get(field);
+  }
+
+  documentFrequency(field, term, edits, ctx) {
+    const key = `${field}\u0000${term}\u0000${edits}`;
+    if (!ctx.docFreq.has(key)) {
+      let count = 0;
+      for (const doc of this.corpus(field, ctx)) {
+        const tokens = fieldValues(this.mappings, doc, field).flatMap(analyze);
+        if (tokens.some(token => levenshtein(token, term) <= edits)) {
+          count++;
+        }
+      }
+      ctx.docFreq.set(key, count);
+    }
+    return ctx.docFreq.get(key);
+  }
+
+  // BM25 score of analyzed query terms against one field; 0 when nothing matches
+  scoreField(doc, field, terms, { fuzziness, operator = 'or' }, ctx) {
+    const tokens = fieldValues(this.mappings, doc, field).flatMap(analyze);
+    if (tokens.length === 0) {
+      return 0;
+    }
+    const stats = this.fieldStats(field, ctx);
+    let score = 0;
+    let matched = 0;
+
+    for (const term of terms) {
+      const edits = maxEdits(term, fuzziness);
+      let tf = 0;
+      for (const token of tokens) {
+        const distance = levenshtein(token, term);
+        if (distance <= edits) {
+          // Fuzzy matches count for less than exact ones
+          tf += 1 - distance / (term.length + 1);
+        }
+      }
+      if (tf === 0) {
+        continue;
+      }
+      matched++;
+      const n = this.documentFrequency(field, term, edits, ctx);
+      const idf = Math.log(1 + (stats.count - n + 0.5) / (n + 0.5));
+      const norm = 1 - BM25_B + BM25_B * (tokens.length / (stats.avgLength || 1));
+      score += idf * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * norm);
+    }
+
+    if (matched === 0 || (operator.toLowerCase() === 'and' && matched < terms.length)) {
+      return 0;
+    }
+    return score;
+  }
+
+  // Returns { score } when the document matches, otherwise null
+  evaluate(query, doc, ctx) {
+    const [type] = Object.keys(query);
+    const params = query[type];
+
+    switch (type) {
+      case 'match_all':
+        return { score: params.boost ?? 1 };
+
+      case 'bool':
+        return this.evaluateBool(params, doc, ctx);
+
+      case 'multi_match': {
+        const terms = analyze(params.query);
+        let best = 0;
+        for (const field of params.fields || []) {
+          const { name, boost } = splitBoost(field);
+          best = Math.max(best, boost * this.scoreField(doc, name, terms, params, ctx));
+        }
+        return best > 0 ? { score: best * (params.boost ?? 1) } : null;
+      }
+
+      case 'match': {
+        const [field] = Object.keys(params);
+        const options = typeof params[field] === 'object' ? params[field] : { query: params[field] };
+        const score = this.scoreField(doc, field, analyze(options.query), options, ctx);
+        return score > 0 ? { score: score * (options.boost ?? 1) } : null;
+      }
+
+      case 'term':
+      case 'terms': {
+        const [field] = Object.keys(params).filter(key => key !== 'boost');
+        const wanted = type === 'term'
+          ? [typeof params[field] === 'object' && params[field] !== null ? params[field].value : params[field]]
+          : params[field];
+        const fType = fieldType(this.mappings, field);
+        const values = fieldValues(this.mappings, doc, field)
+          .flatMap(value => (fType === 'text' ? analyze(value) : [value]));
+        const hit = values.some(value =>
+          wanted.some(want => comparable(value, fType) === comparable(want, fType))
+        );
+        return hit ? { score: params.boost ?? 1 } : null;
+      }
+
+      case 'range': {
+        const [field] = Object.keys(params);
+        const bounds = params[field];
+        const fType = fieldType(this.mappings, field);
+        const hit = fieldValues(this.mappings, doc, field).some(raw => {
+          const value = comparable(raw, fType);
+          return (bounds.gt === undefined || value > comparable(bounds.gt, fType)) &&
+            (bounds.gte === undefined || value >= comparable(bounds.gte, fType)) &&
+            (bounds.lt === undefined || value < comparable(bounds.lt, fType)) &&
+            (bounds.lte === undefined || value <= comparable(bounds.lte, fType));
+        });
+        return hit ? { score: 1 } : null;
+      }
+
+      case 'geo_distance': {
+        const [field] = Object.keys(params).filter(key => !['distance', 'distance_type', 'validation_method'].includes(key));
+        const origin = parseGeoPoint(params[field]);
+        const limit = parseDistance(params.distance);
+        const hit = fieldValues(this.mappings, doc, field)
+          .map(parseGeoPoint)
+          .some(point => point && haversine(origin, point) <= limit);
+        return hit ? { score: 1 } : null;
+      }
+
+      case 'geo_bounding_box': {
+        const [field] = Object.keys(params).filter(key => key !== 'validation_method');
+        const box = params[field];
+        const hit = fieldValues(this.mappings, doc, field)
+          .map(parseGeoPoint)
+          .some(point => point && inBoundingBox(point, box));
+        return hit ? { score: 1 } : null;
+      }
+
+      case 'prefix': {
+        const [field] = Object.keys(params);
+        const wanted = typeof params[field] === 'object' ? params[field].value : params[field];
+        const hit = fieldValues(this.mappings, doc, field).some(value => String(value).startsWith(wanted));
+        return hit ? { score: 1 } : null;
+      }
+
+      case 'exists':
+        return fieldValues(this.mappings, doc, params.field).length > 0 ? { score: 1 } : null;
+
+      case 'nested':
+        return this.evaluateNested(params, doc, ctx);
+
+      default:
+        throw new Error(`Unsupported query type for memory storage: ${type}`);
+    }
+  }
+
+  // Match each nested object on its own; inner_hits collects the ones that matched
+  evaluateNested(params, doc, ctx) {
+    const matches = [];
+    fieldValues(this.mappings, doc, params.path).forEach((item, offset) => {
+      const result = this.evaluate(params.query, nestedDoc(params.path, item), ctx);
+      if (result) {
+        matches.push({ item, offset, score: result.score });
+      }
+    });
+    if (matches.length === 0) {
+      return null;
+    }
+
+    const result = {
+      score: combineScores(matches.map(match => match.score), params.score_mode) * (params.boost ?? 1)
+    };
+    if (params.inner_hits) {
+      const { name = params.path, size = 3, from = 0 } = params.inner_hits;
+      result.innerHits = {
+        [name]: matches
+          .sort((a, b) => b.score - a.score || a.offset - b.offset)
+          .slice(from, from + size)
+          .map(match => ({
+            source: this.filterSource(match.item, params.inner_hits._source),
+            score: match.score,
+            offset: match.offset
+          }))
+      };
+    }
+    return result;
+  }
+
+  evaluateBool(params, doc, ctx) {
+    const list = clauses => [].concat(clauses || []);
+    const innerHits = {};
+    let score = 0;
+
+    for (const clause of list(params.must)) {
+      const result = this.evaluate(clause, doc, ctx);
+      if (!result) return null;
+      score += result.score;
+      mergeInnerHits(innerHits, result);
+    }
+    for (const clause of list(params.filter)) {
+      const result = this.evaluate(clause, doc, ctx);
+      if (!result) return null;
+      mergeInnerHits(innerHits, result);
+    }
+    for (const clause of list(params.must_not)) {
+      if (this.evaluate(clause, doc, ctx)) return null;
+    }
+
+    const should = list(params.should);
+    let shouldMatched = 0;
+    for (const clause of should) {
+      const result = this.evaluate(clause, doc, ctx);
+      if (result) {
+        shouldMatched++;
+        score += result.score;
+        mergeInnerHits(innerHits, result);
+      }
+    }
+    const onlyShould = list(params.must).length === 0 && list(params.filter).length === 0;
+    const minimumShould = params.minimum_should_match ?? (onlyShould && should.length ? 1 : 0);
+    if (shouldMatched < minimumShould) {
+      return null;
+    }
+
+    return {
+      score: score * (params.boost ?? 1),
+      ...(Object.keys(innerHits).length && { innerHits })
+    };
+  }
+
+  // Build an accessor for one sort clause
+  sortKey(clause) {
+    if (typeof clause === 'string') {
+      clause = { [clause]: {} };
+    }
+    const [field] = Object.keys(clause);
+    const options = typeof clause[field] === 'string' ? { order: clause[field] } : clause[field];
+
+    if (field === '_score') {
+      return { desc: (options.order || 'desc') === 'desc', value: hit => hit.score };
+    }
+
+    // Tiebreaker for point in time searches: the document's position
+    if (field === '_shard_doc') {
+      return { desc: options.order === 'desc', value: hit => hit.shardDoc };
+    }
+
+    if (field === '_geo_distance') {
+      const [geoField] = Object.keys(options).filter(key => !['order', 'unit', 'mode', 'distance_type'].includes(key));
+      const origin = parseGeoPoint(options[geoField]);
+      const unitMeters = toMeters(1, options.unit || 'm');
+      return {
+        desc: options.order === 'desc',
+        value: hit => {
+          const distances = fieldValues(this.mappings, hit.doc, geoField)
+            .map(parseGeoPoint)
+            .filter(Boolean)
+            .map(point => haversine(origin, point) / unitMeters);
+          return distances.length ? Math.min(...distances) : Infinity;
+        }
+      };
+    }
+
+    const fType = fieldType(this.mappings, field);
+    const desc = (options.order || 'asc') === 'desc';
+    return {
+      desc,
+      value: hit => {
+        const values = fieldValues(this.mappings, hit.doc, field).map(value => comparable(value, fType));
+        if (values.length === 0) {
+          return null;
+        }
+        return values.reduce((best, value) =>
+          (desc ? (value > best ? value : best) : (value < best ? value : best)));
+      }
+    };
+  }
+
+  isAfter(sortValues, after, keys) {
+    for (let i = 0; i < keys.length; i++) {
+      const order = compareValues(sortValues[i], after[i]);
+      if (order !== 0) {
+        if (sortValues[i] === null || after[i] === null) return order > 0;
+        return keys[i].desc ? order < 0 : order > 0;
+      }
+    }
+    return false;
+  }
+
+  aggregate(aggs, hits) {
+    const result = {};
+    for (const [name, agg] of Object.entries(aggs)) {
+      if (!agg.terms) {
+        throw new Error(`Unsupported aggregation for memory storage: ${Object.keys(agg)[0]}`);
+      }
+      const { field, size = 10 } = agg.terms;
+      const counts = new Map();
+      for (const hit of hits) {
+        for (const value of new Set(fieldValues(this.mappings, hit.doc, field))) {
+          counts.set(value, (counts.get(value) || 0) + 1);
+        }
+      }
+      const buckets = [...counts.entries()]
+        .map(([key, doc_count]) => ({ key, doc_count }))
+        .sort((a, b) => b.doc_count - a.doc_count || compareValues(a.key, b.key));
+      const kept = buckets.slice(0, size);
+      result[name] = {
+        doc_count_error_upper_bound: 0,
+        sum_other_doc_count: buckets.slice(size).reduce((sum, bucket) => sum + bucket.doc_count, 0),
+        buckets: kept
+      };
+    }
+    return result;
+  }
+
+  filterSource(doc, sourceOption) {
+    if (sourceOption === false) {
+      return undefined;
+    }
+    const source = structuredClone(doc);
+    if (!sourceOption || sourceOption === true) {
+      return source;
+    }
+    const includes = Array.isArray(sourceOption) ? sourceOption : sourceOption.includes || [];
+    const excludes = Array.isArray(sourceOption) ? [] : sourceOption.excludes || [];
+    let filtered = source;
+    if (includes.length) {
+      filtered = {};
+      for (const path of includes) {
+        copyPath(source, filtered, path);
+      }
+    }
+    for (const path of excludes) {
+      deletePath(filtered, path);
+    }
+    return filtered;
+  }
+}
+
+// The raw value at a dotted path, without flattening arrays
+function sourcePathValue(doc, path) {
+  return path.split('.').reduce((value, part) => value?.[part], doc);
+}
+
+function copyPath(from, to, path) {
+  const parts = path.split('.');
+  let src = from;
+  let dest = to;
+  for (let i = 0; i < parts.length - 1; i++) {
+    src = src?.[parts[i]];
+    if (src === undefined) return;
+    dest[parts[i]] = dest[parts[i]] || {};
+    dest = dest[parts[i]];
+  }
+  const last = parts[parts.length - 1];
+  if (src && last in src) {
+    dest[last] = src[last];
+  }
+}
+
+function deletePath(obj, path) {
+  const parts = path.split('.');
+  let target = obj;
+  for (let i = 0; i < parts.length - 1; i++) {
+    target = target?.[parts[i]];
+  }
+  if (target) {
+    delete target[parts[parts.length - 1]];
+  }
+}
+
+// Whether one document matches a query, with text scored as if it were the
+// only document. Lets code outside storage filter documents by a search.
+export function matchesQuery(query, doc, mappings = AGENT_MAPPINGS) {
+  const storage = new MemoryStorage({ mappings });
+  storage.docs.set('doc', doc);
+  return Boolean(storage.evaluate(query, doc, storage.createContext()));
+}
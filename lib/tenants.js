@@ -0,0 +1,213 @@
+import Joi from 'joi';
+import { hashKey } from './auth.js';
+
+// Tenants partition the registry into namespaces, such as staging and
+// production or separate business units. Every agent belongs to one tenant
+// and agentIds only need to be unique within it. All tenants share one set
+// of indices: each document carries its tenant, and a tenant's storage view
+// always filters on it.
+
+// Tenant of callers that name none, and of documents stored before tenants
+export const DEFAULT_TENANT = 'default';
+
+// Path tenant for the admin's view across every tenant
+export const ALL_TENANTS = '*';
+
+export const tenantSchema = Joi.string().pattern(/^[a-z0-9][a-z0-9_-]{0,63}$/);
+
+// Requests of the form /tenants/:tenant/<route>
+const TENANT_PATH = /^\/tenants\/([^/]+)(\/.*)?$/;
+
+const TENANT_NAME_ERROR = 'Tenant names are lowercase letters, digits, "-" and "_"';
+
+export const tenantOf = source => source?.tenant || DEFAULT_TENANT;
+
+// Query clause matching a tenant's documents
+export function tenantFilter(tenant) {
+  if (tenant !== DEFAULT_TENANT) {
+    return { term: { tenant } };
+  }
+  return {
+    bool: {
+      should: [{ term: { tenant } }, { bool: { must_not: [{ exists: { field: 'tenant' } }] } }],
+      minimum_should_match: 1
+    }
+  };
+}
+
+// A storage limited to one tenant's documents, with the storage interface.
+// Searches and by-query writes only see the tenant's documents, and stored
+// documents are tagged with it. With `prefixIds`, ids are namespaced per
+// tenant (the default tenant keeps plain ids), so each tenant can store the
+// same id; otherwise ids are global and other tenants' documents read as
+// missing.
+export class TenantStorage {
+  constructor(storage, tenant, { prefixIds = false } = {}) {
+    this.storage = storage;
+    this.tenant = tenant;
+    this.prefixIds = prefixIds;
+    this.backend = storage.backend;
+  }
+
+  storedId(id) {
+    return this.prefixIds && this.tenant !== DEFAULT_TENANT ? `${this.tenant}/${id}` : id;
+  }
+
+  localId(id) {
+    const prefix = `${this.tenant}/`;
+    return this.prefixIds && id.startsWith(prefix) ? id.slice(prefix.length) : id;
+  }
+
+  owns(source) {
+    return Boolean(source) && tenantOf(source) === this.tenant;
+  }
+
+  // Global ids are only written after checking the tenant
+  async writable(id) {
+    return this.prefixIds || this.owns(await this.storage.get(id));
+  }
+
+  scope(query) {
+    return { bool: { must: [query || { match_all: {} }], filter: [tenantFilter(this.tenant)] } };
+  }
+
+  init() {
+    return this.storage.init();
+  }
+
+  health() {
+    return this.storage.health();
+  }
+
+  async get(id) {
+    const source = await this.storage.get(this.storedId(id));
+    return this.owns(source) ? source : null;
+  }
+
+  async getDocument(id) {
+    const doc = await this.storage.getDocument(this.storedId(id));
+    return doc && this.owns(doc.source) ? { ...doc, id } : null;
+  }
+
+  put(id, doc, options) {
+    return this.storage.put(this.storedId(id), { ...doc, tenant: this.tenant }, options);
+  }
+
+  async update(id, doc, options) {
+    if (!await this.writable(this.storedId(id))) {
+      return false;
+    }
+    return this.storage.update(this.storedId(id), doc, options);
+  }
+
+  async delete(id, options) {
+    if (!await this.writable(this.storedId(id))) {
+      return false;
+    }
+    return this.storage.delete(this.storedId(id), options);
+  }
+
+  // Only used with namespaced ids, which cannot reach other tenants
+  async bulk(operations, options) {
+    const results = await this.storage.bulk(operations.map(operation => ({
+      ...operation,
+      id: this.storedId(operation.id),
+      ...(operation.action === 'index' && { doc: { ...operation.doc, tenant: this.tenant } })
+    })), options);
+    return results.map(result => ({ ...result, id: this.localId(result.id) }));
+  }
+
+  // A knn clause gets the tenant filter too; a knn search without a query
+  // must stay without one
+  async search(body = {}) {
+    const scoped = { ...body };
+    if (body.query || !body.knn) {
+      scoped.query = this.scope(body.query);
+    }
+    if (body.knn) {
+      scoped.knn = { ...body.knn, filter: [...[].concat(body.knn.filter || []), tenantFilter(this.tenant)] };
+    }
+    const result = await this.storage.search(scoped);
+    return { ...result, hits: result.hits.map(hit => ({ ...hit, id: this.localId(hit.id) })) };
+  }
+
+  updateByQuery(query, doc, options) {
+    return this.storage.updateByQuery(this.scope(query), doc, options);
+  }
+
+  deleteByQuery(query, options) {
+    return this.storage.deleteByQuery(this.scope(query), options);
+  }
+
+  refresh() {
+    return this.storage.refresh();
+  }
+
+  openPointInTime(options) {
+    return this.storage.openPointInTime(options);
+  }
+
+  closePointInTime(pitId) {
+    return this.storage.closePointInTime(pitId);
+  }
+}
+
+// Agent storage for a tenant
+export const agentsOf = (storage, tenant) => new TenantStorage(storage, tenant, { prefixIds: true });
+
+// Resolve the tenant of each request. A /tenants/:tenant path prefix names
+// it and is removed before routing; otherwise it is the tenant the caller's
+// key is bound to in `keys`, or the default tenant. A tenant with bound keys
+// only admits those keys and the admin. The admin may use ALL_TENANTS to
+// read `crossTenantRoutes` ("METHOD /path") across every tenant.
+export function createTenantResolver({ keys }, { crossTenantRoutes = [] } = {}) {
+  const keyTenants = new Map(keys.map(({ tenant, key }) => [hashKey(key), tenant]));
+  const closedTenants = new Set(keys.map(({ tenant }) => tenant));
+  const crossTenant = new Set(crossTenantRoutes);
+
+  // { tenant, path } for a request, or { denied: { status, error } }
+  function resolve({ method, path, auth }) {
+    const keyTenant = auth.apiKey ? keyTenants.get(hashKey(auth.apiKey)) : undefined;
+    const match = TENANT_PATH.exec(path);
+    let tenant = keyTenant || DEFAULT_TENANT;
+    if (match) {
+      try {
+        tenant = decodeURIComponent(match[1]);
+      } catch {
+        return { denied: { status: 400, error: TENANT_NAME_ERROR } };
+      }
+    }
+    const rest = match ? match[2] || '/' : path;
+    if (tenant === ALL_TENANTS) {
+      if (!auth.isAdmin) {
+        return { denied: { status: 403, error: 'Admin credentials required' } };
+      }
+      if (!crossTenant.has(`${method} ${rest}`)) {
+        return { denied: { status: 400, error: `${method} ${rest} needs a single tenant` } };
+      }
+      return { tenant, path: rest };
+    }
+    if (match && tenantSchema.validate(tenant).error) {
+      return { denied: { status: 400, error: TENANT_NAME_ERROR } };
+    }
+    if (!auth.isAdmin && (keyTenant ? keyTenant !== tenant : closedTenants.has(tenant))) {
+      return { denied: { status: 403, error: `Credentials are not valid for tenant ${tenant}` } };
+    }
+    return { tenant, path: rest };
+  }
+
+  function middleware(req, res, next) {
+    const resolved = resolve({ method: req.method, path: req.path, auth: req.auth });
+    if (resolved.denied) {
+      return res.status(resolved.denied.status).json({ error: resolved.denied.error });
+    }
+    req.tenant = resolved.tenant;
+    if (resolved.path !== req.path) {
+      const query = req.url.indexOf('?');
+      req.url = resolved.path + (query === -1 ? '' : req.url.slice(query));
+    }
+    next();
+  }
+
+  return { resolve, middleware };
+}
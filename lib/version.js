@@ -0,0 +1,166 @@
+// MAJOR.MINOR.PATCH with optional pre-release and build metadata. A leading
+// `v` is allowed and a missing minor or patch counts as 0, so "2.1" parses.
+const VERSION_PATTERN = /^v?(\d+)(?:\.(\d+))?(?:\.(\d+))?(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+
+// Returns { major, minor, patch, prerelease: [] }, or null when not a version
+export function parseVersion(value) {
+  const match = VERSION_PATTERN.exec(String(value).trim());
+  if (!match) {
+    return null;
+  }
+  return {
+    major: Number(match[1]),
+    minor: Number(match[2] || 0),
+    patch: Number(match[3] || 0),
+    prerelease: match[4] ? match[4].split('.') : []
+  };
+}
+
+const pad = value => String(value).padStart(6, '0');
+
+// A keyword that sorts in semver precedence order, for range queries and
+// sorting: zero-padded release numbers, then `-` and the padded pre-release
+// identifiers, or `~` (sorting after any pre-release) for a release
+export function sortableVersion(version) {
+  const release = `${pad(version.major)}.${pad(version.minor)}.${pad(version.patch)}`;
+  if (!version.prerelease.length) {
+    return `${release}~`;
+  }
+  return `${release}-${version.prerelease.map(id => (/^\d+$/.test(id) ? pad(id) : id)).join('.')}`;
+}
+
+const PARTIAL_PATTERN = /^v?(\d+|[xX*])(?:\.(\d+|[xX*]))?(?:\.(\d+|[xX*]))?(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+
+// A version that may leave out or wildcard trailing parts ("1", "1.2.x", "*").
+// Missing parts are null.
+function parsePartial(text) {
+  const match = PARTIAL_PATTERN.exec(text);
+  if (!match) {
+    return null;
+  }
+  const part = value => (value === undefined || /^[xX*]$/.test(value) ? null : Number(value));
+  const major = part(match[1]);
+  const minor = major === null ? null : part(match[2]);
+  const patch = minor === null ? null : part(match[3]);
+  return { major, minor, patch, prerelease: patch !== null && match[4] ? match[4].split('.') : [] };
+}
+
+function floor({ major, minor, patch, prerelease }) {
+  return { major, minor: minor ?? 0, patch: patch ?? 0, prerelease };
+}
+
+// Exclusive upper bound. The `0` pre-release keeps pre-releases of the bound
+// itself out, so ^1.2 does not match 2.0.0-beta.
+function bound(major, minor = 0, patch = 0) {
+  return { major, minor, patch, prerelease: ['0'] };
+}
+
+// The version after every match of a partial version: 1.2 => 1.3.0
+function next({ major, minor, patch }) {
+  if (minor === null) return bound(major + 1);
+  if (patch === null) return bound(major, minor + 1);
+  return bound(major, minor, patch + 1);
+}
+
+// Comparators ({ op: 'gt' | 'gte' | 'lt' | 'lte', version }) for one
+// operator and partial version
+function desugar(operator, partial) {
+  if (partial.major === null) {
+    return operator === '<' || operator === '>' ? null : [];
+  }
+  const complete = partial.patch !== null;
+  const { major, minor, patch } = partial;
+
+  switch (operator) {
+    case '^': {
+      let upper;
+      if (major > 0 || minor === null) upper = bound(major + 1);
+      else if (minor > 0 || patch === null) upper = bound(0, minor + 1);
+      else upper = bound(0, 0, patch + 1);
+      return [{ op: 'gte', version: floor(partial) }, { op: 'lt', version: upper }];
+    }
+    case '~':
+      return [
+        { op: 'gte', version: floor(partial) },
+        { op: 'lt', version: minor === null ? bound(major + 1) : bound(major, minor + 1) }
+      ];
+    case '>':
+      return [complete ? { op: 'gt', version: partial } : { op: 'gte', version: next(partial) }];
+    case '>=':
+      return [{ op: 'gte', version: floor(partial) }];
+    case '<':
+      return [{ op: 'lt', version: complete ? partial : floor({ ...partial, prerelease: ['0'] }) }];
+    case '<=':
+      return [complete ? { op: 'lte', version: partial } : { op: 'lt', version: next(partial) }];
+    default:
+      return complete
+        ? [{ op: 'gte', version: partial }, { op: 'lte', version: partial }]
+        : [{ op: 'gte', version: floor(partial) }, { op: 'lt', version: next(partial) }];
+  }
+}
+
+function parseComparatorSet(text) {
+  const hyphen = /^(\S+)\s+-\s+(\S+)$/.exec(text);
+  if (hyphen) {
+    const lower = parsePartial(hyphen[1]);
+    const upper = parsePartial(hyphen[2]);
+    if (!lower || !upper) {
+      return null;
+    }
+    return [...desugar('>=', lower), ...desugar('<=', upper)];
+  }
+
+  const comparators = [];
+  // Allow a space between an operator and its version: ">= 2.0.0"
+  const tokens = text.replace(/(>=|<=|>|<|=|\^|~)\s+/g, '$1').split(/\s+/).filter(Boolean);
+  for (const token of tokens) {
+    const [, operator, versionText] = /^(>=|<=|>|<|=|\^|~)?(.*)$/.exec(token);
+    const partial = parsePartial(versionText);
+    const desugared = partial && desugar(operator || '=', partial);
+    if (!desugared) {
+      return null;
+    }
+    comparators.push(...desugared);
+  }
+  return comparators;
+}
+
+// Parse an npm-style range: exact and partial versions ("1.2"), x-ranges,
+// comparators (`>=2.0.0 <3`), caret, tilde, hyphen ranges and `||`.
+// Returns the alternatives as comparator lists, or null when invalid.
+export function parseRange(input) {
+  const alternatives = [];
+  for (const text of String(input).split('||').map(part => part.trim())) {
+    const comparators = parseComparatorSet(text);
+    if (!comparators) {
+      return null;
+    }
+    alternatives.push(comparators);
+  }
+  return alternatives;
+}
+
+// Query on `versionSort` for a range. Pre-releases only match ranges that
+// mention one, so `^1.2` never picks up 1.3.0-beta.
+export function versionRangeQuery(range) {
+  const alternatives = parseRange(range);
+  const mentionsPrerelease = alternatives.some(comparators =>
+    comparators.some(comparator =>
+      comparator.version.prerelease.length && comparator.version.prerelease[0] !== '0'));
+
+  const query = {
+    bool: {
+      should: alternatives.map(comparators => ({
+        bool: {
+          filter: comparators.map(({ op, version }) => ({
+            range: { versionSort: { [op]: sortableVersion(version) } }
+          }))
+        }
+      })),
+      minimum_should_match: 1
+    }
+  };
+  return mentionsPrerelease
+    ? query
+    : { bool: { filter: [query, { term: { prerelease: false } }] } };
+}
@@ -0,0 +1,287 @@
+import crypto from 'crypto';
+import { logger } from './logger.js';
+import { tenantOf } from './tenants.js';
+
+// Outbound webhooks. Each change feed event a webhook subscribes to becomes a
+// delivery document, POSTed to the webhook URL and retried with exponential
+// backoff until it succeeds or runs out of attempts (a dead letter).
+
+export const DELIVERY_STATUSES = ['pending', 'retrying', 'delivered', 'dead_letter'];
+
+// Deliveries sent by one worker run
+const DELIVERY_BATCH_SIZE = 100;
+
+// Attempt records kept on a delivery
+const MAX_ATTEMPT_LOG = 20;
+
+// Webhooks read per search when matching an event
+const WEBHOOK_PAGE_SIZE = 500;
+
+// Secret a webhook's deliveries are signed with, returned once on creation
+export function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+// Signature sent as X-Registry-Signature: HMAC-SHA256 of `${timestamp}.${body}`
+export function signPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+// Webhook fields safe to return; the secret is only shown on creation
+export function presentWebhook(source) {
+  const webhook = { ...source };
+  delete webhook.secret;
+  delete webhook.ownerKeyHash;
+  return webhook;
+}
+
+// `*` matches any run of characters, so `weather-*` matches weather-agent-001
+function patternRegExp(pattern) {
+  const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`^${escaped.join('.*')}$`);
+}
+
+// Whether a webhook wants an event. Each filter that is set must match:
+// `events` lists event types, `tags` matches agents with any of them and
+// `agentIds` holds agentId patterns. Agents match before or after the change,
+// and only in the webhook's tenant.
+export function webhookMatches(webhook, event) {
+  if (webhook.events?.length && !webhook.events.includes(event.type)) {
+    return false;
+  }
+  const agentIdPatterns = (webhook.agentIds || []).map(patternRegExp);
+  return event.states.some(agent => {
+    if (tenantOf(agent) !== tenantOf(webhook)) {
+      return false;
+    }
+    if (webhook.tags?.length && !webhook.tags.some(tag => agent.tags?.includes(tag))) {
+      return false;
+    }
+    return !agentIdPatterns.length || agentIdPatterns.some(pattern => pattern.test(agent.agentId));
+  });
+}
+
+// Seconds before the retry that follows attempt `attempt` (1-based)
+export function retryDelay(attempt, { retryBaseDelay, retryMaxDelay }) {
+  return Math.min(retryBaseDelay * 2 ** (attempt - 1), retryMaxDelay);
+}
+
+// POST one delivery through the `egress` policy. Any 2xx response counts
+// as delivered; redirects are not followed.
+async function sendDelivery(webhook, delivery, { timeout, egress }) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const started = Date.now();
+  try {
+    const response = await egress.post(webhook.url, body, {
+      timeout,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'agent-registry-webhooks',
+        'X-Registry-Event': delivery.eventType,
+        'X-Registry-Delivery': delivery.deliveryId,
+        'X-Registry-Timestamp': String(timestamp),
+        'X-Registry-Signature': signPayload(webhook.secret, timestamp, body)
+      }
+    });
+    return { ok: true, status: response.status, durationMs: Date.now() - started };
+  } catch (error) {
+    return {
+      ok: false,
+      status: error.response?.status ?? null,
+      error: error.response ? `HTTP ${error.response.status}` : error.message,
+      durationMs: Date.now() - started
+    };
+  }
+}
+
+export class WebhookDispatcher {
+  // `webhooks` and `deliveries` are storages for the two collections; options
+  // is the `webhooks` config section. Deliveries go through the `egress`
+  // policy.
+  constructor({ webhooks, deliveries, options, egress }) {
+    this.webhooks = webhooks;
+    this.deliveries = deliveries;
+    this.options = options;
+    this.egress = egress;
+    // Deliveries being sent by this process
+    this.inFlight = new Set();
+  }
+
+  async init() {
+    await this.webhooks.init();
+    await this.deliveries.init();
+  }
+
+  // Active webhooks that want an event
+  async matchingWebhooks(event) {
+    const matches = [];
+    let searchAfter;
+    for (;;) {
+      const result = await this.webhooks.search({
+        query: { bool: { filter: [{ term: { active: true } }] } },
+        sort: [{ webhookId: 'asc' }],
+        size: WEBHOOK_PAGE_SIZE,
+        ...(searchAfter && { search_after: searchAfter })
+      });
+      matches.push(...result.hits.map(hit => hit.source).filter(webhook => webhookMatches(webhook, event)));
+      if (result.hits.length < WEBHOOK_PAGE_SIZE) {
+        return matches;
+      }
+      searchAfter = result.hits[result.hits.length - 1].sort;
+    }
+  }
+
+  // Queue a delivery of a change feed event to every webhook that wants it,
+  // and make the first attempt right away
+  async dispatch(event) {
+    const webhooks = await this.matchingWebhooks(event);
+    const now = new Date().toISOString();
+
+    await Promise.all(webhooks.map(async webhook => {
+      const delivery = {
+        deliveryId: crypto.randomUUID(),
+        webhookId: webhook.webhookId,
+        eventId: event.id,
+        eventType: event.type,
+        agentId: event.payload.agentId,
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: now,
+        lastAttemptAt: null,
+        deliveredAt: null,
+        createdAt: now,
+        responseStatus: null,
+        lastError: null,
+        payload: event.payload,
+        attemptLog: []
+      };
+      await this.deliveries.put(delivery.deliveryId, delivery);
+      await this.attempt(delivery, webhook);
+    }));
+  }
+
+  // Send a delivery once and record the outcome: delivered, a retry after
+  // the backoff delay, or a dead letter once `maxAttempts` is reached
+  async attempt(delivery, webhook) {
+    if (this.inFlight.has(delivery.deliveryId)) {
+      return;
+    }
+    this.inFlight.add(delivery.deliveryId);
+    try {
+      const result = await sendDelivery(webhook, delivery, { ...this.options, egress: this.egress });
+      const now = new Date();
+      const attempts = delivery.attempts + 1;
+
+      const update = {
+        attempts,
+        lastAttemptAt: now.toISOString(),
+        responseStatus: result.status,
+        lastError: result.ok ? null : result.error,
+        attemptLog: [
+          ...delivery.attemptLog,
+          {
+            at: now.toISOString(),
+            status: result.status,
+            error: result.error || null,
+            durationMs: result.durationMs
+          }
+        ].slice(-MAX_ATTEMPT_LOG)
+      };
+      if (result.ok) {
+        Object.assign(update, { status: 'delivered', deliveredAt: now.toISOString(), nextAttemptAt: null });
+      } else if (attempts >= this.options.maxAttempts) {
+        Object.assign(update, { status: 'dead_letter', nextAttemptAt: null });
+        logger.warn(`Webhook delivery ${delivery.deliveryId} dead-lettered after ${attempts} attempts: ${result.error}`);
+      } else {
+        const delay = retryDelay(attempts, this.options);
+        Object.assign(update, {
+          status: 'retrying',
+          nextAttemptAt: new Date(now.getTime() + delay * 1000).toISOString()
+        });
+      }
+
+      await this.deliveries.update(delivery.deliveryId, update);
+      return { ...delivery, ...update };
+    } finally {
+      this.inFlight.delete(delivery.deliveryId);
+    }
+  }
+
+  // Send deliveries whose next attempt is due, oldest first
+  async processDue(now = new Date()) {
+    const result = await this.deliveries.search({
+      query: {
+        bool: {
+          filter: [
+            { terms: { status: ['pending', 'retrying'] } },
+            { range: { nextAttemptAt: { lte: now.toISOString() } } }
+          ]
+        }
+      },
+      sort: [{ nextAttemptAt: 'asc' }],
+      size: DELIVERY_BATCH_SIZE
+    });
+
+    const webhooks = new Map();
+    const hits = result.hits.filter(hit => !this.inFlight.has(hit.id));
+    for (let i = 0; i < hits.length; i += this.options.concurrency) {
+      await Promise.all(hits.slice(i, i + this.options.concurrency).map(async ({ id }) => {
+        // An earlier attempt may have finished since the search
+        const source = await this.deliveries.get(id);
+        if (!source || !['pending', 'retrying'].includes(source.status) || this.inFlight.has(id)) {
+          return;
+        }
+        if (!webhooks.has(source.webhookId)) {
+          webhooks.set(source.webhookId, await this.webhooks.get(source.webhookId));
+        }
+        const webhook = webhooks.get(source.webhookId);
+        if (!webhook?.active) {
+          // Removed or paused since the event: keep the delivery for replay
+          await this.deliveries.update(id, {
+            status: 'dead_letter',
+            nextAttemptAt: null,
+            lastError: webhook ? 'Webhook inactive' : 'Webhook deleted'
+          });
+          return;
+        }
+        await this.attempt(source, webhook);
+      }));
+    }
+    return hits.length;
+  }
+
+  // Queue a delivery, typically a dead letter, to be sent again with a fresh
+  // set of attempts
+  async redeliver(delivery) {
+    const update = {
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: new Date().toISOString(),
+      lastError: null
+    };
+    await this.deliveries.update(delivery.deliveryId, update);
+    return { ...delivery, ...update };
+  }
+
+  // Retry due deliveries on a fixed interval, never overlapping runs
+  start() {
+    let running = false;
+    const timer = setInterval(async () => {
+      if (running) {
+        return;
+      }
+      running = true;
+      try {
+        await this.processDue();
+      } catch (error) {
+        logger.error('Webhook delivery error:', error.message);
+      } finally {
+        running = false;
+      }
+    }, this.options.pollInterval * 1000);
+    timer.unref();
+    return timer;
+  }
+}
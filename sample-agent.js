@@ -4,6 +4,8 @@ import axios from 'axios';
 const app = express();
 const PORT = process.env.PORT || 3001;
 const REGISTRY_URL = process.env.REGISTRY_URL || 'http://localhost:3000';
+// Owner key for this agent; when unset the registry issues one on first registration
+let ownerKey = process.env.AGENT_OWNER_KEY || null;
 
 app.use(express.json());
 
@@ -17,37 +19,53 @@ const agentData = {
   status: 'active',
   version: '1.2.0',
   capabilities: 'Weather queries, location-based forecasts, historical data',
+  leaseTtl: 30, // seconds the registry keeps us active without a heartbeat
   location: { lat: 40.7128, lon: -74.0060 } // New York
 };
 
-// Agent card endpoint (what the registry fetches)
-app.get('/agentcard', (req, res) => {
-  res.json({
-    agentId: agentData.agentId,
-    name: agentData.name,
-    description: agentData.description,
-    capabilities: agentData.capabilities,
-    endpoints: {
-      process: '/process',
-      status: '/status',
-      health: '/health'
+// A2A agent card (what the registry fetches and validates)
+const agentCard = {
+  protocolVersion: '0.3.0',
+  name: agentData.name,
+  description: agentData.description,
+  url: `${agentData.url}/process`,
+  version: agentData.version,
+  provider: {
+    organization: 'Example Weather Co.',
+    url: 'https://weather.example.com'
+  },
+  capabilities: {
+    streaming: false,
+    pushNotifications: false
+  },
+  securitySchemes: {
+    apiKey: { type: 'apiKey', name: 'X-API-Key', in: 'header' }
+  },
+  security: [{ apiKey: [] }],
+  defaultInputModes: ['text/plain', 'application/json'],
+  defaultOutputModes: ['application/json'],
+  skills: [
+    {
+      id: 'current-weather',
+      name: 'Current weather',
+      description: 'Current conditions for any location',
+      tags: ['weather', 'location'],
+      examples: ["What's the weather in New York?"],
+      inputModes: ['text/plain'],
+      outputModes: ['application/json']
     },
-    examples: [
-      {
-        input: "What's the weather in New York?",
-        output: "Currently 72°F, partly cloudy with 10% chance of rain"
-      },
-      {
-        input: "Forecast for tomorrow in London",
-        output: "Tomorrow: 65°F, mostly sunny, light winds"
-      }
-    ],
-    configuration: {
-      supportedLocations: "Global",
-      updateFrequency: "5 minutes",
-      dataSource: "OpenWeatherMap API"
+    {
+      id: 'forecast',
+      name: 'Weather forecast',
+      description: 'Multi-day forecasts with temperature and precipitation',
+      tags: ['weather', 'forecast'],
+      examples: ['Forecast for tomorrow in London']
     }
-  });
+  ]
+};
+
+app.get('/.well-known/agent.json', (req, res) => {
+  res.json(agentCard);
 });
 
 // Process endpoint (main functionality)
@@ -93,24 +111,55 @@ app.get('/health', (req, res) => {
 async function registerWithRegistry() {
   try {
     console.log('Registering with agent registry...');
-    const response = await axios.post(`${REGISTRY_URL}/registry`, agentData);
+    const headers = ownerKey ? { 'X-API-Key': ownerKey } : {};
+    const response = await axios.post(`${REGISTRY_URL}/registry`, agentData, { headers });
+    if (response.data.ownerKey) {
+      ownerKey = response.data.ownerKey;
+      console.log('🔑 Owner key issued (set AGENT_OWNER_KEY to reuse it):', ownerKey);
+    }
     console.log('✅ Successfully registered:', response.data);
   } catch (error) {
     console.error('❌ Failed to register:', error.response?.data || error.message);
   }
 }
 
+// Renew our lease well before it runs out
+const HEARTBEAT_INTERVAL = (agentData.leaseTtl / 3) * 1000;
+
+async function sendHeartbeat() {
+  try {
+    const headers = ownerKey ? { 'X-API-Key': ownerKey } : {};
+    // Heartbeat this version, not whichever one the registry treats as latest
+    await axios.post(
+      `${REGISTRY_URL}/agent/${agentData.agentId}@${agentData.version}/heartbeat`,
+      {},
+      { headers }
+    );
+  } catch (error) {
+    if (error.response?.status === 404) {
+      // The registry deregistered us after a missed lease, so register again
+      console.warn('⚠️ Not registered anymore, re-registering...');
+      await registerWithRegistry();
+    } else {
+      console.error('❌ Heartbeat failed:', error.response?.data || error.message);
+    }
+  }
+}
+
 // Start server and register
 async function startAgent() {
   app.listen(PORT, () => {
     console.log(`🌤️ Weather Agent running on port ${PORT}`);
-    console.log(`Agent Card: http://localhost:${PORT}/agentcard`);
+    console.log(`Agent Card: http://localhost:${PORT}/.well-known/agent.json`);
     console.log(`Process: http://localhost:${PORT}/process`);
     console.log(`Status: http://localhost:${PORT}/status`);
   });
   
   // Wait a moment for the registry to be ready, then register
-  setTimeout(registerWithRegistry, 2000);
+  setTimeout(async () => {
+    await registerWithRegistry();
+    setInterval(sendHeartbeat, HEARTBEAT_INTERVAL);
+  }, 2000);
 }
 
 startAgent().catch(console.error); 
\ No newline at end of file
@@ -1,50 +1,211 @@
+import crypto from 'crypto';
+import { once } from 'events';
 import express from 'express';
 import cors from 'cors';
 import helmet from 'helmet';
 import compression from 'compression';
-import { Client } from '@elastic/elasticsearch';
-import NodeCache from 'node-cache';
-import axios from 'axios';
 import Joi from 'joi';
+import { WebSocketServer } from 'ws';
+import {
+  checkOwnership,
+  createAuthenticator,
+  generateOwnerKey,
+  hashKey,
+  requireAdmin,
+  toPublicAgent
+} from './lib/auth.js';
+import { AUDIT_ACTIONS, AUDIT_ROLES, AuditLog, diffFields } from './lib/audit.js';
+import { CardHistory } from './lib/cardHistory.js';
+import { EVENT_TYPES, EventFeed, createEventFilter } from './lib/events.js';
+import {
+  DELIVERY_STATUSES,
+  WebhookDispatcher,
+  generateWebhookSecret,
+  presentWebhook
+} from './lib/webhooks.js';
+import {
+  leaseFields,
+  startLeaseSweeper
+} from './lib/heartbeat.js';
+import { startHealthProber } from './lib/prober.js';
+import { EgressError, EgressPolicy } from './lib/egress.js';
+import { PublisherRegistry, publisherSchema, revokeKeys } from './lib/publishers.js';
+import {
+  ALL_TENANTS,
+  DEFAULT_TENANT,
+  agentsOf,
+  createTenantResolver,
+  tenantFilter,
+  tenantOf
+} from './lib/tenants.js';
+import { signaturesSchema, verificationFields, verifyCardSignatures, verifySignatures } from './lib/signatures.js';
+import { CardCache, cachePolicy, cardCacheKey, tenantCachePrefix } from './lib/cache/index.js';
+import { startCardWarmer } from './lib/cache/warmer.js';
+import { PointInTimeNotFoundError, VersionConflictError, createStorage } from './lib/storage/index.js';
+import { loadConfig } from './lib/config.js';
+import { configureLogger, logger, requestLogger } from './lib/logger.js';
+import { createRateLimiter } from './lib/rateLimit.js';
+import { SEARCH_DISTANCE_UNITS, distanceTo, parseBoundingBox } from './lib/geo.js';
+import {
+  fetchAgentCard,
+  hashCard,
+  skillFields,
+  skillSchema,
+  validateAgentCard
+} from './lib/agentCard.js';
+import { createEmbedder, embeddingText } from './lib/embeddings.js';
+import {
+  LATEST_VERSION_FILTER,
+  buildFilters,
+  buildSearchBody,
+  skillModeFilters,
+  splitList
+} from './lib/search.js';
+import { rankCandidates } from './lib/routing.js';
+import { parseRange, parseVersion } from './lib/version.js';
+import {
+  agentDocId,
+  findVersion,
+  listVersions,
+  parseAgentRef,
+  readHead,
+  resolveAgent,
+  saveHead,
+  versionFields,
+  versionOperations
+} from './lib/agentVersions.js';
+import { MAX_BULK_ITEMS, NDJSON_TYPES, bulkResponse, parseBulkItems } from './lib/bulk.js';
+import { documentETag, parseIfMatch, revisionOf, writeOptions } from './lib/concurrency.js';
+import { CURSOR_TIEBREAKER, MAX_RESULT_WINDOW, decodeCursor, searchPage } from './lib/cursor.js';
+import {
+  JSON_PATCH_TYPE,
+  MERGE_PATCH_TYPE,
+  PatchError,
+  applyJsonPatch,
+  applyMergePatch
+} from './lib/patch.js';
+import {
+  locationFormatSchema,
+  locationSchema,
+  renderLocation,
+  toStoredLocation
+} from './lib/location.js';
+
+// Reads the admin may make across every tenant, under /tenants/*
+const CROSS_TENANT_ROUTES = [
+  'GET /agents',
+  'GET /search',
+  'GET /search/skills',
+  'GET /events',
+  'GET /audit',
+  'GET /cache/status',
+  'POST /cache/clear'
+];
+
+// Configuration: defaults, then config.js (or CONFIG_FILE), then environment
+let config;
+try {
+  config = await loadConfig();
+} catch (error) {
+  console.error(`Invalid configuration: ${error.message}`);
+  process.exit(1);
+}
+configureLogger(config.logging);
 
 const app = express();
-const PORT = process.env.PORT || 3000;
+const PORT = config.port;
+app.set('trust proxy', config.api.trustProxy);
 
 // Middleware
+app.use(requestLogger);
 app.use(helmet());
-app.use(cors());
+app.use(cors(config.api.cors));
 app.use(compression());
-app.use(express.json({ limit: '10mb' }));
+const authenticate = createAuthenticator(config.auth);
+app.use(authenticate);
+const tenants = createTenantResolver(config.tenants, { crossTenantRoutes: CROSS_TENANT_ROUTES });
+app.use(tenants.middleware);
+const rateLimiter = createRateLimiter(config.api.rateLimit, config.heartbeat);
+app.use(rateLimiter.middleware);
+app.use(express.json({ limit: '10mb', type: ['application/json', MERGE_PATCH_TYPE, JSON_PATCH_TYPE] }));
+app.use(express.text({ type: NDJSON_TYPES, limit: '10mb' }));
+
+// Agent storage (Elasticsearch or in-memory), and the head listing the
+// versions of each agent
+const storage = createStorage(config);
+const heads = createStorage(config, 'agentHeads');
+
+// The tenant a request is limited to, or undefined for the admin's view
+// across every tenant
+const requestTenant = req => (req.tenant === ALL_TENANTS ? undefined : req.tenant);
+
+// Requests see their tenant's agents; the admin's cross-tenant view sees all
+app.use((req, res, next) => {
+  req.storage = req.tenant === ALL_TENANTS ? storage : agentsOf(storage, req.tenant);
+  req.heads = req.tenant === ALL_TENANTS ? heads : agentsOf(heads, req.tenant);
+  next();
+});
+
+// Append-only log of agent changes, stored apart from the agents
+const auditLog = new AuditLog(createStorage(config, 'audit'));
 
-// Elasticsearch client
-const client = new Client({
-  node: process.env.ELASTICSEARCH_URL || 'http://localhost:9200',
-  auth: {
-    username: process.env.ELASTICSEARCH_USERNAME || 'elastic',
-    password: process.env.ELASTICSEARCH_PASSWORD || 'changeme'
+// Outbound calls to agents may only reach allowed addresses
+const egress = new EgressPolicy(config.egress);
+
+// Publishers and the keys their signatures are verified with
+const publishers = new PublisherRegistry(createStorage(config, 'publishers'));
+const findPublisherKey = kid => publishers.findKey(kid);
+
+// Versions of agent cards, stored apart from the agents
+const cardHistory = new CardHistory(createStorage(config, 'cardHistory'));
+
+// Change feed for /events subscribers. Every audited change is published.
+const eventFeed = new EventFeed({
+  bufferSize: config.events.bufferSize,
+  present: source => presentAgent(source)
+});
+auditLog.on('recorded', ({ event, before, after }) => {
+  eventFeed.publish(`agent.${event.action}`, { before, after, changedFields: event.changedFields });
+  // A registration or patch that changes the status is a status change too
+  if (event.action === 'updated' && before?.status !== after?.status) {
+    eventFeed.publish('agent.status_changed', { before, after, changedFields: event.changedFields });
   }
 });
 
-// In-memory cache for agent cards
-const agentCache = new NodeCache({
-  stdTTL: 300, // 5 minutes default TTL
-  checkperiod: 60, // Check for expired keys every minute
-  useClones: false
+// Webhook subscriptions, delivered from the change feed
+const webhookStorage = createStorage(config, 'webhooks');
+const deliveryStorage = createStorage(config, 'webhookDeliveries');
+const webhookDispatcher = new WebhookDispatcher({
+  webhooks: webhookStorage,
+  deliveries: deliveryStorage,
+  options: config.webhooks,
+  egress
 });
+eventFeed.on('event', event => {
+  webhookDispatcher.dispatch(event)
+    .catch(error => logger.error('Webhook dispatch error:', error.message));
+});
+
+// Embeds agent text for semantic search
+const embedder = createEmbedder(config.embeddings);
 
-// Cache statistics
-let cacheStats = {
-  hits: 0,
-  misses: 0,
-  size: 0
-};
+// Agent card cache: in-process, optionally shared between instances
+const cardCache = new CardCache(config.cache);
 
-// Elasticsearch index name
-const INDEX_NAME = 'agents';
+// Semantic versions, and npm-style ranges of them
+const versionSchema = Joi.string()
+  .custom((value, helpers) => (parseVersion(value) ? value : helpers.error('any.invalid')))
+  .messages({ 'any.invalid': '{{#label}} must be a semantic version' });
+const versionRangeSchema = Joi.string()
+  .custom((value, helpers) => (parseRange(value) ? value : helpers.error('any.invalid')))
+  .messages({ 'any.invalid': '{{#label}} must be a version or version range' });
 
 // Validation schemas
 const agentRegistrationSchema = Joi.object({
-  agentId: Joi.string().required(),
+  // `@` separates an agent from a version in paths such as /agent/:agentId@1.5.0
+  agentId: Joi.string().pattern(/^[^@/]+$/)
+    .messages({ 'string.pattern.base': '"agentId" must not contain "@" or "/"' })
+    .required(),
   name: Joi.string().required(),
   description: Joi.string().required(),
   url: Joi.string().uri().required(),
@@ -52,114 +213,270 @@ const agentRegistrationSchema = Joi.object({
   status: Joi.string()
     .valid('active', 'inactive', 'maintenance')
     .default('active'),
-  version: Joi.string().default('1.0.0'),
-  capabilities: Joi.string().default(''),
-  location: Joi.object({
-    coordinates: Joi.object({
-      lat: Joi.number().min(-90).max(90).required(),
-      lon: Joi.number().min(-180).max(180).required()
-    }).required(),
-    city: Joi.string().optional(),
-    country: Joi.string().optional()
-  }).optional()
+  version: versionSchema.default('1.0.0'),
+  capabilities: Joi.string().allow('').default(''),
+  leaseTtl: Joi.number().integer().min(5).max(86400).default(config.heartbeat.leaseTtl),
+  location: locationSchema.optional(),
+  // A2A skills, for agents that register them rather than only serving a card
+  skills: Joi.array().items(skillSchema).optional(),
+  defaultInputModes: Joi.array().items(Joi.string()).optional(),
+  defaultOutputModes: Joi.array().items(Joi.string()).optional(),
+  // JWS signatures by a registered publisher over the rest of the registration
+  signatures: signaturesSchema.optional()
+});
+
+const heartbeatSchema = Joi.object({
+  status: Joi.string()
+    .valid('active', 'maintenance')
+    .default('active'),
+  leaseTtl: Joi.number().integer().min(5).max(86400).optional()
 });
 
 const searchQuerySchema = Joi.object({
-  q: Joi.string().optional(),
+  q: Joi.string()
+    .when('mode', { is: Joi.valid('semantic', 'hybrid'), then: Joi.required() }),
+  mode: Joi.string().valid('keyword', 'semantic', 'hybrid').default('keyword'),
   tags: Joi.string().optional(),
   status: Joi.string()
     .valid('active', 'inactive', 'maintenance')
     .optional(),
-  version: Joi.string().optional(),
+  version: versionRangeSchema.optional(),
   city: Joi.string().optional(),
   country: Joi.string().optional(),
-  lat: Joi.number().min(-90).max(90).optional(),
-  lon: Joi.number().min(-180).max(180).optional(),
+  lat: Joi.number().min(-90).max(90)
+    .when('sort', { is: 'distance', then: Joi.required() }),
+  lon: Joi.number().min(-180).max(180)
+    .when('sort', { is: 'distance', then: Joi.required() }),
+  radius: Joi.number().positive().optional(),
+  unit: Joi.string().valid(...SEARCH_DISTANCE_UNITS).default('km'),
+  bbox: Joi.string()
+    .custom((value, helpers) => parseBoundingBox(value) || helpers.error('any.invalid'))
+    .messages({ 'any.invalid': '"bbox" must be minLon,minLat,maxLon,maxLat' })
+    .optional(),
+  healthy: Joi.boolean().optional(),
+  verified: Joi.boolean().optional(),
+  publisherId: Joi.string().optional(),
+  inputMode: Joi.string().optional(),
+  outputMode: Joi.string().optional(),
+  locationFormat: locationFormatSchema.optional(),
   page: Joi.number().integer().min(1).default(1),
   perPage: Joi.number().integer().min(1).max(100).default(20),
+  // Empty for the first page of cursor pagination, then each nextCursor
+  cursor: Joi.string().allow('').optional(),
   sort: Joi.string()
-    .valid('relevance', 'name', 'updatedAt', 'distance')
+    .valid('relevance', 'name', 'updatedAt', 'distance', 'latency')
     .default('relevance')
+})
+  .and('lat', 'lon')
+  .with('radius', ['lat', 'lon']);
+
+const listQuerySchema = Joi.object({
+  locationFormat: locationFormatSchema.optional(),
+  page: Joi.number().integer().min(1).default(1),
+  perPage: Joi.number().integer().min(1).max(100).default(20),
+  cursor: Joi.string().allow('').optional()
 });
-// Initialize Elasticsearch index
-async function initializeIndex() {
-  try {
-    const indexExists = await client.indices.exists({ index: INDEX_NAME });
-    
-    if (!indexExists) {
-      await client.indices.create({
-        index: INDEX_NAME,
-        body: {
-          mappings: {
-            properties: {
-              agentId: { type: 'keyword' },
-              name: { 
-                type: 'text',
-                analyzer: 'standard',
-                fields: {
-                  keyword: { type: 'keyword' }
-                }
-              },
-              description: { 
-                type: 'text',
-                analyzer: 'standard'
-              },
-              url: { type: 'keyword' },
-              tags: { type: 'keyword' },
-              status: { type: 'keyword' },
-              version: { type: 'keyword' },
-              capabilities: { 
-                type: 'text',
-                analyzer: 'standard'
-              },
-              location: {
-                type: 'object',
-                properties: {
-                  coordinates: { type: 'geo_point' },
-                  city: { type: 'keyword' },
-                  country: { type: 'keyword' }
-                }
-              },
-              updatedAt: { type: 'date' }
-            }
-          },
-          settings: {
-            analysis: {
-              analyzer: {
-                standard: {
-                  type: 'standard'
-                }
-              }
-            }
-          }
-        }
-      });
-      console.log(`Created index: ${INDEX_NAME}`);
+
+const skillSearchQuerySchema = Joi.object({
+  q: Joi.string().optional(),
+  tags: Joi.string().optional(),
+  inputMode: Joi.string().optional(),
+  outputMode: Joi.string().optional(),
+  status: Joi.string()
+    .valid('active', 'inactive', 'maintenance')
+    .optional(),
+  healthy: Joi.boolean().optional(),
+  verified: Joi.boolean().optional(),
+  publisherId: Joi.string().optional(),
+  locationFormat: locationFormatSchema.optional(),
+  page: Joi.number().integer().min(1).default(1),
+  perPage: Joi.number().integer().min(1).max(100).default(20)
+});
+
+const routeRequestSchema = Joi.object({
+  task: Joi.string().required(),
+  constraints: Joi.object({
+    // Agents must carry every one of these tags
+    tags: Joi.array().items(Joi.string()).default([]),
+    origin: Joi.object({
+      lat: Joi.number().min(-90).max(90).required(),
+      lon: Joi.number().min(-180).max(180).required()
+    }).optional(),
+    maxDistance: Joi.number().positive().optional(),
+    unit: Joi.string().valid(...SEARCH_DISTANCE_UNITS).default('km'),
+    minVersion: versionSchema.optional(),
+    healthyOnly: Joi.boolean().default(false),
+    // Only agents verified as signed by a registered publisher
+    verifiedOnly: Joi.boolean().default(config.routing.verifiedOnly),
+    inputMode: Joi.string().optional(),
+    outputMode: Joi.string().optional()
+  })
+    .with('maxDistance', 'origin')
+    .default(),
+  limit: Joi.number().integer().min(1).max(20).default(5)
+});
+
+// Subscriber filters for /events: event types plus /search filters
+const eventsQuerySchema = Joi.object({
+  types: Joi.string()
+    .custom((value, helpers) => {
+      const types = splitList(value);
+      return types.every(type => EVENT_TYPES.includes(type)) ? types : helpers.error('any.invalid');
+    })
+    .messages({ 'any.invalid': `"types" must list event types from: ${EVENT_TYPES.join(', ')}` })
+    .optional(),
+  q: Joi.string().optional(),
+  tags: Joi.string().optional(),
+  status: Joi.string()
+    .valid('active', 'inactive', 'maintenance')
+    .optional(),
+  version: versionRangeSchema.optional(),
+  city: Joi.string().optional(),
+  country: Joi.string().optional(),
+  lat: Joi.number().min(-90).max(90),
+  lon: Joi.number().min(-180).max(180),
+  radius: Joi.number().positive().optional(),
+  unit: Joi.string().valid(...SEARCH_DISTANCE_UNITS).default('km'),
+  bbox: Joi.string()
+    .custom((value, helpers) => parseBoundingBox(value) || helpers.error('any.invalid'))
+    .messages({ 'any.invalid': '"bbox" must be minLon,minLat,maxLon,maxLat' })
+    .optional(),
+  healthy: Joi.boolean().optional(),
+  verified: Joi.boolean().optional(),
+  publisherId: Joi.string().optional(),
+  inputMode: Joi.string().optional(),
+  outputMode: Joi.string().optional(),
+  // Resume after this event id; SSE clients may send Last-Event-ID instead
+  cursor: Joi.string().optional()
+})
+  .and('lat', 'lon')
+  .with('radius', ['lat', 'lon']);
+
+// Webhook subscription. Empty filters match every event.
+const webhookSchema = Joi.object({
+  url: Joi.string().uri({ scheme: ['http', 'https'] }).required(),
+  description: Joi.string().optional(),
+  events: Joi.array().items(Joi.string().valid(...EVENT_TYPES)).default([]),
+  tags: Joi.array().items(Joi.string()).default([]),
+  // agentId patterns, where `*` matches any characters
+  agentIds: Joi.array().items(Joi.string()).default([]),
+  active: Joi.boolean().default(true)
+});
+
+const deliveriesQuerySchema = Joi.object({
+  status: Joi.string().valid(...DELIVERY_STATUSES).optional(),
+  eventType: Joi.string().valid(...EVENT_TYPES).optional(),
+  agentId: Joi.string().optional(),
+  page: Joi.number().integer().min(1).default(1),
+  perPage: Joi.number().integer().min(1).max(100).default(20)
+});
+
+// Filters for an agent's change history
+const historyQuerySchema = Joi.object({
+  version: Joi.string().optional(),
+  action: Joi.string().valid(...AUDIT_ACTIONS).optional(),
+  from: Joi.date().iso().optional(),
+  to: Joi.date().iso().optional(),
+  page: Joi.number().integer().min(1).default(1),
+  perPage: Joi.number().integer().min(1).max(100).default(20)
+});
+
+// Filters for GET /agentcard/:agentId/history
+const cardHistoryQuerySchema = Joi.object({
+  version: Joi.string().optional(),
+  // Include each version's full card, not only what changed
+  includeCards: Joi.boolean().default(false),
+  page: Joi.number().integer().min(1).default(1),
+  perPage: Joi.number().integer().min(1).max(100).default(20)
+});
+
+// Filters for the registry-wide audit log
+const auditQuerySchema = historyQuerySchema.keys({
+  agentId: Joi.string().optional(),
+  role: Joi.string().valid(...AUDIT_ROLES).optional(),
+  keyId: Joi.string().optional(),
+  ip: Joi.string().optional(),
+  // Events that changed this field, e.g. `status` or `location.city`
+  field: Joi.string().optional()
+});
+
+// Validate a paged query. A request either picks a `page`, or pages with
+// cursors: an empty `cursor` starts, and each nextCursor continues with the
+// parameters of the first request. Returns { error } or { value, cursor },
+// where `cursor` is the decoded cursor being continued, if any.
+function pagedQuery(schema, query) {
+  if (query.page !== undefined && query.cursor !== undefined) {
+    return { error: 'Use either "page" or "cursor"' };
+  }
+  const { error, value } = schema.validate(query);
+  if (error) {
+    return { error: error.details[0].message };
+  }
+  if (value.cursor === undefined) {
+    if (value.page * value.perPage > MAX_RESULT_WINDOW) {
+      return { error: `Results past the first ${MAX_RESULT_WINDOW} need cursor pagination` };
     }
+    return { value };
+  }
+  if (value.cursor === '') {
+    return { value };
+  }
+
+  const cursor = decodeCursor(value.cursor);
+  const resumed = cursor && schema.validate({ ...cursor.params, cursor: value.cursor });
+  if (!resumed || resumed.error) {
+    return { error: 'Invalid cursor' };
+  }
+  return { value: resumed.value, cursor };
+}
+
+// Parameters a cursor keeps for the pages that follow
+function cursorParams(value) {
+  const params = { ...value };
+  delete params.cursor;
+  delete params.page;
+  return params;
+}
+
+// Embed an agent's text for semantic search. An embedder failure leaves the
+// agent without a vector rather than failing the write.
+async function embedAgent(agent) {
+  try {
+    return await embedder.embed(embeddingText(agent));
   } catch (error) {
-    console.error('Error initializing Elasticsearch index:', error);
+    logger.warn(`Failed to embed agent ${agent.agentId}:`, error.message);
+    return undefined;
+  }
+}
+
+// Shape a stored agent for responses, rendering its location in the
+// requested format or the one it was registered with
+function presentAgent(source, locationFormat) {
+  const agent = toPublicAgent(source);
+  // Vectors are only used for search
+  delete agent.embedding;
+  if (agent.location) {
+    agent.location = renderLocation(agent.location, locationFormat);
   }
+  return agent;
 }
 
 // Health check endpoint
 app.get('/health', async (req, res) => {
   try {
-    const esHealth = await client.cluster.health();
-    const cacheInfo = agentCache.getStats();
-    
+    const storageHealth = await storage.health();
+    const cacheInfo = cardCache.stats();
+
     res.json({
       status: 'healthy',
       timestamp: new Date().toISOString(),
-      elasticsearch: {
-        status: esHealth.status,
-        cluster_name: esHealth.cluster_name,
-        number_of_nodes: esHealth.number_of_nodes
-      },
+      storage: storageHealth,
       cache: {
-        size: cacheInfo.vsize,
-        hits: cacheStats.hits,
-        misses: cacheStats.misses,
-        hitRate: cacheStats.hits / (cacheStats.hits + cacheStats.misses) || 0
+        size: cacheInfo.keys,
+        hits: cacheInfo.hits,
+        misses: cacheInfo.misses,
+        hitRate: cacheInfo.hitRate,
+        shared: cacheInfo.shared
       }
     });
   } catch (error) {
@@ -170,333 +487,1756 @@ app.get('/health', async (req, res) => {
   }
 });
 
-// Register or update agent
-app.post('/registry', async (req, res) => {
-  try {
-    const { error, value } = agentRegistrationSchema.validate(req.body);
-    if (error) {
-      return res.status(400).json({ error: error.details[0].message });
+// Build the stored document for a validated registration in the request's
+// tenant, after checking the caller against the agent's owner. Returns
+// { denied } with the status and error for the response, or
+// { id, agentData, existing, listed, ownerKey, head, condition }, where
+// `listed` tells whether any version of the agent is registered, and `head`
+// and `condition` hold the agent's head and the ifSeqNo/ifPrimaryTerm of
+// the version as read, for writeRegistration.
+// `owners` maps agentIds to the owner key hashes given to agents earlier in
+// the same batch, whose writes are not visible yet. An imported
+// `ownerKeyHash` keeps the owner an agent had where it was exported.
+// `submitted` is the registration as sent, which its signatures cover.
+// With `keepLease`, a stored version keeps its lease unless `leaseTtl`
+// changes; otherwise registering renews it.
+async function prepareRegistration(req, value, {
+  owners = new Map(),
+  ownerKeyHash: importedOwner,
+  submitted = value,
+  keepLease = false
+} = {}) {
+  // The agent's head holds its owner; the same version is updated
+  const head = await readHead(req.storage, req.heads, value.agentId);
+  const listed = head?.versions.length > 0;
+  const existingVersion = await findVersion(req.storage, head, value.version);
+  const existing = existingVersion?.source;
+
+  let ownerKey;
+  let ownerKeyHash;
+  if (listed) {
+    const denied = checkOwnership(req.auth, head);
+    if (denied) {
+      return { denied };
+    }
+    ownerKeyHash = importedOwner || head.ownerKeyHash;
+    // Agents registered before ownership existed get a key on admin update
+    if (!ownerKeyHash) {
+      ownerKey = generateOwnerKey();
+      ownerKeyHash = hashKey(ownerKey);
     }
+  } else if (owners.has(value.agentId)) {
+    ownerKeyHash = owners.get(value.agentId);
+  } else if (importedOwner) {
+    ownerKeyHash = importedOwner;
+  } else if (req.auth.apiKey && !req.auth.isAdmin) {
+    // Bind the caller's own key as the owner credential
+    ownerKeyHash = hashKey(req.auth.apiKey);
+  } else {
+    // Issue a secret that must be presented on later changes
+    ownerKey = generateOwnerKey();
+    ownerKeyHash = hashKey(ownerKey);
+  }
+  owners.set(value.agentId, ownerKeyHash);
 
-    const agentData = {
-      ...value,
-      updatedAt: new Date().toISOString()
+  // A signed registration must verify; an unsigned one is accepted unverified
+  const registrationSignature = await verifySignatures(submitted, findPublisherKey);
+  if (registrationSignature && !registrationSignature.verified) {
+    return {
+      denied: { status: 400, error: `Invalid registration signature: ${registrationSignature.errors.join('; ')}` }
     };
+  }
+
+  const { signatures, ...registration } = value;
+  const agentData = {
+    ...registration,
+    tenant: req.tenant,
+    agentKey: `${req.tenant}/${value.agentId}`,
+    ...versionFields(value.version),
+    ...(keepLease && existing?.leaseExpiresAt && existing.leaseTtl === value.leaseTtl
+      ? { leaseTtl: existing.leaseTtl, lastHeartbeat: existing.lastHeartbeat, leaseExpiresAt: existing.leaseExpiresAt }
+      : leaseFields(value.leaseTtl)),
+    ownerKeyHash,
+    revision: revisionOf(existing) + 1,
+    updatedAt: new Date().toISOString()
+  };
+
+  // Probe history still applies while the agent stays at the same URL
+  if (existing?.health && existing.url === value.url) {
+    agentData.health = existing.health;
+  }
 
-    // Transform coordinates for Elasticsearch
-    if (agentData.location && agentData.location.coordinates) {
-      agentData.location.coordinates = [
-        agentData.location.coordinates.lon,
-        agentData.location.coordinates.lat
-      ];
+  // Registered skills are indexed like card skills; otherwise skills indexed
+  // from the agent's card still apply while it stays at the same URL
+  if (value.skills) {
+    Object.assign(agentData, skillFields(value));
+  } else if (existing?.skills && existing.url === value.url) {
+    agentData.skills = existing.skills;
+    agentData.defaultInputModes = existing.defaultInputModes;
+    agentData.defaultOutputModes = existing.defaultOutputModes;
+  }
+
+  // So is what the registry knows of the card served at that URL
+  if (existing?.cardSource && existing.url === value.url) {
+    agentData.cardSource = existing.cardSource;
+    if (existing.cardValidation) {
+      agentData.cardValidation = existing.cardValidation;
     }
+  }
+  Object.assign(agentData, verificationFields(
+    registrationSignature,
+    existing?.url === value.url ? existing.cardSignature : null
+  ));
 
-    // Index the agent metadata
-    await client.index({
-      index: INDEX_NAME,
-      id: agentData.agentId,
-      body: agentData
-    });
+  // Store one canonical geo_point, remembering the submitted format
+  if (agentData.location) {
+    agentData.location = toStoredLocation(agentData.location);
+  }
 
-    // Invalidate cache for this agent
-    agentCache.del(`agentcard:${agentData.agentId}`);
+  const embedding = await embedAgent(agentData);
+  if (embedding) {
+    agentData.embedding = embedding;
+  }
 
-    // Refresh index for immediate searchability
-    await client.indices.refresh({ index: INDEX_NAME });
+  const id = existingVersion?.id || agentDocId(agentData.agentId, agentData.version);
+  const condition = existingVersion
+    ? { ifSeqNo: existingVersion.seqNo, ifPrimaryTerm: existingVersion.primaryTerm }
+    : {};
+  return { id, agentData, existing, listed, ownerKey, head, condition };
+}
 
-    res.status(201).json({
-      message: 'Agent registered successfully',
-      agentId: agentData.agentId
-    });
+const REGISTRATION_FIELDS = Object.keys(agentRegistrationSchema.describe().keys);
+
+// The registration a stored agent was written from: the registration fields,
+// with the location in its registered format
+function registrationRecord(source) {
+  const record = {};
+  for (const field of REGISTRATION_FIELDS) {
+    if (source[field] !== undefined) {
+      record[field] = source[field];
+    }
+  }
+  if (record.location) {
+    record.location = renderLocation(source.location);
+  }
+  return record;
+}
+
+// Store a prepared registration and move the `latest` flag if this version
+// takes it over. `condition` holds the ifSeqNo/ifPrimaryTerm the stored
+// version must still have, by default those it was prepared from. Returns
+// { written: { seqNo, primaryTerm }, latest }, or null when the agent's head
+// or the version changed since they were read, so it must be prepared again.
+async function writeRegistration(req, prepared, condition = prepared.condition) {
+  const { id, agentData, existing, head } = prepared;
+  const { operations: [write, ...flagUpdates], latest, head: next } = versionOperations(
+    head,
+    agentData.agentId,
+    { writes: [{ id, source: agentData }] }
+  );
+  let written;
+  try {
+    await saveHead(req.heads, next);
+    written = await req.storage.put(id, write.doc, { ...req.writeOptions, ...condition });
   } catch (error) {
-    console.error('Registration error:', error);
-    res.status(500).json({ error: 'Failed to register agent' });
+    if (error instanceof VersionConflictError) {
+      return null;
+    }
+    throw error;
   }
-});
+  await req.storage.bulk(flagUpdates, req.writeOptions);
+  await auditLog.recordRequest(req, existing ? 'updated' : 'registered', existing, agentData);
 
-// List all agents (metadata only)
-app.get('/agents', async (req, res) => {
+  // Invalidate cache for this version, and for the agent since this may
+  // now be the version it resolves to
+  await cardCache.del([cardCacheKey(req.tenant, id), cardCacheKey(req.tenant, agentData.agentId)]);
+  return { written, latest };
+}
+
+function registrationMessage({ existing, listed }) {
+  if (existing) {
+    return 'Agent updated successfully';
+  }
+  return listed ? 'Agent version registered successfully' : 'Agent registered successfully';
+}
+
+// Times a write is prepared again when another write to the agent lands
+// between reading and writing it
+const WRITE_ATTEMPTS = 3;
+
+// Register or update agent. With If-Match, an update only applies to the
+// version of the registration the client read.
+app.post('/registry', writeOptions, async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const perPage = parseInt(req.query.perPage) || 20;
-    const from = (page - 1) * perPage;
+    const { error, value } = agentRegistrationSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    const precondition = parseIfMatch(req.get('If-Match'));
+    if (precondition === null) {
+      return res.status(400).json({ error: 'If-Match must be * or an ETag returned by the registry' });
+    }
 
-    const result = await client.search({
-      index: INDEX_NAME,
-      body: {
-        query: { match_all: {} },
-        sort: [{ updatedAt: { order: 'desc' } }],
-        from,
-        size: perPage
+    for (let attempt = 1; ; attempt++) {
+      const prepared = await prepareRegistration(req, value, { submitted: req.body });
+      if (prepared.denied) {
+        return res.status(prepared.denied.status).json({ error: prepared.denied.error });
+      }
+      const { agentData, existing, ownerKey } = prepared;
+      if (precondition && !existing) {
+        return res.status(412).json({ error: 'Agent version is not registered' });
+      }
+      if (precondition?.revision !== undefined && revisionOf(existing) !== precondition.revision) {
+        return res.status(412).json({ error: 'Agent was modified since it was read' });
       }
-    });
 
-    res.json({
-      agents: result.hits.hits.map(hit => ({
-        ...hit._source,
-        score: hit._score
-      })),
-      pagination: {
-        page,
-        perPage,
-        total: result.hits.total.value,
-        totalPages: Math.ceil(result.hits.total.value / perPage)
+      // Heartbeats and probes also write the version; the registration is
+      // then prepared again from what they left
+      const result = await writeRegistration(req, prepared);
+      if (!result) {
+        if (attempt < WRITE_ATTEMPTS) {
+          continue;
+        }
+        return res.status(409).json({ error: 'Agent is being modified concurrently; try again' });
       }
-    });
+      const { written, latest } = result;
+
+      const response = {
+        message: registrationMessage(prepared),
+        agentId: agentData.agentId,
+        version: agentData.version,
+        latestVersion: latest.version,
+        seqNo: written.seqNo,
+        primaryTerm: written.primaryTerm
+      };
+      // The raw owner key is only ever returned once
+      if (ownerKey) {
+        response.ownerKey = ownerKey;
+      }
+
+      return res.status(existing ? 200 : 201).set('ETag', documentETag(agentData)).json(response);
+    }
   } catch (error) {
-    console.error('List agents error:', error);
-    res.status(500).json({ error: 'Failed to fetch agents' });
+    logger.error('Registration error:', error);
+    res.status(500).json({ error: 'Failed to register agent' });
   }
 });
 
-// Get single agent metadata
-app.get('/agent/:agentId', async (req, res) => {
-  try {
-    const { agentId } = req.params;
-    
-    const result = await client.get({
-      index: INDEX_NAME,
-      id: agentId
-    });
+// Group items by a key, keeping first-seen order
+function groupBy(items, key) {
+  const groups = new Map();
+  for (const item of items) {
+    const name = key(item);
+    groups.set(name, [...(groups.get(name) || []), item]);
+  }
+  return groups;
+}
 
-    res.json(result._source);
-  } catch (error) {
-    if (error.meta?.statusCode === 404) {
-      res.status(404).json({ error: 'Agent not found' });
-    } else {
-      console.error('Get agent error:', error);
-      res.status(500).json({ error: 'Failed to fetch agent' });
+// Register many agents with one bulk write. Returns a
+// result per item in order. With `keepOwners`, items may carry the
+// `ownerKeyHash` of an export.
+async function registerBatch(req, items, { keepOwners = false } = {}) {
+  const results = [];
+  const prepared = [];
+  const owners = new Map();
+  const seen = new Map();
+
+  for (const [index, { item, error: parseError }] of items.entries()) {
+    if (parseError) {
+      results[index] = { index, status: 400, error: parseError };
+      continue;
+    }
+    // Exported records carry their owner, which only imports may set
+    let registration = item;
+    let ownerKeyHash;
+    if (keepOwners && item && typeof item === 'object') {
+      ({ ownerKeyHash, ...registration } = item);
+      if (ownerKeyHash !== undefined && !/^[0-9a-f]{64}$/.test(ownerKeyHash)) {
+        results[index] = { index, agentId: item.agentId, status: 400, error: '"ownerKeyHash" must be a SHA-256 hex digest' };
+        continue;
+      }
+    }
+    const { error, value } = agentRegistrationSchema.validate(registration);
+    if (error) {
+      results[index] = { index, agentId: item?.agentId, status: 400, error: error.details[0].message };
+      continue;
+    }
+    const key = agentDocId(value.agentId, value.version);
+    if (seen.has(key)) {
+      results[index] = {
+        index,
+        agentId: value.agentId,
+        version: value.version,
+        status: 400,
+        error: `Duplicate of item ${seen.get(key)}`
+      };
+      continue;
+    }
+    seen.set(key, index);
+
+    const registered = await prepareRegistration(req, value, { owners, ownerKeyHash, submitted: registration });
+    if (registered.denied) {
+      results[index] = {
+        index,
+        agentId: value.agentId,
+        version: value.version,
+        status: registered.denied.status,
+        error: registered.denied.error
+      };
+      continue;
     }
+    prepared.push({ index, ...registered });
   }
-});
 
-// Delete agent
-app.delete('/agent/:agentId', async (req, res) => {
-  try {
-    const { agentId } = req.params;
-    
-    await client.delete({
-      index: INDEX_NAME,
-      id: agentId
+  const operations = [];
+  const conflicts = new Set();
+  for (const [agentId, group] of groupBy(prepared, item => item.agentData.agentId)) {
+    // Every item of the agent was prepared from the same head
+    const batch = versionOperations(group[0].head, agentId, {
+      writes: group.map(item => ({ id: item.id, source: item.agentData }))
     });
+    try {
+      await saveHead(req.heads, batch.head);
+    } catch (error) {
+      if (!(error instanceof VersionConflictError)) {
+        throw error;
+      }
+      conflicts.add(agentId);
+      continue;
+    }
+    operations.push(...batch.operations);
+  }
+  const outcomes = await req.storage.bulk(operations, req.writeOptions);
+  const outcomeById = new Map(outcomes.map(outcome => [outcome.id, outcome]));
 
-    // Remove from cache
-    agentCache.del(`agentcard:${agentId}`);
-
-    res.json({ message: 'Agent deleted successfully' });
-  } catch (error) {
-    if (error.meta?.statusCode === 404) {
-      res.status(404).json({ error: 'Agent not found' });
-    } else {
-      console.error('Delete agent error:', error);
-      res.status(500).json({ error: 'Failed to delete agent' });
+  const written = new Set();
+  for (const registered of prepared) {
+    const { index, id, agentData, existing, listed, ownerKey } = registered;
+    const outcome = outcomeById.get(id);
+    const result = { index, agentId: agentData.agentId, version: agentData.version };
+    if (conflicts.has(agentData.agentId)) {
+      results[index] = { ...result, status: 409, error: 'Agent is being modified concurrently; try again' };
+      continue;
+    }
+    if (!outcome?.ok) {
+      results[index] = { ...result, status: 500, error: outcome?.error || 'Write failed' };
+      continue;
     }
+    await auditLog.recordRequest(req, existing ? 'updated' : 'registered', existing, agentData);
+    await cardCache.del([cardCacheKey(req.tenant, id), cardCacheKey(req.tenant, agentData.agentId)]);
+    results[index] = {
+      ...result,
+      status: existing ? 200 : 201,
+      // Earlier versions in the batch count as already registered
+      message: registrationMessage({ existing, listed: listed || written.has(agentData.agentId) }),
+      ...(ownerKey && { ownerKey })
+    };
+    written.add(agentData.agentId);
   }
-});
+  return results;
+}
 
-// Search agents
-app.get('/search', async (req, res) => {
+// Register many agents at once: a JSON array or NDJSON of registrations.
+// Returns a result per item, with the same statuses as POST /registry.
+app.post('/registry/bulk', writeOptions, async (req, res) => {
   try {
-    const { error, value } = searchQuerySchema.validate(req.query);
-    if (error) {
-      return res.status(400).json({ error: error.details[0].message });
+    const items = parseBulkItems(req.body);
+    if (!items) {
+      return res.status(400).json({ error: 'Body must be a JSON array or NDJSON' });
+    }
+    if (items.length > MAX_BULK_ITEMS) {
+      return res.status(413).json({ error: `At most ${MAX_BULK_ITEMS} items per request` });
     }
 
-    const {
-      q, tags, status, version, lat, lon,  page, perPage, sort,city, country
-    } = value;
-
-    const from = (page - 1) * perPage;
-    
-    // Build query
-    const must = [];
-    const filter = [];
-    const sortClause = [];
+    res.json(bulkResponse(await registerBatch(req, items)));
+  } catch (error) {
+    logger.error('Bulk registration error:', error);
+    res.status(500).json({ error: 'Failed to register agents' });
+  }
+});
 
-    // Text search
-    if (q) {
-      must.push({
-        multi_match: {
-          query: q,
-          fields: ['name^2', 'description', 'capabilities'],
-          fuzziness: 'AUTO',
-          type: 'best_fields'
-        }
-      });
+// Delete many agents at once: a JSON array or NDJSON of `agentId` or
+// `agentId@version` references, or { agentId, version } objects
+app.post('/registry/bulk/delete', writeOptions, async (req, res) => {
+  try {
+    const items = parseBulkItems(req.body);
+    if (!items) {
+      return res.status(400).json({ error: 'Body must be a JSON array or NDJSON' });
     }
-
-    // Tag filter
-    if (tags) {
-      const tagArray = tags.split(',').map(t => t.trim());
-      filter.push({ terms: { tags: tagArray } });
+    if (items.length > MAX_BULK_ITEMS) {
+      return res.status(413).json({ error: `At most ${MAX_BULK_ITEMS} items per request` });
     }
 
-    // Status filter
-    if (status) {
-      filter.push({ term: { status } });
-    }
+    const results = [];
+    const deletions = [];
+    for (const [index, { item, error: parseError }] of items.entries()) {
+      const ref = typeof item === 'string' ? parseAgentRef(item) : item;
+      if (parseError || typeof ref?.agentId !== 'string') {
+        results[index] = { index, status: 400, error: parseError || 'Item must be an agent reference' };
+        continue;
+      }
 
-    // Version filter
-    if (version) {
-      filter.push({ term: { version } });
-    }
+      const { agentId, version = null } = ref;
+      const head = await readHead(req.storage, req.heads, agentId);
+      const current = await findVersion(req.storage, head, version);
+      if (!current) {
+        results[index] = { index, agentId, status: 404, error: 'Agent not found' };
+        continue;
+      }
+      const denied = checkOwnership(req.auth, current.source);
+      if (denied) {
+        results[index] = { index, agentId, status: denied.status, error: denied.error };
+        continue;
+      }
 
-    // Geo sorting
-    if (lat && lon) {
-      sortClause.push({
-        _geo_distance: {
-          "location.coordinates": { lat, lon },
-          order: 'asc',
-          unit: 'km'
-        }
-      });
+      const versions = version ? [current] : await listVersions(req.storage, req.heads, agentId);
+      deletions.push({ index, agentId, version, versions, head });
     }
 
-    // Other sorting
-    switch (sort) {
-      case 'name':
-        sortClause.push({ 'name.keyword': { order: 'asc' } });
-        break;
-      case 'updatedAt':
-        sortClause.push({ updatedAt: { order: 'desc' } });
-        break;
-      case 'relevance':
-      default:
-        if (!q) {
-          sortClause.push({ updatedAt: { order: 'desc' } });
+    const operations = [];
+    const conflicts = new Set();
+    for (const [agentId, group] of groupBy(deletions, deletion => deletion.agentId)) {
+      const ids = [...new Set(group.flatMap(deletion => deletion.versions.map(hit => hit.id)))];
+      const batch = versionOperations(group[0].head, agentId, { deletes: ids });
+      try {
+        await saveHead(req.heads, batch.head);
+      } catch (error) {
+        if (!(error instanceof VersionConflictError)) {
+          throw error;
         }
-        break;
+        conflicts.add(agentId);
+        continue;
+      }
+      operations.push(...batch.operations);
     }
+    const outcomes = await req.storage.bulk(operations, req.writeOptions);
+    const deleted = new Set(outcomes.filter(outcome => outcome.ok).map(outcome => outcome.id));
 
-    const query = {
-      bool: {
-        must,
-        filter
+    const audited = new Set();
+    for (const { index, agentId, version, versions } of deletions) {
+      if (conflicts.has(agentId)) {
+        results[index] = { index, agentId, status: 409, error: 'Agent is being modified concurrently; try again' };
+        continue;
       }
-    };
-
-    const result = await client.search({
-      index: INDEX_NAME,
-      body: {
-        query,
-        sort: sortClause,
-        from,
-        size: perPage,
-        aggs: {
-          tags: {
-            terms: { field: 'tags' }
-          },
-          status: {
-            terms: { field: 'status' }
-          }
+      const removed = versions.filter(hit => deleted.has(hit.id));
+      for (const hit of removed) {
+        // Another item may name the same version
+        if (!audited.has(hit.id)) {
+          audited.add(hit.id);
+          await auditLog.recordRequest(req, 'deleted', hit.source, null);
         }
       }
-    });
+      await cardCache.del([agentId, ...versions.map(hit => hit.id)].map(ref => cardCacheKey(req.tenant, ref)));
+      results[index] = removed.length
+        ? { index, agentId, ...(version && { version }), status: 200, deleted: removed.length }
+        : { index, agentId, status: 500, error: 'Delete failed' };
+    }
 
-    res.json({
-      agents: result.hits.hits.map(hit => ({
-        ...hit._source,
-        score: hit._score,
-        distance: hit.sort?.[0] // Geo distance if applicable
-      })),
-      pagination: {
-        page,
-        perPage,
-        total: result.hits.total.value,
-        totalPages: Math.ceil(result.hits.total.value / perPage)
-      },
-      aggregations: result.aggregations
-    });
+    res.json(bulkResponse(results));
   } catch (error) {
-    console.error('Search error:', error);
-    res.status(500).json({ error: 'Search failed' });
+    logger.error('Bulk delete error:', error);
+    res.status(500).json({ error: 'Failed to delete agents' });
   }
 });
 
-// Get full agent card (from cache or fetch)
-app.get('/agentcard/:agentId', async (req, res) => {
-  try {
-    const { agentId } = req.params;
-    const cacheKey = `agentcard:${agentId}`;
+// Agents written per page of an export
+const EXPORT_PAGE_SIZE = 500;
 
-    // Try cache first
-    let agentCard = agentCache.get(cacheKey);
-    
-    if (agentCard) {
-      cacheStats.hits++;
-      return res.json({
-        ...agentCard,
-        cached: true,
-        fetchTimestamp: agentCard.fetchTimestamp
-      });
-    }
+const exportQuerySchema = Joi.object({
+  // Resume after this agentId@version, the last record received
+  cursor: Joi.string().pattern(/@/).optional()
+});
 
-    cacheStats.misses++;
+// An agent as a registration POST /import can replay, with the owner key hash
+function exportRecord(source) {
+  return { ...registrationRecord(source), ownerKeyHash: source.ownerKeyHash };
+}
 
-    // Get agent metadata
-    const metadata = await client.get({
-      index: INDEX_NAME,
-      id: agentId
-    });
+// Export every version of every agent as NDJSON, streamed a page at a time in
+// agentId@version order (admin only, since records include owner key hashes)
+app.get('/export', requireAdmin, async (req, res) => {
+  const { error, value } = exportQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
 
-    // Fetch full agent card from agent's endpoint
-    try {
-      const response = await axios.get(`${metadata._source.url}/.well-known/agent.json`, {
-        timeout: 5000
-      });
+  let closed = false;
+  req.on('close', () => {
+    closed = true;
+  });
 
-      agentCard = {
-        ...response.data,
-        agentId,
-        cached: false,
-        fetchTimestamp: new Date().toISOString()
-      };
+  try {
+    res.set({
+      'Content-Type': 'application/x-ndjson',
+      'Content-Disposition': 'attachment; filename="agents.ndjson"'
+    });
 
-      // Cache the result
-      agentCache.set(cacheKey, agentCard);
+    // Every page is read from one point in time, so agents changing during
+    // the export are neither skipped nor repeated
+    let pitId = await req.storage.openPointInTime({ keepAlive: config.api.cursorKeepAlive });
+    try {
+      let searchAfter;
+      if (value.cursor) {
+        const { agentId, version } = parseAgentRef(value.cursor);
+        // agentId@version is unique, so any tiebreaker value starts after it
+        searchAfter = [agentId, version, Number.MAX_SAFE_INTEGER];
+      }
+      while (!closed) {
+        const result = await req.storage.search({
+          query: { match_all: {} },
+          sort: [{ agentId: 'asc' }, { version: 'asc' }, CURSOR_TIEBREAKER],
+          _source: { excludes: ['embedding'] },
+          size: EXPORT_PAGE_SIZE,
+          pit: { id: pitId, keep_alive: `${config.api.cursorKeepAlive}s` },
+          ...(searchAfter && { search_after: searchAfter })
+        });
+        pitId = result.pitId || pitId;
 
-      res.json(agentCard);
-    } catch (fetchError) {
-      console.error(`Failed to fetch agent card from ${metadata._source.url}:`, fetchError.message);
-      res.status(503).json({
-        error: 'Failed to fetch agent card',
-        agentId,
-        url: metadata._source.url
-      });
+        for (const hit of result.hits) {
+          if (!res.write(`${JSON.stringify(exportRecord(hit.source))}\n`)) {
+            await once(res, 'drain');
+          }
+        }
+        res.flush?.();
+        if (result.hits.length < EXPORT_PAGE_SIZE) {
+          break;
+        }
+        searchAfter = result.hits[result.hits.length - 1].sort;
+      }
+    } finally {
+      await req.storage.closePointInTime(pitId);
     }
-  } catch (error) {
-    if (error.meta?.statusCode === 404) {
-      res.status(404).json({ error: 'Agent not found' });
+    res.end();
+  } catch (exportError) {
+    logger.error('Export error:', exportError);
+    // Once streaming has started, a cut-off body is the only signal left
+    if (res.headersSent) {
+      res.destroy(exportError);
     } else {
-      console.error('Get agent card error:', error);
-      res.status(500).json({ error: 'Failed to fetch agent card' });
+      res.status(500).json({ error: 'Failed to export agents' });
     }
   }
 });
 
-// Cache status
-app.get('/cache/status', (req, res) => {
-  const stats = agentCache.getStats();
-  res.json({
-    size: stats.vsize,
-    hits: cacheStats.hits,
-    misses: cacheStats.misses,
-    hitRate: cacheStats.hits / (cacheStats.hits + cacheStats.misses) || 0,
-    keys: stats.keys,
-    ksize: stats.ksize
-  });
-});
+// Import agents from a GET /export file (JSON array or NDJSON), keeping each
+// agent's owner. Items are written in batches of MAX_BULK_ITEMS (admin only).
+app.post('/import', requireAdmin, writeOptions, async (req, res) => {
+  try {
+    const items = parseBulkItems(req.body);
+    if (!items) {
+      return res.status(400).json({ error: 'Body must be a JSON array or NDJSON' });
+    }
+
+    const results = [];
+    for (let start = 0; start < items.length; start += MAX_BULK_ITEMS) {
+      const batch = await registerBatch(req, items.slice(start, start + MAX_BULK_ITEMS), { keepOwners: true });
+      results.push(...batch.map(result => ({ ...result, index: result.index + start })));
+    }
+
+    res.json(bulkResponse(results));
+  } catch (error) {
+    logger.error('Import error:', error);
+    res.status(500).json({ error: 'Failed to import agents' });
+  }
+});
+
+// List all agents (metadata only), one entry per agent at its latest version
+app.get('/agents', async (req, res) => {
+  try {
+    const { error, value, cursor } = pagedQuery(listQuerySchema, req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const { locationFormat, page, perPage } = value;
+
+    const body = {
+      query: { bool: { filter: [LATEST_VERSION_FILTER] } },
+      sort: [{ updatedAt: { order: 'desc' } }],
+      _source: { excludes: ['embedding'] }
+    };
+    let result;
+    let pagination;
+    if (value.cursor === undefined) {
+      result = await req.storage.search({ ...body, from: (page - 1) * perPage, size: perPage });
+      pagination = { page, perPage, total: result.total, totalPages: Math.ceil(result.total / perPage) };
+    } else {
+      let nextCursor;
+      ({ result, nextCursor } = await searchPage(req.storage, body, {
+        cursor,
+        params: cursorParams(value),
+        perPage,
+        keepAlive: config.api.cursorKeepAlive
+      }));
+      pagination = { perPage, total: result.total, nextCursor };
+    }
+
+    res.json({
+      agents: result.hits.map(hit => ({
+        ...presentAgent(hit.source, locationFormat),
+        score: hit.score
+      })),
+      pagination
+    });
+  } catch (error) {
+    if (error instanceof PointInTimeNotFoundError) {
+      return res.status(410).json({ error: 'Cursor has expired; start again without it' });
+    }
+    logger.error('List agents error:', error);
+    res.status(500).json({ error: 'Failed to fetch agents' });
+  }
+});
+
+// List every registered version of an agent
+app.get('/agent/:agentId/versions', async (req, res) => {
+  try {
+    const { agentId } = req.params;
+
+    const hits = await listVersions(req.storage, req.heads, agentId);
+    if (hits.length === 0) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    const latest = hits.find(hit => hit.source.latest) || hits[0];
+    res.json({
+      agentId,
+      latestVersion: latest.source.version,
+      versions: hits.map(({ source }) => ({
+        version: source.version,
+        prerelease: source.prerelease ?? false,
+        latest: source === latest.source,
+        status: source.status,
+        url: source.url,
+        leaseExpiresAt: source.leaseExpiresAt,
+        updatedAt: source.updatedAt
+      }))
+    });
+  } catch (error) {
+    logger.error('List versions error:', error);
+    res.status(500).json({ error: 'Failed to fetch agent versions' });
+  }
+});
+
+// Change history of an agent, newest first. Open to the agent's owner while
+// any version is registered; the history of a deleted agent is admin-only.
+app.get('/agent/:agentId/history', async (req, res) => {
+  try {
+    const { error, value } = historyQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    const { agentId } = req.params;
+
+    const current = await resolveAgent(req.storage, req.heads, { agentId });
+    if (current) {
+      const denied = checkOwnership(req.auth, current.source);
+      if (denied) {
+        return res.status(denied.status).json({ error: denied.error });
+      }
+    } else if (!req.auth.isAdmin) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    const result = await auditLog.search({ ...value, tenant: req.tenant, agentId });
+    if (!current && result.pagination.total === 0) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    res.json({ agentId, ...result });
+  } catch (error) {
+    logger.error('Agent history error:', error);
+    res.status(500).json({ error: 'Failed to fetch agent history' });
+  }
+});
+
+// Get single agent metadata: /agent/:agentId for the latest stable version,
+// /agent/:agentId@1.5.0 for a specific one
+app.get('/agent/:agentId', async (req, res) => {
+  try {
+    const { error, value: locationFormat } = locationFormatSchema.validate(req.query.locationFormat);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const agent = await resolveAgent(req.storage, req.heads, parseAgentRef(req.params.agentId));
+    if (!agent) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    // Sent back in If-Match to update this version of the registration
+    res.set('ETag', documentETag(agent.source)).json(presentAgent(agent.source, locationFormat));
+  } catch (error) {
+    logger.error('Get agent error:', error);
+    res.status(500).json({ error: 'Failed to fetch agent' });
+  }
+});
+
+// Delete an agent with all its versions, or one version with agentId@version
+app.delete('/agent/:agentId', writeOptions, async (req, res) => {
+  try {
+    const { agentId, version } = parseAgentRef(req.params.agentId);
+
+    const head = await readHead(req.storage, req.heads, agentId);
+    const current = await findVersion(req.storage, head, version);
+    if (!current) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    const denied = checkOwnership(req.auth, current.source);
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+
+    // Another version may now be the latest
+    const versions = version ? [current] : await listVersions(req.storage, req.heads, agentId);
+    const { operations, head: next } = versionOperations(head, agentId, { deletes: versions.map(hit => hit.id) });
+    try {
+      await saveHead(req.heads, next);
+    } catch (writeError) {
+      if (writeError instanceof VersionConflictError) {
+        return res.status(409).json({ error: 'Agent is being modified concurrently; try again' });
+      }
+      throw writeError;
+    }
+    await req.storage.bulk(operations, req.writeOptions);
+    for (const hit of versions) {
+      await auditLog.recordRequest(req, 'deleted', hit.source, null);
+    }
+
+    // Remove from cache
+    await cardCache.del([agentId, ...versions.map(hit => hit.id)].map(ref => cardCacheKey(req.tenant, ref)));
+
+    if (version) {
+      return res.json({ message: 'Agent version deleted successfully', version: current.source.version });
+    }
+    res.json({ message: 'Agent deleted successfully', versions: versions.length });
+  } catch (error) {
+    logger.error('Delete agent error:', error);
+    res.status(500).json({ error: 'Failed to delete agent' });
+  }
+});
+
+// Update part of an agent, or of one version with agentId@version, with a
+// JSON Merge Patch (also accepted as application/json) or a JSON Patch. The
+// patched registration is validated as a whole, so fields the patch leaves
+// out keep their values. With If-Match, only the version the client read is
+// patched.
+app.patch('/agent/:agentId', writeOptions, async (req, res) => {
+  try {
+    const precondition = parseIfMatch(req.get('If-Match'));
+    if (precondition === null) {
+      return res.status(400).json({ error: 'If-Match must be * or an ETag returned by the registry' });
+    }
+    if (!req.is(['application/json', MERGE_PATCH_TYPE, JSON_PATCH_TYPE])) {
+      return res.status(415).json({ error: `Content-Type must be ${MERGE_PATCH_TYPE} or ${JSON_PATCH_TYPE}` });
+    }
+    const jsonPatch = Boolean(req.is(JSON_PATCH_TYPE));
+    if (!jsonPatch && (typeof req.body !== 'object' || Array.isArray(req.body))) {
+      return res.status(400).json({ error: 'A merge patch must be a JSON object' });
+    }
+    const ref = parseAgentRef(req.params.agentId);
+
+    for (let attempt = 1; ; attempt++) {
+      const agent = await resolveAgent(req.storage, req.heads, ref);
+      if (!agent) {
+        return res.status(404).json({ error: 'Agent not found' });
+      }
+      const denied = checkOwnership(req.auth, agent.source);
+      if (denied) {
+        return res.status(denied.status).json({ error: denied.error });
+      }
+      if (precondition?.revision !== undefined && revisionOf(agent.source) !== precondition.revision) {
+        return res.status(412).json({ error: 'Agent was modified since it was read' });
+      }
+
+      const current = registrationRecord(agent.source);
+      let patched;
+      try {
+        patched = jsonPatch ? applyJsonPatch(current, req.body) : applyMergePatch(current, req.body);
+      } catch (patchError) {
+        if (patchError instanceof PatchError) {
+          return res.status(400).json({ error: patchError.message });
+        }
+        throw patchError;
+      }
+      if (patched.agentId !== current.agentId || patched.version !== current.version) {
+        return res.status(400).json({ error: '"agentId" and "version" cannot be patched; register a new version instead' });
+      }
+      const { error, value } = agentRegistrationSchema.validate(patched);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const prepared = await prepareRegistration(req, value, { submitted: patched, keepLease: true });
+      if (prepared.denied) {
+        return res.status(prepared.denied.status).json({ error: prepared.denied.error });
+      }
+
+      // The patch applies to the version read. When another write lands
+      // first, it is reapplied to what that write left, unless it changed
+      // the registration the client read.
+      const result = await writeRegistration(req, prepared, { ifSeqNo: agent.seqNo, ifPrimaryTerm: agent.primaryTerm });
+      if (!result) {
+        if (attempt < WRITE_ATTEMPTS) {
+          continue;
+        }
+        return res.status(409).json({ error: 'Agent is being modified concurrently; try again' });
+      }
+      const { latest } = result;
+
+      const response = presentAgent({ ...prepared.agentData, latest: latest.id === prepared.id });
+      // Agents registered before ownership existed get a key on admin update
+      if (prepared.ownerKey) {
+        response.ownerKey = prepared.ownerKey;
+      }
+      return res.set('ETag', documentETag(prepared.agentData)).json(response);
+    }
+  } catch (error) {
+    logger.error('Patch agent error:', error);
+    res.status(500).json({ error: 'Failed to update agent' });
+  }
+});
+
+// Agent heartbeat: renew the lease and restore liveness. Agents running
+// several versions heartbeat each one as agentId@version.
+app.post('/agent/:agentId/heartbeat', writeOptions, async (req, res) => {
+  try {
+    const { error, value } = heartbeatSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const agent = await resolveAgent(req.storage, req.heads, parseAgentRef(req.params.agentId));
+    if (!agent) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+    const current = agent.source;
+
+    const denied = checkOwnership(req.auth, current);
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+
+    const lease = leaseFields(value.leaseTtl || current.leaseTtl || config.heartbeat.leaseTtl);
+    const doc = {
+      ...lease,
+      status: value.status,
+      statusReason: null
+    };
+    if (current.status !== value.status) {
+      doc.updatedAt = lease.lastHeartbeat;
+    }
+
+    if (!await req.storage.update(agent.id, doc, req.writeOptions)) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+    if (current.status !== value.status) {
+      await auditLog.recordRequest(req, 'status_changed', current, { ...current, ...doc });
+    }
+
+    res.json({
+      agentId: current.agentId,
+      version: current.version,
+      status: value.status,
+      leaseTtl: lease.leaseTtl,
+      leaseExpiresAt: lease.leaseExpiresAt
+    });
+  } catch (error) {
+    logger.error('Heartbeat error:', error);
+    res.status(500).json({ error: 'Failed to record heartbeat' });
+  }
+});
+
+// Search agents
+app.get('/search', async (req, res) => {
+  try {
+    const { error, value, cursor } = pagedQuery(searchQuerySchema, req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const { q, mode, lat, lon, unit, locationFormat, page, perPage } = value;
+    const hasOrigin = lat !== undefined && lon !== undefined;
+    const paged = value.cursor !== undefined;
+    // Nearest neighbour and collapsed results cannot continue after a hit
+    if (paged && (mode !== 'keyword' || value.version)) {
+      return res.status(400).json({ error: 'Cursor pagination is only available for keyword searches without "version"' });
+    }
+
+    // Without the embedder, hybrid searches fall back to keyword search;
+    // semantic search has nothing to fall back to
+    let queryVector;
+    let searchMode = mode;
+    if (mode !== 'keyword') {
+      try {
+        queryVector = await embedder.embed(q);
+      } catch (embedError) {
+        if (mode === 'semantic') {
+          logger.warn('Semantic search unavailable:', embedError.message);
+          return res.status(503).json({ error: 'Semantic search is unavailable; try keyword or hybrid mode' });
+        }
+        logger.warn('Searching without embeddings:', embedError.message);
+        searchMode = 'keyword';
+      }
+    }
+
+    const searchBody = buildSearchBody({ ...value, mode: searchMode }, {
+      queryVector,
+      embeddings: config.embeddings,
+      acrossTenants: req.tenant === ALL_TENANTS
+    });
+    searchBody._source = { excludes: ['embedding'] };
+    searchBody.aggs = {
+      tags: {
+        terms: { field: 'tags' }
+      },
+      status: {
+        terms: { field: 'status' }
+      }
+    };
+    // The cross-tenant view counts results per tenant
+    if (req.tenant === ALL_TENANTS) {
+      searchBody.aggs.tenant = { terms: { field: 'tenant' } };
+    }
+
+    let result;
+    let pagination;
+    if (paged) {
+      delete searchBody.from;
+      delete searchBody.size;
+      let nextCursor;
+      ({ result, nextCursor } = await searchPage(req.storage, searchBody, {
+        cursor,
+        params: cursorParams(value),
+        perPage,
+        keepAlive: config.api.cursorKeepAlive
+      }));
+      pagination = { perPage, total: result.total, nextCursor };
+    } else {
+      result = await req.storage.search(searchBody);
+      pagination = { page, perPage, total: result.total, totalPages: Math.ceil(result.total / perPage) };
+    }
+
+    res.json({
+      agents: result.hits.map(hit => ({
+        ...presentAgent(hit.source, locationFormat),
+        score: hit.score,
+        // Distance from lat/lon in `unit`, whatever the sort order
+        ...(hasOrigin && {
+          distance: distanceTo({ lat, lon }, hit.source.location?.coordinates, unit)
+        })
+      })),
+      pagination,
+      ...(hasOrigin && { distanceUnit: unit }),
+      mode: searchMode,
+      aggregations: result.aggregations
+    });
+  } catch (error) {
+    if (error instanceof PointInTimeNotFoundError) {
+      return res.status(410).json({ error: 'Cursor has expired; start again without it' });
+    }
+    logger.error('Search error:', error);
+    res.status(500).json({ error: 'Search failed' });
+  }
+});
+
+// Search individual skills; returns each matching agent with its matching skills
+app.get('/search/skills', async (req, res) => {
+  try {
+    const { error, value } = skillSearchQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const {
+      q, tags, inputMode, outputMode, status, healthy, verified, publisherId, locationFormat, page, perPage
+    } = value;
+    const from = (page - 1) * perPage;
+
+    const skillMust = [];
+    const skillFilter = skillModeFilters({ inputMode, outputMode });
+
+    if (q) {
+      skillMust.push({
+        multi_match: {
+          query: q,
+          fields: ['skills.name^2', 'skills.description', 'skills.examples'],
+          fuzziness: 'AUTO',
+          type: 'best_fields'
+        }
+      });
+    }
+    if (tags) {
+      skillFilter.push({ terms: { 'skills.tags': splitList(tags) } });
+    }
+
+    const filter = buildFilters({ status, healthy, verified, publisherId });
+
+    const result = await req.storage.search({
+      query: {
+        bool: {
+          must: [{
+            nested: {
+              path: 'skills',
+              score_mode: 'max',
+              query: { bool: { must: skillMust, filter: skillFilter } },
+              // Elasticsearch caps inner hits at index.max_inner_result_window
+              inner_hits: { name: 'skills', size: 100 }
+            }
+          }],
+          filter
+        }
+      },
+      sort: q ? [] : [{ updatedAt: { order: 'desc' } }],
+      _source: { excludes: ['skills', 'embedding'] },
+      from,
+      size: perPage
+    });
+
+    res.json({
+      results: result.hits.map(hit => ({
+        agent: presentAgent(hit.source, locationFormat),
+        score: hit.score,
+        skills: (hit.innerHits?.skills || []).map(skill => ({
+          ...skill.source,
+          score: skill.score
+        }))
+      })),
+      pagination: {
+        page,
+        perPage,
+        total: result.total,
+        totalPages: Math.ceil(result.total / perPage)
+      }
+    });
+  } catch (error) {
+    logger.error('Skill search error:', error);
+    res.status(500).json({ error: 'Skill search failed' });
+  }
+});
+
+// Route a task: shortlist the agents best suited to it, with explanations
+app.post('/route', async (req, res) => {
+  try {
+    const { error, value } = routeRequestSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const { task, constraints, limit } = value;
+    const { origin, unit } = constraints;
+
+    // Paraphrases of skills and descriptions match when the embedder is available
+    let queryVector;
+    try {
+      queryVector = await embedder.embed(task);
+    } catch (embedError) {
+      logger.warn('Routing without embeddings:', embedError.message);
+    }
+
+    const searchBody = buildSearchBody({
+      q: task,
+      mode: queryVector ? 'hybrid' : 'keyword',
+      requiredTags: constraints.tags,
+      version: constraints.minVersion && `>=${constraints.minVersion}`,
+      status: 'active',
+      healthy: constraints.healthyOnly ? true : undefined,
+      verified: constraints.verifiedOnly ? true : undefined,
+      inputMode: constraints.inputMode,
+      outputMode: constraints.outputMode,
+      lat: origin?.lat,
+      lon: origin?.lon,
+      radius: constraints.maxDistance,
+      unit,
+      perPage: config.routing.candidates
+    }, { queryVector, embeddings: config.embeddings, skillHits: 3 });
+    searchBody._source = { excludes: ['embedding'] };
+
+    const { hits: candidates } = await req.storage.search(searchBody);
+
+    const ranked = rankCandidates(candidates, {
+      weights: config.routing.weights,
+      latencyTargetMs: config.routing.latencyTargetMs,
+      origin,
+      unit
+    });
+
+    res.json({
+      task,
+      considered: candidates.length,
+      agents: ranked.slice(0, limit).map(({ agent, ...ranking }) => ({
+        agentId: agent.agentId,
+        name: agent.name,
+        url: agent.url,
+        version: agent.version,
+        tags: agent.tags,
+        ...ranking
+      }))
+    });
+  } catch (error) {
+    logger.error('Route error:', error);
+    res.status(500).json({ error: 'Routing failed' });
+  }
+});
+
+// Registry ETag of a card, from its content hash. Weak, since responses
+// also carry cache bookkeeping such as `cached` and `fetchTimestamp`.
+const cardETag = hash => `W/"${hash}"`;
+
+// Fetch, validate and index the card of an agent in the tenant storage
+// `agents`, whose heads are `agentHeads`, for the card cache. `previous` is the cached entry, if any. Its
+// validators, or those stored on the agent, let an unchanged card be
+// confirmed without downloading it again. A card whose content hash is
+// unchanged is not validated or indexed again; a changed one is recorded in
+// the card history. Resolves to { value, ttl, staleTtl, meta } or
+// { failure: { status, body } }.
+async function loadAgentCard(agents, agentHeads, ref, previous) {
+  const agent = await resolveAgent(agents, agentHeads, ref);
+  if (!agent) {
+    return { failure: { status: 404, body: { error: 'Agent not found' } } };
+  }
+  const metadata = agent.source;
+  const { agentId, version } = metadata;
+
+  // Validators only apply while the agent keeps its URL
+  const fromCache = previous?.meta?.url === metadata.url && previous.meta.hash;
+  const known = fromCache ? previous.meta : metadata.cardSource?.url === metadata.url ? metadata.cardSource : null;
+  const fetchFailure = fetchError => {
+    logger.error(`Failed to fetch agent card from ${metadata.url}:`, fetchError.message);
+    return {
+      failure: {
+        status: 503,
+        body: {
+          error: 'Failed to fetch agent card',
+          agentId,
+          url: metadata.url,
+          attempts: fetchError.attempts
+        }
+      }
+    };
+  };
+
+  let fetched;
+  try {
+    fetched = await fetchAgentCard(metadata.url, { ...config.agentCard, egress }, known);
+  } catch (fetchError) {
+    return fetchFailure(fetchError);
+  }
+
+  // A 304 may leave out headers the original response had
+  const headers = fetched.notModified
+    ? {
+        cacheControl: fetched.headers.cacheControl || known.cacheControl || null,
+        etag: fetched.headers.etag || known.etag,
+        lastModified: fetched.headers.lastModified || known.lastModified
+      }
+    : fetched.headers;
+  const policy = cachePolicy(headers.cacheControl, config.cache);
+  const freshness = policy || { ttl: null, staleTtl: 0 };
+
+  if (fetched.notModified && fromCache) {
+    return {
+      value: { ...previous.value, fetchTimestamp: new Date().toISOString() },
+      ...freshness,
+      meta: { url: metadata.url, path: fetched.path, ...headers, hash: known.hash }
+    };
+  }
+
+  // Unchanged since it was stored on the agent: take it from the history,
+  // or download it after all if the history no longer has it
+  let card = fetched.card;
+  if (fetched.notModified) {
+    card = (await cardHistory.latest(agents.tenant, agentId, version, known.hash))?.card;
+    if (!card) {
+      try {
+        fetched = await fetchAgentCard(metadata.url, { ...config.agentCard, egress });
+      } catch (fetchError) {
+        return fetchFailure(fetchError);
+      }
+      card = fetched.card;
+      Object.assign(headers, fetched.headers);
+    }
+  }
+
+  const hash = hashCard(card);
+  const now = new Date().toISOString();
+  const changed = hash !== metadata.cardSource?.hash;
+  const cardSource = {
+    url: metadata.url,
+    path: fetched.path,
+    etag: headers.etag,
+    lastModified: headers.lastModified,
+    hash,
+    fetchedAt: now,
+    changedAt: changed ? now : metadata.cardSource.changedAt
+  };
+  // Checked on every fetch, since publisher keys change apart from the card
+  const verification = verificationFields(
+    metadata.registrationSignature,
+    await verifyCardSignatures(card, metadata.url, findPublisherKey)
+  );
+
+  let validation = metadata.cardValidation;
+  if (changed || !validation) {
+    // Validate against the A2A AgentCard schema and keep the report.
+    // Skills from a valid card are indexed for skill search.
+    validation = {
+      ...validateAgentCard(card),
+      cardPath: fetched.path,
+      checkedAt: now
+    };
+    const cardFields = { cardValidation: validation, cardSource, ...verification };
+    if (validation.valid) {
+      Object.assign(cardFields, skillFields(card));
+      const embedding = await embedAgent({ ...metadata, ...cardFields });
+      if (embedding) {
+        cardFields.embedding = embedding;
+      }
+    }
+    await agents.update(agent.id, cardFields);
+    const refreshed = { ...metadata, ...cardFields };
+    eventFeed.publish('card.refreshed', {
+      before: metadata,
+      after: refreshed,
+      changedFields: diffFields(metadata, refreshed).map(change => change.field)
+    });
+
+    if (changed) {
+      const entry = await cardHistory.record({
+        tenant: agents.tenant,
+        agentId,
+        version,
+        card,
+        hash,
+        source: cardSource,
+        previous: await cardHistory.latest(agents.tenant, agentId, version)
+      });
+      eventFeed.publish('card.changed', { before: metadata, after: refreshed, changedFields: entry.changedFields });
+    }
+  } else {
+    await agents.update(agent.id, { cardSource, ...verification });
+  }
+
+  if (!validation.valid) {
+    logger.warn(`Invalid agent card from ${metadata.url}: ${validation.errors.length} error(s)`);
+    return {
+      failure: {
+        status: 502,
+        body: {
+          error: 'Invalid agent card',
+          agentId,
+          url: fetched.url,
+          validation
+        }
+      }
+    };
+  }
+
+  return {
+    value: { ...card, agentId, fetchTimestamp: now },
+    ...freshness,
+    meta: { url: metadata.url, path: fetched.path, ...headers, hash }
+  };
+}
 
-// Clear cache
-app.post('/cache/clear', (req, res) => {
-  agentCache.flushAll();
-  cacheStats = { hits: 0, misses: 0, size: 0 };
-  res.json({ message: 'Cache cleared successfully' });
+// Get full agent card (from cache or fetch), for the latest stable version
+// or for agentId@version. A stale card is returned at once and refreshed in
+// the background.
+app.get('/agentcard/:agentId', async (req, res) => {
+  try {
+    const ref = parseAgentRef(req.params.agentId);
+    const cacheKey = cardCacheKey(req.tenant, req.params.agentId);
+    const load = previous => loadAgentCard(req.storage, req.heads, ref, previous);
+
+    const { state, entry } = await cardCache.lookup(cacheKey);
+    if (state !== 'miss') {
+      if (state === 'stale') {
+        cardCache.refresh(cacheKey, load, entry)
+          .catch(error => logger.error('Card refresh error:', error));
+      }
+      if (entry.meta?.hash) {
+        res.set('ETag', cardETag(entry.meta.hash));
+      }
+      return res.json({
+        ...entry.value,
+        cached: true,
+        ...(state === 'stale' && { stale: true })
+      });
+    }
+
+    if (!await resolveAgent(req.storage, req.heads, ref)) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    // Outbound fetches have their own, stricter budget
+    if (!await rateLimiter.consume('cardFetch', req, res)) {
+      return;
+    }
+
+    const result = await cardCache.refresh(cacheKey, load, entry);
+    if (result.failure) {
+      return res.status(result.failure.status).json(result.failure.body);
+    }
+    res.set('ETag', cardETag(result.meta.hash)).json({ ...result.value, cached: false });
+  } catch (error) {
+    logger.error('Get agent card error:', error);
+    res.status(500).json({ error: 'Failed to fetch agent card' });
+  }
+});
+
+// Versions of an agent's card, newest first, each with the fields that
+// changed from the one before
+app.get('/agentcard/:agentId/history', async (req, res) => {
+  try {
+    const { error, value } = cardHistoryQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    const { agentId } = req.params;
+
+    const result = await cardHistory.search({ ...value, tenant: req.tenant, agentId });
+    if (result.pagination.total === 0 && !await resolveAgent(req.storage, req.heads, { agentId })) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    res.json({ agentId, ...result });
+  } catch (error) {
+    logger.error('Card history error:', error);
+    res.status(500).json({ error: 'Failed to fetch card history' });
+  }
+});
+
+// Cache statistics. A tenant sees how many of its cards are cached; the
+// counters cover every tenant, so only the admin sees them, across tenants.
+app.get('/cache/status', (req, res) => {
+  if (req.tenant === ALL_TENANTS) {
+    return res.json(cardCache.stats());
+  }
+  res.json({ tenant: req.tenant, ...cardCache.scopedStats(tenantCachePrefix(req.tenant)) });
+});
+
+// Clear the tenant's cached cards, or every card across tenants (admin only)
+app.post('/cache/clear', async (req, res) => {
+  try {
+    const tenant = requestTenant(req);
+    await cardCache.clear(tenant ? tenantCachePrefix(tenant) : '');
+    res.json({ message: 'Cache cleared successfully', ...(tenant && { tenant }) });
+  } catch (error) {
+    logger.error('Clear cache error:', error);
+    res.status(500).json({ error: 'Failed to clear cache' });
+  }
+});
+
+// Stream registry changes as Server-Sent Events. Reconnecting clients resume
+// after the Last-Event-ID header, or the `cursor` parameter.
+app.get('/events', (req, res) => {
+  const { error, value } = eventsQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+  const { cursor, ...filters } = value;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  const write = text => {
+    res.write(text);
+    // Compression buffers output until flushed
+    res.flush?.();
+  };
+
+  const unsubscribe = eventFeed.subscribe(
+    { cursor: req.get('last-event-id') || cursor, filter: createEventFilter({ ...filters, tenant: requestTenant(req) }) },
+    event => write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.payload)}\n\n`)
+  );
+  const keepAlive = setInterval(() => write(': keep-alive\n\n'), config.events.keepAlive * 1000);
+
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    unsubscribe();
+  });
+});
+
+// WebSocket variant of /events, with the same query parameters. Each event
+// is one JSON text message; reconnecting clients pass the last id as `cursor`.
+const eventSocketServer = new WebSocketServer({ noServer: true });
+
+function rejectUpgrade(socket, status) {
+  socket.end(`HTTP/1.1 ${status}\r\nConnection: close\r\n\r\n`, () => socket.destroy());
+}
+
+// A failed upgrade answers with an error status instead of throwing, which
+// would take the process down
+function handleUpgrade(req, socket, head) {
+  try {
+    acceptEventSocket(req, socket, head);
+  } catch (error) {
+    logger.error('Event socket upgrade error:', error);
+    rejectUpgrade(socket, '400 Bad Request');
+  }
+}
+
+function acceptEventSocket(req, socket, head) {
+  const url = new URL(req.url, 'http://localhost');
+  // Tenants are resolved as for HTTP requests
+  authenticate(req, null, () => {});
+  const resolved = tenants.resolve({ method: 'GET', path: url.pathname, auth: req.auth });
+  if (resolved.denied) {
+    return rejectUpgrade(socket, resolved.denied.status === 403 ? '403 Forbidden' : '400 Bad Request');
+  }
+  if (resolved.path !== '/events') {
+    return rejectUpgrade(socket, '404 Not Found');
+  }
+  const tenant = resolved.tenant === ALL_TENANTS ? undefined : resolved.tenant;
+  const { error, value } = eventsQuerySchema.validate(Object.fromEntries(url.searchParams));
+  if (error) {
+    return rejectUpgrade(socket, '400 Bad Request');
+  }
+  const { cursor, ...filters } = value;
+
+  eventSocketServer.handleUpgrade(req, socket, head, ws => {
+    const unsubscribe = eventFeed.subscribe(
+      { cursor, filter: createEventFilter({ ...filters, tenant }) },
+      event => ws.send(JSON.stringify(event.payload))
+    );
+    const keepAlive = setInterval(() => ws.ping(), config.events.keepAlive * 1000);
+
+    ws.on('close', () => {
+      clearInterval(keepAlive);
+      unsubscribe();
+    });
+    ws.on('error', wsError => logger.warn('Event socket error:', wsError.message));
+  });
+}
+
+// Publishers whose keys verify signed cards and registrations
+app.get('/publishers', async (req, res) => {
+  try {
+    res.json({ publishers: await publishers.list() });
+  } catch (error) {
+    logger.error('List publishers error:', error);
+    res.status(500).json({ error: 'Failed to fetch publishers' });
+  }
+});
+
+app.get('/publishers/:publisherId', async (req, res) => {
+  try {
+    const publisher = await publishers.get(req.params.publisherId);
+    if (!publisher) {
+      return res.status(404).json({ error: 'Publisher not found' });
+    }
+    res.json(publisher);
+  } catch (error) {
+    logger.error('Get publisher error:', error);
+    res.status(500).json({ error: 'Failed to fetch publisher' });
+  }
+});
+
+// A key id names one key of one publisher across the registry
+async function kidConflict(publisher) {
+  const owner = await publishers.kidOwner(publisher.jwks.keys.map(key => key.kid), publisher.publisherId);
+  if (!owner) {
+    return null;
+  }
+  const kid = publisher.jwks.keys.find(key => owner.kids.includes(key.kid)).kid;
+  return `Key ${kid} belongs to publisher ${owner.publisherId}`;
+}
+
+// Register a publisher and its public keys (admin only)
+app.post('/publishers', requireAdmin, async (req, res) => {
+  try {
+    const { error, value } = publisherSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    if (await publishers.get(value.publisherId)) {
+      return res.status(409).json({ error: 'Publisher already registered' });
+    }
+    const conflict = await kidConflict(value);
+    if (conflict) {
+      return res.status(409).json({ error: conflict });
+    }
+
+    res.status(201).json(await publishers.put(value));
+  } catch (error) {
+    logger.error('Create publisher error:', error);
+    res.status(500).json({ error: 'Failed to create publisher' });
+  }
+});
+
+// Replace a publisher's keys (admin only). Agents verified by a key that
+// was left out become unverified.
+app.put('/publishers/:publisherId', requireAdmin, async (req, res) => {
+  try {
+    const { error, value } = publisherSchema.validate({ ...req.body, publisherId: req.params.publisherId });
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    const existing = await publishers.get(value.publisherId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Publisher not found' });
+    }
+    const conflict = await kidConflict(value);
+    if (conflict) {
+      return res.status(409).json({ error: conflict });
+    }
+
+    const publisher = await publishers.put(value, existing);
+    const unverified = await revokeKeys(storage, publisher.publisherId, publisher.kids, { refresh: 'wait_for' });
+    res.json({ ...publisher, unverified });
+  } catch (error) {
+    logger.error('Update publisher error:', error);
+    res.status(500).json({ error: 'Failed to update publisher' });
+  }
+});
+
+// Remove a publisher (admin only). Its agents become unverified.
+app.delete('/publishers/:publisherId', requireAdmin, async (req, res) => {
+  try {
+    const { publisherId } = req.params;
+    if (!await publishers.get(publisherId)) {
+      return res.status(404).json({ error: 'Publisher not found' });
+    }
+
+    await publishers.delete(publisherId);
+    const unverified = await revokeKeys(storage, publisherId, [], { refresh: 'wait_for' });
+    res.json({ message: 'Publisher deleted successfully', publisherId, unverified });
+  } catch (error) {
+    logger.error('Delete publisher error:', error);
+    res.status(500).json({ error: 'Failed to delete publisher' });
+  }
+});
+
+// Register a webhook. The signing secret is only returned here. Callers
+// presenting a key own the webhook with it; others get an owner key.
+app.post('/webhooks', async (req, res) => {
+  try {
+    const { error, value } = webhookSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    // Refused at once when the URL names a blocked address; host names are
+    // checked again on each delivery
+    try {
+      egress.checkUrl(value.url);
+    } catch (egressError) {
+      if (egressError instanceof EgressError) {
+        return res.status(400).json({ error: `Webhook URL not allowed: ${egressError.message}` });
+      }
+      throw egressError;
+    }
+
+    let ownerKey;
+    let ownerKeyHash;
+    if (req.auth.apiKey && !req.auth.isAdmin) {
+      ownerKeyHash = hashKey(req.auth.apiKey);
+    } else {
+      ownerKey = generateOwnerKey();
+      ownerKeyHash = hashKey(ownerKey);
+    }
+
+    const now = new Date().toISOString();
+    const webhook = {
+      webhookId: crypto.randomUUID(),
+      tenant: req.tenant,
+      ...value,
+      secret: generateWebhookSecret(),
+      ownerKeyHash,
+      createdAt: now,
+      updatedAt: now
+    };
+    // Searchable before returning, so the next matching event is delivered
+    await webhookStorage.put(webhook.webhookId, webhook, { refresh: 'wait_for' });
+
+    const response = { ...presentWebhook(webhook), secret: webhook.secret };
+    if (ownerKey) {
+      response.ownerKey = ownerKey;
+    }
+    res.status(201).json(response);
+  } catch (error) {
+    logger.error('Create webhook error:', error);
+    res.status(500).json({ error: 'Failed to create webhook' });
+  }
+});
+
+// List webhooks: the caller's own, or every webhook for the admin
+app.get('/webhooks', async (req, res) => {
+  try {
+    if (!req.auth.apiKey) {
+      return res.status(401).json({ error: 'Owner credentials required' });
+    }
+    const filter = [tenantFilter(req.tenant)];
+    if (!req.auth.isAdmin) {
+      filter.push({ term: { ownerKeyHash: hashKey(req.auth.apiKey) } });
+    }
+
+    const result = await webhookStorage.search({
+      query: { bool: { filter } },
+      sort: [{ createdAt: { order: 'desc' } }],
+      size: 1000
+    });
+    res.json({ webhooks: result.hits.map(hit => presentWebhook(hit.source)) });
+  } catch (error) {
+    logger.error('List webhooks error:', error);
+    res.status(500).json({ error: 'Failed to fetch webhooks' });
+  }
+});
+
+// Load a webhook the caller owns. Returns { webhook }, or { denied } with
+// the status and error for the response.
+async function findOwnedWebhook(req) {
+  const webhook = await webhookStorage.get(req.params.webhookId);
+  if (!webhook || tenantOf(webhook) !== req.tenant) {
+    return { denied: { status: 404, error: 'Webhook not found' } };
+  }
+  const denied = checkOwnership(req.auth, webhook);
+  return denied ? { denied } : { webhook };
+}
+
+app.get('/webhooks/:webhookId', async (req, res) => {
+  try {
+    const { webhook, denied } = await findOwnedWebhook(req);
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+    res.json(presentWebhook(webhook));
+  } catch (error) {
+    logger.error('Get webhook error:', error);
+    res.status(500).json({ error: 'Failed to fetch webhook' });
+  }
+});
+
+// Delete a webhook along with its delivery log
+app.delete('/webhooks/:webhookId', async (req, res) => {
+  try {
+    const { webhook, denied } = await findOwnedWebhook(req);
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+
+    await webhookStorage.delete(webhook.webhookId);
+    await deliveryStorage.deleteByQuery({ term: { webhookId: webhook.webhookId } });
+    res.json({ message: 'Webhook deleted successfully', webhookId: webhook.webhookId });
+  } catch (error) {
+    logger.error('Delete webhook error:', error);
+    res.status(500).json({ error: 'Failed to delete webhook' });
+  }
+});
+
+// Delivery log of a webhook, newest first. `status=dead_letter` lists the
+// deliveries that ran out of attempts.
+app.get('/webhooks/:webhookId/deliveries', async (req, res) => {
+  try {
+    const { error, value } = deliveriesQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    const { webhook, denied } = await findOwnedWebhook(req);
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+
+    const { page, perPage, ...filters } = value;
+    const filter = Object.entries({ ...filters, webhookId: webhook.webhookId })
+      .map(([field, fieldValue]) => ({ term: { [field]: fieldValue } }));
+
+    const result = await deliveryStorage.search({
+      query: { bool: { filter } },
+      sort: [{ createdAt: { order: 'desc' } }],
+      from: (page - 1) * perPage,
+      size: perPage
+    });
+
+    res.json({
+      webhookId: webhook.webhookId,
+      deliveries: result.hits.map(hit => hit.source),
+      pagination: {
+        page,
+        perPage,
+        total: result.total,
+        totalPages: Math.ceil(result.total / perPage)
+      }
+    });
+  } catch (error) {
+    logger.error('Webhook deliveries error:', error);
+    res.status(500).json({ error: 'Failed to fetch webhook deliveries' });
+  }
+});
+
+// Send a delivery again, typically a dead letter, with a fresh set of attempts
+app.post('/webhooks/:webhookId/deliveries/:deliveryId/retry', async (req, res) => {
+  try {
+    const { webhook, denied } = await findOwnedWebhook(req);
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+
+    const delivery = await deliveryStorage.get(req.params.deliveryId);
+    if (!delivery || delivery.webhookId !== webhook.webhookId) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+    if (delivery.status === 'pending' || delivery.status === 'retrying') {
+      return res.status(409).json({ error: 'Delivery is already queued' });
+    }
+
+    const queued = await webhookDispatcher.redeliver(delivery);
+    res.status(202).json({ message: 'Delivery queued', delivery: queued });
+  } catch (error) {
+    logger.error('Retry delivery error:', error);
+    res.status(500).json({ error: 'Failed to retry delivery' });
+  }
+});
+
+// Audit log of changes to all agents, newest first (admin only)
+app.get('/audit', requireAdmin, async (req, res) => {
+  try {
+    const { error, value } = auditQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    res.json(await auditLog.search({ ...value, tenant: requestTenant(req) }));
+  } catch (error) {
+    logger.error('Audit log error:', error);
+    res.status(500).json({ error: 'Failed to fetch audit log' });
+  }
+});
+
+// Tenants with their number of agents, including tenants with bound keys
+// and no agents yet (admin only)
+app.get('/tenants', requireAdmin, async (req, res) => {
+  try {
+    const result = await storage.search({
+      query: { bool: { filter: [LATEST_VERSION_FILTER] } },
+      size: 0,
+      aggs: { tenants: { terms: { field: 'tenant', size: 10000 } } }
+    });
+    const counts = new Map(config.tenants.keys.map(({ tenant }) => [tenant, 0]));
+    let tagged = 0;
+    for (const bucket of result.aggregations.tenants.buckets) {
+      counts.set(bucket.key, bucket.doc_count);
+      tagged += bucket.doc_count;
+    }
+    // Agents stored before tenants existed belong to the default tenant
+    counts.set(DEFAULT_TENANT, (counts.get(DEFAULT_TENANT) || 0) + result.total - tagged);
+
+    res.json({
+      tenants: [...counts.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([tenant, agents]) => ({ tenant, agents }))
+    });
+  } catch (error) {
+    logger.error('List tenants error:', error);
+    res.status(500).json({ error: 'Failed to fetch tenants' });
+  }
 });
 
 // Error handling middleware
 app.use((error, req, res, next) => {
-  console.error('Unhandled error:', error);
+  logger.error('Unhandled error:', error);
   res.status(500).json({ error: 'Internal server error' });
 });
 
@@ -507,12 +2247,28 @@ app.use((req, res) => {
 
 // Start server
 async function startServer() {
-  await initializeIndex();
-  
-  app.listen(PORT, () => {
-    console.log(`Agent Registry & Discovery Platform running on port ${PORT}`);
-    console.log(`Health check: http://localhost:${PORT}/health`);
+  await storage.init();
+  await heads.init();
+  await auditLog.init();
+  await cardHistory.init();
+  await publishers.init();
+  await webhookDispatcher.init();
+  webhookDispatcher.start();
+  startLeaseSweeper(storage, config.heartbeat, { heads, auditLog, cardCache });
+  startHealthProber(storage, { ...config.healthProbe, egress });
+  await cardCache.init();
+  if (config.cache.warmInterval > 0) {
+    const load = (tenant, ref, previous) => loadAgentCard(agentsOf(storage, tenant), agentsOf(heads, tenant), ref, previous);
+    // Warming fetches cards too, so it keeps to the cardFetch budget
+    const acquire = () => rateLimiter.acquire('cardFetch', 'card-warmer');
+    startCardWarmer(storage, cardCache, load, { ...config.cache, acquire });
+  }
+
+  const server = app.listen(PORT, () => {
+    logger.info(`Agent Registry & Discovery Platform running on port ${PORT}`);
+    logger.info(`Health check: http://localhost:${PORT}/health`);
   });
+  server.on('upgrade', handleUpgrade);
 }
 
-startServer().catch(console.error); 
\ No newline at end of file
+startServer().catch(error => logger.error('Startup error:', error)); 
\ No newline at end of file
@@ -1,6 +1,23 @@
 import axios from 'axios';
+import crypto from 'crypto';
+import http from 'http';
+import { spawn } from 'child_process';
+import WebSocket from 'ws';
+import { fileURLToPath } from 'url';
+import { signingInput } from './lib/signatures.js';
 
-const BASE_URL = 'http://localhost:3000';
+const BASE_URL = process.env.REGISTRY_URL || 'http://localhost:3000';
+// Admin key of the registry under test; a registry started here uses it
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY || 'test-admin-key';
+// Key bound to the `production` tenant; a registry started here binds it
+const PRODUCTION_TENANT_KEY = process.env.PRODUCTION_TENANT_KEY || 'test-production-key';
+
+// Owner keys issued by the registry on first registration
+const ownerKeys = {};
+
+function ownerHeaders(agentId) {
+  return ownerKeys[agentId] ? { 'X-API-Key': ownerKeys[agentId] } : {};
+}
 
 // Test data
 const testAgents = [
@@ -24,7 +41,26 @@ const testAgents = [
     status: 'active',
     version: '2.1.0',
     capabilities: 'Text translation, language detection, cultural context',
-    location: { lat: 48.8566, lon: 2.3522 } // Paris
+    location: { lat: 48.8566, lon: 2.3522, city: 'Paris', country: 'FR' },
+    defaultInputModes: ['text/plain'],
+    defaultOutputModes: ['text/plain', 'application/json'],
+    skills: [
+      {
+        id: 'translate-text',
+        name: 'Translate Text',
+        description: 'Translate text between any two supported languages',
+        tags: ['translation'],
+        examples: ['Translate "good morning" into Japanese']
+      },
+      {
+        id: 'transcribe-speech',
+        name: 'Speech Transcription',
+        description: 'Transcribe spoken audio and translate the transcript',
+        tags: ['speech', 'translation'],
+        inputModes: ['audio/mpeg', 'audio/wav'],
+        outputModes: ['text/plain']
+      }
+    ]
   },
   {
     agentId: 'finance-agent-003',
@@ -35,7 +71,7 @@ const testAgents = [
     status: 'active',
     version: '1.5.0',
     capabilities: 'Stock quotes, financial analysis, portfolio tracking',
-    location: { lat: 51.5074, lon: -0.1278 } // London
+    location: { type: 'Point', coordinates: [-0.1278, 51.5074], city: 'London', country: 'GB' }
   },
   {
     agentId: 'health-agent-004',
@@ -46,7 +82,17 @@ const testAgents = [
     status: 'maintenance',
     version: '1.0.0',
     capabilities: 'Symptom analysis, health tips, medication info',
-    location: { lat: 35.6762, lon: 139.6503 } // Tokyo
+    location: 'xn76cydhz' // Tokyo, as a geohash
+  },
+  {
+    agentId: 'fx-agent-005',
+    name: 'FX Desk',
+    description: 'Live forex rates and cross-rate quotes for major and minor pairs',
+    url: 'http://localhost:3005',
+    tags: ['forex', 'markets'],
+    status: 'active',
+    version: '0.9.0',
+    capabilities: 'Spot rates, historical rates'
   }
 ];
 
@@ -65,7 +111,12 @@ async function testRegistration() {
   
   for (const agent of testAgents) {
     try {
-      const response = await axios.post(`${BASE_URL}/registry`, agent);
+      const response = await axios.post(`${BASE_URL}/registry`, agent, {
+        headers: ownerHeaders(agent.agentId)
+      });
+      if (response.data.ownerKey) {
+        ownerKeys[agent.agentId] = response.data.ownerKey;
+      }
       console.log(`✅ Registered ${agent.name}:`, response.data);
     } catch (error) {
       console.error(`❌ Failed to register ${agent.name}:`, error.response?.data || error.message);
@@ -87,6 +138,23 @@ async function testListAgents() {
   }
 }
 
+async function testCursorPagination() {
+  console.log('\n📜 Testing Cursor Pagination...');
+  try {
+    const seen = [];
+    let cursor = '';
+    let total;
+    do {
+      const response = await axios.get(`${BASE_URL}/agents`, { params: { cursor, perPage: 2 } });
+      seen.push(...response.data.agents.map(agent => agent.agentId));
+      ({ total, nextCursor: cursor } = response.data.pagination);
+    } while (cursor);
+    console.log('✅ Walked all agents:', { total, seen: seen.length, unique: new Set(seen).size });
+  } catch (error) {
+    console.error('❌ Cursor pagination failed:', error.response?.data || error.message);
+  }
+}
+
 async function testGetAgent() {
   console.log('\n👤 Testing Get Single Agent...');
   try {
@@ -101,6 +169,187 @@ async function testGetAgent() {
   }
 }
 
+async function testLocationFormats() {
+  console.log('\n📍 Testing Location Formats...');
+  try {
+    const asRegistered = await axios.get(`${BASE_URL}/agent/finance-agent-003`);
+    const asLatLon = await axios.get(`${BASE_URL}/agent/finance-agent-003`, {
+      params: { locationFormat: 'latlon' }
+    });
+    const asGeohash = await axios.get(`${BASE_URL}/agent/health-agent-004`);
+    console.log('✅ Location formats:', {
+      registered: asRegistered.data.location,
+      latlon: asLatLon.data.location,
+      geohash: asGeohash.data.location
+    });
+  } catch (error) {
+    console.error('❌ Location formats failed:', error.response?.data || error.message);
+  }
+}
+
+async function testHeartbeat() {
+  console.log('\n💓 Testing Agent Heartbeat...');
+  try {
+    const response = await axios.post(
+      `${BASE_URL}/agent/weather-agent-001/heartbeat`,
+      { leaseTtl: 60 },
+      { headers: ownerHeaders('weather-agent-001') }
+    );
+    console.log('✅ Heartbeat accepted:', response.data);
+  } catch (error) {
+    console.error('❌ Heartbeat failed:', error.response?.data || error.message);
+  }
+}
+
+// Collect /events messages over a WebSocket while `action` runs
+async function collectEvents(params, action) {
+  const url = new URL('/events', BASE_URL.replace(/^http/, 'ws'));
+  url.search = new URLSearchParams(params);
+  const socket = new WebSocket(url);
+  const events = [];
+  socket.on('message', data => events.push(JSON.parse(data)));
+  await new Promise((resolve, reject) => {
+    socket.once('open', resolve);
+    socket.once('error', reject);
+  });
+  await action();
+  await sleep(300);
+  socket.close();
+  return events;
+}
+
+async function testEvents() {
+  console.log('\n📡 Testing Event Stream...');
+  try {
+    const heartbeat = status => axios.post(
+      `${BASE_URL}/agent/weather-agent-001/heartbeat`,
+      { status },
+      { headers: ownerHeaders('weather-agent-001') }
+    );
+
+    // Only weather agents: the translation agent's heartbeat is filtered out
+    const live = await collectEvents({ tags: 'weather', types: 'agent.status_changed' }, async () => {
+      await heartbeat('maintenance');
+      await axios.post(
+        `${BASE_URL}/agent/translation-agent-002/heartbeat`,
+        { status: 'maintenance' },
+        { headers: ownerHeaders('translation-agent-002') }
+      );
+      await heartbeat('active');
+      // So does a patch that changes the status
+      for (const status of ['maintenance', 'active']) {
+        await axios.patch(`${BASE_URL}/agent/weather-agent-001`, { status }, {
+          headers: { ...ownerHeaders('weather-agent-001'), 'Content-Type': 'application/merge-patch+json' }
+        });
+      }
+    });
+    console.log('✅ Live events:', live.map(e => `${e.type} ${e.agentId} -> ${e.agent.status}`));
+
+    // Resuming after the first event replays the ones that followed
+    const replayed = await collectEvents(
+      { tags: 'weather', types: 'agent.status_changed', cursor: live[0].id },
+      async () => {}
+    );
+    console.log('✅ Resumed from cursor:', replayed.map(e => `${e.type} ${e.agentId} -> ${e.agent.status}`));
+
+    await axios.post(
+      `${BASE_URL}/agent/translation-agent-002/heartbeat`,
+      { status: 'active' },
+      { headers: ownerHeaders('translation-agent-002') }
+    );
+  } catch (error) {
+    console.error('❌ Event stream failed:', error.response?.data || error.message);
+  }
+}
+
+// Receive webhook deliveries, failing the first one to exercise retries
+async function startWebhookReceiver() {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.statusCode = received.length === 1 ? 500 : 200;
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, received, url: `http://127.0.0.1:${server.address().port}/hook` };
+}
+
+async function testWebhooks() {
+  console.log('\n🪝 Testing Webhooks...');
+  const receiver = await startWebhookReceiver();
+  try {
+    const created = await axios.post(`${BASE_URL}/webhooks`, {
+      url: receiver.url,
+      events: ['agent.status_changed'],
+      tags: ['weather'],
+      agentIds: ['weather-*']
+    });
+    const { webhookId, secret, ownerKey } = created.data;
+    const owner = { 'X-API-Key': ownerKey };
+    console.log('✅ Webhook created:', { webhookId, events: created.data.events });
+
+    // Webhooks follow the egress policy too
+    const blocked = await axios.post(`${BASE_URL}/webhooks`, {
+      url: 'http://169.254.169.254/latest/meta-data'
+    }, { validateStatus: status => status === 400 });
+    console.log('✅ Blocked webhook URL rejected:', blocked.data.error);
+
+    // Nothing listens on the discard port, so these deliveries dead-letter
+    const unreachable = await axios.post(`${BASE_URL}/webhooks`, {
+      url: 'http://127.0.0.1:9/hook',
+      events: ['agent.status_changed'],
+      agentIds: ['weather-agent-001']
+    });
+
+    for (const status of ['maintenance', 'active']) {
+      await axios.post(
+        `${BASE_URL}/agent/weather-agent-001/heartbeat`,
+        { status },
+        { headers: ownerHeaders('weather-agent-001') }
+      );
+    }
+    await sleep(2500);
+
+    const verified = receiver.received.every(({ headers, body }) => {
+      const expected = crypto.createHmac('sha256', secret)
+        .update(`${headers['x-registry-timestamp']}.${body}`)
+        .digest('hex');
+      return headers['x-registry-signature'] === `sha256=${expected}`;
+    });
+    console.log('✅ Deliveries received:', {
+      requests: receiver.received.length,
+      events: receiver.received.map(({ headers }) => headers['x-registry-event']),
+      signaturesValid: verified
+    });
+
+    const log = await axios.get(`${BASE_URL}/webhooks/${webhookId}/deliveries`, { headers: owner });
+    console.log('✅ Delivery log:', log.data.deliveries.map(d => `${d.status} after ${d.attempts} attempt(s)`));
+
+    const deadLetters = await axios.get(
+      `${BASE_URL}/webhooks/${unreachable.data.webhookId}/deliveries`,
+      { headers: { 'X-API-Key': unreachable.data.ownerKey }, params: { status: 'dead_letter' } }
+    );
+    console.log('✅ Dead letters:', deadLetters.data.deliveries.map(d => ({
+      eventType: d.eventType,
+      attempts: d.attempts,
+      lastError: d.lastError
+    })));
+
+    await axios.delete(`${BASE_URL}/webhooks/${webhookId}`, { headers: owner });
+    await axios.delete(`${BASE_URL}/webhooks/${unreachable.data.webhookId}`, {
+      headers: { 'X-API-Key': unreachable.data.ownerKey }
+    });
+  } catch (error) {
+    console.error('❌ Webhooks failed:', error.response?.data || error.message);
+  } finally {
+    receiver.server.close();
+  }
+}
+
 async function testSearch() {
   console.log('\n🔍 Testing Search Functionality...');
   
@@ -109,7 +358,18 @@ async function testSearch() {
     { name: 'Tag Filter', query: { tags: 'finance,stocks' } },
     { name: 'Status Filter', query: { status: 'active' } },
     { name: 'Geo Search', query: { lat: 40.7128, lon: -74.0060, sort: 'distance' } },
-    { name: 'Combined Search', query: { q: 'analysis', tags: 'finance', status: 'active' } }
+    { name: 'Radius Search', query: { lat: 40.7128, lon: -74.0060, radius: 100, unit: 'km' } },
+    { name: 'Bounding Box', query: { bbox: '-10,45,5,55' } },
+    { name: 'Country Filter', query: { country: 'FR' } },
+    { name: 'Healthy By Latency', query: { healthy: true, sort: 'latency' } },
+    { name: 'Input Mode Filter', query: { inputMode: 'audio' } },
+    { name: 'Output Mode Filter', query: { outputMode: 'application/json' } },
+    { name: 'Combined Search', query: { q: 'analysis', tags: 'finance', status: 'active' } },
+    { name: 'Version Caret Range', query: { version: '^1.2' } },
+    { name: 'Version Comparator Range', query: { version: '>=2.0.0 <3' } },
+    { name: 'Keyword Paraphrase', query: { q: 'currency conversion' } },
+    { name: 'Semantic Search', query: { q: 'currency conversion', mode: 'semantic' } },
+    { name: 'Hybrid Search', query: { q: 'stock analysis', mode: 'hybrid' } }
   ];
 
   for (const test of searchTests) {
@@ -126,11 +386,76 @@ async function testSearch() {
   }
 }
 
+async function testSkillSearch() {
+  console.log('\n🧩 Testing Skill Search...');
+
+  const skillTests = [
+    { name: 'Skill Text Search', query: { q: 'transcribe audio' } },
+    { name: 'Skill Tag Filter', query: { tags: 'translation' } },
+    { name: 'Skill Mode Filter', query: { inputMode: 'audio/wav', outputMode: 'text' } }
+  ];
+
+  for (const test of skillTests) {
+    try {
+      const response = await axios.get(`${BASE_URL}/search/skills`, { params: test.query });
+      console.log(`✅ ${test.name}:`, {
+        total: response.data.pagination.total,
+        results: response.data.results.map(r => ({
+          agent: r.agent.agentId,
+          skills: r.skills.map(skill => skill.id).join(', ')
+        }))
+      });
+    } catch (error) {
+      console.error(`❌ ${test.name} failed:`, error.response?.data || error.message);
+    }
+  }
+}
+
+async function testRoute() {
+  console.log('\n🧭 Testing Task Routing...');
+
+  const routeTests = [
+    { name: 'Route Task', body: { task: 'Transcribe a recorded French interview' } },
+    {
+      name: 'Route With Constraints',
+      body: {
+        task: 'Convert 100 euros to dollars',
+        constraints: { tags: ['forex'], minVersion: '0.5.0' },
+        limit: 3
+      }
+    },
+    {
+      name: 'Route Nearby',
+      body: {
+        task: 'weather forecast',
+        constraints: { origin: { lat: 40.7128, lon: -74.0060 }, maxDistance: 50 }
+      }
+    }
+  ];
+
+  for (const test of routeTests) {
+    try {
+      const response = await axios.post(`${BASE_URL}/route`, test.body);
+      console.log(`✅ ${test.name}:`, {
+        considered: response.data.considered,
+        agents: response.data.agents.map(a => ({ agentId: a.agentId, score: a.score, reasons: a.reasons.join('; ') }))
+      });
+    } catch (error) {
+      console.error(`❌ ${test.name} failed:`, error.response?.data || error.message);
+    }
+  }
+}
+
 async function testCacheStatus() {
   console.log('\n💾 Testing Cache Status...');
   try {
     const response = await axios.get(`${BASE_URL}/cache/status`);
-    console.log('✅ Cache status:', response.data);
+    console.log('✅ Tenant cache status:', response.data);
+
+    // Counters cover every tenant, so they are for the admin only
+    const denied = await axios.get(`${BASE_URL}/tenants/*/cache/status`, { validateStatus: status => status === 403 });
+    const global = await axios.get(`${BASE_URL}/tenants/*/cache/status`, { headers: { 'X-API-Key': ADMIN_API_KEY } });
+    console.log('✅ Global cache status:', { denied: denied.status, hitRate: global.data.hitRate });
   } catch (error) {
     console.error('❌ Cache status failed:', error.response?.data || error.message);
   }
@@ -150,6 +475,325 @@ async function testAgentCard() {
   }
 }
 
+// Serve an agent card slowly, with caching headers, answering conditional
+// requests for the current revision with 304. Changing `card.description`
+// publishes a new revision.
+async function startCardServer() {
+  const requests = [];
+  const card = { description: 'Serves a card with caching headers' };
+  const server = http.createServer((req, res) => {
+    requests.push(req.headers);
+    const etag = `"card-${crypto.createHash('sha256').update(card.description).digest('hex').slice(0, 8)}"`;
+    if (req.headers['if-none-match'] === etag) {
+      res.writeHead(304, { ETag: etag });
+      return res.end();
+    }
+    setTimeout(() => {
+      res.writeHead(200, {
+        'Content-Type': 'application/json',
+        'Cache-Control': 'max-age=1, stale-while-revalidate=60',
+        ETag: etag
+      });
+      res.end(JSON.stringify({
+        name: 'Cached Card Agent',
+        description: card.description,
+        url: `http://127.0.0.1:${server.address().port}`,
+        version: '1.0.0',
+        capabilities: { streaming: false },
+        defaultInputModes: ['text/plain'],
+        defaultOutputModes: ['text/plain'],
+        skills: [{ id: 'echo', name: 'Echo', description: 'Echoes text', tags: ['echo'] }]
+      }));
+    }, 200);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, requests, card, url: `http://127.0.0.1:${server.address().port}` };
+}
+
+async function testCardCache() {
+  console.log('\n🗂️ Testing Card Cache...');
+  const cardServer = await startCardServer();
+  const cacheStatus = () => axios.get(`${BASE_URL}/tenants/*/cache/status`, {
+    headers: { 'X-API-Key': ADMIN_API_KEY }
+  });
+  try {
+    const registered = await axios.post(`${BASE_URL}/registry`, {
+      agentId: 'card-cache-agent',
+      name: 'Cached Card Agent',
+      description: 'Serves a card with caching headers',
+      url: cardServer.url,
+      tags: ['echo'],
+      status: 'active',
+      version: '1.0.0',
+      capabilities: 'Echo'
+    });
+    const before = await cacheStatus();
+
+    // Concurrent misses share one fetch from the agent
+    const first = await Promise.all([1, 2, 3].map(() => axios.get(`${BASE_URL}/agentcard/card-cache-agent`)));
+    const after = await cacheStatus();
+    console.log('✅ Concurrent misses:', {
+      cached: first.map(response => response.data.cached),
+      agentRequests: cardServer.requests.length,
+      coalesced: after.data.coalesced - before.data.coalesced
+    });
+
+    // Past its max-age the card is served stale and revalidated with its ETag
+    await sleep(1200);
+    const stale = await axios.get(`${BASE_URL}/agentcard/card-cache-agent`);
+    await sleep(300);
+    const refreshed = await axios.get(`${BASE_URL}/agentcard/card-cache-agent`);
+    console.log('✅ Stale while revalidate:', {
+      stale: stale.data.stale === true,
+      refreshedStale: refreshed.data.stale === true,
+      revalidatedWithETag: cardServer.requests.at(-1)?.['if-none-match']?.startsWith('"card-')
+    });
+
+    // The registry's own ETag follows the card's contents
+    const etag = refreshed.headers.etag;
+    const notModified = await axios.get(`${BASE_URL}/agentcard/card-cache-agent`, {
+      headers: { 'If-None-Match': etag },
+      validateStatus: status => status === 304
+    });
+    cardServer.card.description = 'Serves a changed card';
+    await sleep(1200);
+    await axios.get(`${BASE_URL}/agentcard/card-cache-agent`);
+    await sleep(300);
+    const changed = await axios.get(`${BASE_URL}/agentcard/card-cache-agent`);
+    const history = await axios.get(`${BASE_URL}/agentcard/card-cache-agent/history`);
+    console.log('✅ Card change detection:', {
+      notModified: notModified.status,
+      etagChanged: changed.headers.etag !== etag,
+      versions: history.data.pagination.total,
+      changedFields: history.data.entries[0].changedFields
+    });
+
+    await axios.delete(`${BASE_URL}/agent/card-cache-agent`, {
+      headers: { 'X-API-Key': registered.data.ownerKey }
+    });
+    const status = await cacheStatus();
+    console.log('✅ Cache stats:', {
+      staleHits: status.data.staleHits,
+      local: status.data.local,
+      shared: status.data.shared
+    });
+  } catch (error) {
+    console.error('❌ Card cache failed:', error.response?.data || error.message);
+  } finally {
+    cardServer.server.close();
+  }
+}
+
+async function testEgressPolicy() {
+  console.log('\n🛡️ Testing Egress Policy...');
+  try {
+    const registered = await axios.post(`${BASE_URL}/registry`, {
+      agentId: 'metadata-agent',
+      name: 'Metadata Agent',
+      description: 'Points at the cloud metadata endpoint',
+      url: 'http://169.254.169.254',
+      tags: ['ssrf'],
+      status: 'active',
+      version: '1.0.0',
+      capabilities: 'None'
+    });
+    const response = await axios.get(`${BASE_URL}/agentcard/metadata-agent`, {
+      validateStatus: status => status === 503
+    });
+    console.log('✅ Card fetch refused:', response.data.attempts.map(({ reason, error }) => ({ reason, error })));
+    await axios.delete(`${BASE_URL}/agent/metadata-agent`, {
+      headers: { 'X-API-Key': registered.data.ownerKey }
+    });
+  } catch (error) {
+    console.error('❌ Egress policy failed:', error.response?.data || error.message);
+  }
+}
+
+// Sign a document as a publisher key would
+function signDocument(document, privateKey, kid) {
+  const protectedHeader = Buffer.from(JSON.stringify({ alg: 'EdDSA', kid })).toString('base64url');
+  const signature = crypto.sign(null, Buffer.from(signingInput(protectedHeader, document)), privateKey);
+  return { ...document, signatures: [{ protected: protectedHeader, signature: signature.toString('base64url') }] };
+}
+
+async function testSignedRegistration() {
+  console.log('\n🔏 Testing Signed Registration...');
+  const admin = { 'X-API-Key': ADMIN_API_KEY };
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+  const kid = `test-publisher-${Date.now()}`;
+  try {
+    await axios.post(`${BASE_URL}/publishers`, {
+      publisherId: 'test-publisher',
+      name: 'Test Publisher',
+      jwks: { keys: [{ ...publicKey.export({ format: 'jwk' }), kid }] }
+    }, { headers: admin });
+
+    const signed = signDocument({
+      agentId: 'signed-agent-006',
+      name: 'Signed Agent',
+      description: 'Registration signed by its publisher',
+      url: 'http://localhost:3006',
+      tags: ['signed'],
+      status: 'active',
+      version: '1.0.0',
+      capabilities: 'Verified answers'
+    }, privateKey, kid);
+    const registered = await axios.post(`${BASE_URL}/registry?refresh=wait_for`, signed);
+    const owner = { 'X-API-Key': registered.data.ownerKey };
+    const agent = await axios.get(`${BASE_URL}/agent/signed-agent-006`);
+    console.log('✅ Signed registration verified:', {
+      verified: agent.data.verified,
+      publisherId: agent.data.publisherId
+    });
+
+    const search = await axios.get(`${BASE_URL}/search`, { params: { verified: true, tags: 'signed' } });
+    console.log('✅ Verified search:', search.data.agents.map(found => found.agentId));
+
+    // Changing the document after signing breaks the signature
+    const tampered = await axios.post(`${BASE_URL}/registry`, { ...signed, name: 'Impostor Agent' }, {
+      headers: owner,
+      validateStatus: status => status === 400
+    });
+    console.log('✅ Tampered registration rejected:', tampered.data.error);
+
+    // A card signature only counts for the URL the card names
+    const cardServer = http.createServer((req, res) => {
+      const host = `http://127.0.0.1:${cardServer.address().port}`;
+      // The publisher's own card, copied under /copied; the card under
+      // /endpoint names a service endpoint below the registered URL
+      let url = `${host}/bound`;
+      if (req.url.startsWith('/copied')) {
+        url = 'http://localhost:3006';
+      } else if (req.url.startsWith('/endpoint')) {
+        url = `${host}/endpoint/process`;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(signDocument({
+        name: 'Signed Card Agent',
+        description: 'Card signed by its publisher',
+        url,
+        version: '1.0.0',
+        capabilities: { streaming: false },
+        defaultInputModes: ['text/plain'],
+        defaultOutputModes: ['text/plain'],
+        skills: [{ id: 'answer', name: 'Answer', description: 'Answers questions', tags: ['signed'] }]
+      }, privateKey, kid)));
+    });
+    await new Promise(resolve => cardServer.listen(0, '127.0.0.1', resolve));
+    const cardHost = `http://127.0.0.1:${cardServer.address().port}`;
+    try {
+      const cardAgents = {};
+      for (const [agentId, path] of [
+        ['bound-card-agent', '/bound'],
+        ['endpoint-card-agent', '/endpoint'],
+        ['copied-card-agent', '/copied']
+      ]) {
+        const response = await axios.post(`${BASE_URL}/registry`, {
+          agentId,
+          name: 'Signed Card Agent',
+          description: 'Unsigned registration of a signed card',
+          url: `${cardHost}${path}`,
+          tags: ['signed-card'],
+          status: 'active',
+          version: '1.0.0',
+          capabilities: 'Answers'
+        });
+        await axios.get(`${BASE_URL}/agentcard/${agentId}`);
+        const { data } = await axios.get(`${BASE_URL}/agent/${agentId}`);
+        cardAgents[agentId] = { verified: data.verified, errors: data.cardSignature?.errors };
+        await axios.delete(`${BASE_URL}/agent/${agentId}`, { headers: { 'X-API-Key': response.data.ownerKey } });
+      }
+      console.log('✅ Card signatures bound to the URL:', cardAgents);
+    } finally {
+      cardServer.close();
+    }
+
+    // Without the publisher, the agent is no longer verified
+    const deleted = await axios.delete(`${BASE_URL}/publishers/test-publisher`, { headers: admin });
+    const revoked = await axios.get(`${BASE_URL}/agent/signed-agent-006`);
+    console.log('✅ Publisher removed:', { unverified: deleted.data.unverified, verified: revoked.data.verified });
+
+    await axios.delete(`${BASE_URL}/agent/signed-agent-006`, { headers: owner });
+  } catch (error) {
+    console.error('❌ Signed registration failed:', error.response?.data || error.message);
+  }
+}
+
+async function testTenants() {
+  console.log('\n🏢 Testing Tenants...');
+  const admin = { 'X-API-Key': ADMIN_API_KEY };
+  const production = { 'X-API-Key': PRODUCTION_TENANT_KEY };
+  const registration = {
+    agentId: 'tenant-agent-007',
+    description: 'Registered under the same agentId in two tenants',
+    url: 'http://localhost:3007',
+    tags: ['tenancy'],
+    status: 'active',
+    version: '1.0.0',
+    capabilities: 'Namespaced answers'
+  };
+  try {
+    const staging = await axios.post(`${BASE_URL}/tenants/staging/registry?refresh=wait_for`, {
+      ...registration,
+      name: 'Staging Agent'
+    });
+    // The production key works in its tenant without a path prefix
+    await axios.post(`${BASE_URL}/registry?refresh=wait_for`, { ...registration, name: 'Production Agent' }, {
+      headers: production
+    });
+
+    const [stagingAgent, productionAgent] = await Promise.all([
+      axios.get(`${BASE_URL}/tenants/staging/agent/tenant-agent-007`),
+      axios.get(`${BASE_URL}/tenants/production/agent/tenant-agent-007`, { headers: production })
+    ]);
+    console.log('✅ Same agentId in two tenants:', [stagingAgent.data, productionAgent.data].map(
+      ({ tenant, name }) => ({ tenant, name })
+    ));
+
+    const missing = await axios.get(`${BASE_URL}/agent/tenant-agent-007`, { validateStatus: status => status === 404 });
+    console.log('✅ Not visible in the default tenant:', missing.status);
+
+    const denied = await axios.get(`${BASE_URL}/tenants/production/search`, {
+      params: { tags: 'tenancy' },
+      validateStatus: status => status === 403
+    });
+    console.log('✅ Production tenant needs its key:', denied.data.error);
+
+    const everywhere = await axios.get(`${BASE_URL}/tenants/*/search`, {
+      params: { tags: 'tenancy' },
+      headers: admin
+    });
+    console.log('✅ Admin cross-tenant search:', everywhere.data.aggregations.tenant.buckets);
+
+    // A version range shows each tenant's agent, not one per agentId
+    const ranged = await axios.get(`${BASE_URL}/tenants/*/search`, {
+      params: { tags: 'tenancy', version: '^1.0.0' },
+      headers: admin
+    });
+    console.log('✅ Cross-tenant version search:', ranged.data.agents.map(({ tenant, name }) => ({ tenant, name })));
+
+    const tenants = await axios.get(`${BASE_URL}/tenants`, { headers: admin });
+    console.log('✅ Tenants:', tenants.data.tenants);
+
+    // A malformed tenant is refused, over HTTP and on event sockets alike
+    const malformed = await axios.get(`${BASE_URL}/tenants/%ZZ/agents`, { validateStatus: status => status === 400 });
+    const rejected = await new Promise(resolve => {
+      const socket = new WebSocket(`${BASE_URL.replace(/^http/, 'ws')}/tenants/%ZZ/events`);
+      socket.once('unexpected-response', (request, response) => resolve(response.statusCode));
+      socket.once('error', error => resolve(error.message));
+    });
+    await axios.get(`${BASE_URL}/health`);
+    console.log('✅ Malformed tenant refused:', { http: malformed.status, socket: rejected });
+
+    await axios.delete(`${BASE_URL}/tenants/staging/agent/tenant-agent-007`, {
+      headers: { 'X-API-Key': staging.data.ownerKey }
+    });
+    await axios.delete(`${BASE_URL}/agent/tenant-agent-007`, { headers: production });
+  } catch (error) {
+    console.error('❌ Tenants failed:', error.response?.data || error.message);
+  }
+}
+
 async function testUpdateAgent() {
   console.log('\n🔄 Testing Agent Update...');
   try {
@@ -165,47 +809,374 @@ async function testUpdateAgent() {
       location: { lat: 40.7128, lon: -74.0060 }
     };
     
-    const response = await axios.post(`${BASE_URL}/registry`, updateData);
-    console.log('✅ Agent updated:', response.data);
+    const response = await axios.post(`${BASE_URL}/registry`, updateData, {
+      headers: ownerHeaders(updateData.agentId)
+    });
+    console.log('✅ Agent updated to a new version:', response.data);
   } catch (error) {
     console.error('❌ Agent update failed:', error.response?.data || error.message);
   }
 }
 
+async function testConditionalUpdate() {
+  console.log('\n🔒 Testing Conditional Update...');
+  const agentId = 'weather-agent-001';
+  try {
+    const read = await axios.get(`${BASE_URL}/agent/${agentId}@1.3.0`);
+    const etag = read.headers.etag;
+    const registration = {
+      agentId,
+      name: read.data.name,
+      description: read.data.description,
+      url: read.data.url,
+      tags: read.data.tags,
+      version: '1.3.0',
+      capabilities: read.data.capabilities,
+      location: { lat: 40.7128, lon: -74.0060 }
+    };
+
+    // A heartbeat in between does not make the ETag stale
+    await axios.post(`${BASE_URL}/agent/${agentId}@1.3.0/heartbeat`, {}, {
+      headers: ownerHeaders(agentId)
+    });
+
+    const updated = await axios.post(`${BASE_URL}/registry?refresh=wait_for`, registration, {
+      headers: { ...ownerHeaders(agentId), 'If-Match': etag }
+    });
+    console.log('✅ Update with current ETag:', {
+      status: updated.status,
+      etag: updated.headers.etag,
+      seqNo: updated.data.seqNo,
+      primaryTerm: updated.data.primaryTerm
+    });
+
+    // The ETag read before that update is now stale
+    const stale = await axios.post(`${BASE_URL}/registry`, registration, {
+      headers: { ...ownerHeaders(agentId), 'If-Match': etag },
+      validateStatus: () => true
+    });
+    console.log('✅ Update with stale ETag rejected:', stale.status, stale.data.error);
+  } catch (error) {
+    console.error('❌ Conditional update failed:', error.response?.data || error.message);
+  }
+}
+
+async function testPatchAgent() {
+  console.log('\n🩹 Testing Partial Update...');
+  const agentId = 'weather-agent-001';
+  try {
+    // Flip to maintenance without resending the registration
+    const before = await axios.get(`${BASE_URL}/agent/${agentId}`);
+    const merged = await axios.patch(`${BASE_URL}/agent/${agentId}`, { status: 'maintenance' }, {
+      headers: { ...ownerHeaders(agentId), 'Content-Type': 'application/merge-patch+json' }
+    });
+    console.log('✅ Merge patch:', {
+      status: merged.data.status,
+      tags: merged.data.tags,
+      etag: merged.headers.etag,
+      leaseKept: merged.data.leaseExpiresAt === before.data.leaseExpiresAt
+    });
+
+    const patched = await axios.patch(`${BASE_URL}/agent/${agentId}`, [
+      { op: 'test', path: '/status', value: 'maintenance' },
+      { op: 'replace', path: '/status', value: 'active' },
+      { op: 'add', path: '/tags/-', value: 'patched' }
+    ], {
+      headers: {
+        ...ownerHeaders(agentId),
+        'Content-Type': 'application/json-patch+json',
+        'If-Match': merged.headers.etag
+      }
+    });
+    console.log('✅ JSON patch:', { status: patched.data.status, tags: patched.data.tags });
+
+    const invalid = await axios.patch(`${BASE_URL}/agent/${agentId}`, { url: null }, {
+      headers: { ...ownerHeaders(agentId), 'Content-Type': 'application/merge-patch+json' },
+      validateStatus: () => true
+    });
+    console.log('✅ Patch leaving an invalid registration rejected:', invalid.status, invalid.data.error);
+  } catch (error) {
+    console.error('❌ Partial update failed:', error.response?.data || error.message);
+  }
+}
+
+async function testVersions() {
+  console.log('\n🏷️ Testing Agent Versions...');
+  try {
+    // A pre-release is kept alongside, but does not become the default
+    const beta = {
+      ...testAgents[0],
+      version: '2.0.0-beta.1',
+      url: 'http://localhost:3011'
+    };
+    const registered = await axios.post(`${BASE_URL}/registry`, beta, {
+      headers: ownerHeaders(beta.agentId)
+    });
+    console.log('✅ Pre-release registered:', registered.data);
+
+    const versions = await axios.get(`${BASE_URL}/agent/weather-agent-001/versions`);
+    console.log('✅ Versions:', {
+      latestVersion: versions.data.latestVersion,
+      versions: versions.data.versions.map(v => v.version).join(', ')
+    });
+
+    const latest = await axios.get(`${BASE_URL}/agent/weather-agent-001`);
+    const pinned = await axios.get(`${BASE_URL}/agent/weather-agent-001@1.2.0`);
+    console.log('✅ Version resolution:', {
+      latest: latest.data.version,
+      pinned: pinned.data.version
+    });
+
+    const prerelease = await axios.get(`${BASE_URL}/search`, {
+      params: { version: '>=2.0.0-beta <3' }
+    });
+    console.log('✅ Pre-release Range:', {
+      agents: prerelease.data.agents.map(a => `${a.agentId}@${a.version}`)
+    });
+  } catch (error) {
+    console.error('❌ Agent versions failed:', error.response?.data || error.message);
+  }
+
+  try {
+    await axios.get(`${BASE_URL}/search`, { params: { version: 'latest' } });
+    console.error('❌ Invalid version range was accepted');
+  } catch (error) {
+    if (error.response?.status === 400) {
+      console.log('✅ Invalid version range rejected:', error.response.data.error);
+    } else {
+      console.error('❌ Version range check failed:', error.response?.data || error.message);
+    }
+  }
+}
+
+async function testOwnershipEnforced() {
+  console.log('\n🔐 Testing Ownership Enforcement...');
+  try {
+    await axios.post(`${BASE_URL}/registry`, { ...testAgents[1], name: 'Hijacked Translator' });
+    console.error('❌ Update without owner key was accepted');
+  } catch (error) {
+    if (error.response?.status === 401) {
+      console.log('✅ Update without owner key rejected');
+    } else {
+      console.error('❌ Ownership check failed:', error.response?.data || error.message);
+    }
+  }
+
+  try {
+    await axios.delete(`${BASE_URL}/agent/translation-agent-002`, {
+      headers: { 'X-API-Key': 'not-the-owner-key' }
+    });
+    console.error('❌ Delete with wrong owner key was accepted');
+  } catch (error) {
+    if (error.response?.status === 403) {
+      console.log('✅ Delete with wrong owner key rejected');
+    } else {
+      console.error('❌ Ownership check failed:', error.response?.data || error.message);
+    }
+  }
+}
+
 async function testDeleteAgent() {
   console.log('\n🗑️ Testing Agent Deletion...');
   try {
-    const response = await axios.delete(`${BASE_URL}/agent/health-agent-004`);
+    const response = await axios.delete(`${BASE_URL}/agent/health-agent-004`, {
+      headers: ownerHeaders('health-agent-004')
+    });
     console.log('✅ Agent deleted:', response.data);
   } catch (error) {
     console.error('❌ Agent deletion failed:', error.response?.data || error.message);
   }
 }
 
+async function testAuditTrail() {
+  console.log('\n📜 Testing Audit Trail...');
+  try {
+    const history = await axios.get(`${BASE_URL}/agent/weather-agent-001/history`, {
+      headers: ownerHeaders('weather-agent-001')
+    });
+    console.log('✅ Agent history:', {
+      total: history.data.pagination.total,
+      events: history.data.events.map(e => `${e.action} ${e.version} [${e.changedFields.join(', ')}]`)
+    });
+
+    const admin = { 'X-API-Key': ADMIN_API_KEY };
+    const deleted = await axios.get(`${BASE_URL}/audit`, {
+      headers: admin,
+      params: { action: 'deleted' }
+    });
+    console.log('✅ Deletions in audit log:', deleted.data.events.map(e => ({
+      agentId: e.agentId,
+      version: e.version,
+      actor: e.actor.role,
+      ip: e.ip
+    })));
+
+    const statusChanges = await axios.get(`${BASE_URL}/audit`, {
+      headers: admin,
+      params: { field: 'status', perPage: 5 }
+    });
+    console.log('✅ Status changes:', statusChanges.data.events.map(e => ({
+      agentId: e.agentId,
+      action: e.action,
+      change: e.changes.find(c => c.field === 'status')
+    })));
+
+    // A deleted agent's history stays available to the admin
+    const deletedHistory = await axios.get(`${BASE_URL}/agent/health-agent-004/history`, {
+      headers: admin
+    });
+    console.log('✅ Deleted agent history:', deletedHistory.data.events.map(e => e.action));
+  } catch (error) {
+    console.error('❌ Audit trail failed:', error.response?.data || error.message);
+  }
+
+  try {
+    await axios.get(`${BASE_URL}/audit`, { headers: ownerHeaders('weather-agent-001') });
+    console.error('❌ Audit log was readable without the admin key');
+  } catch (error) {
+    if (error.response?.status === 403) {
+      console.log('✅ Audit log requires the admin key');
+    } else {
+      console.error('❌ Audit access check failed:', error.response?.data || error.message);
+    }
+  }
+}
+
+async function testBulkAndExport() {
+  console.log('\n📦 Testing Bulk Registration, Export and Import...');
+  const admin = { 'X-API-Key': ADMIN_API_KEY };
+  try {
+    const ndjson = [
+      { agentId: 'bulk-agent-001', name: 'Bulk One', description: 'Seeded in bulk', url: 'http://localhost:3021' },
+      { agentId: 'bulk-agent-002', name: 'Bulk Two', description: 'Seeded in bulk', url: 'http://localhost:3022' },
+      { agentId: 'bulk-agent-003', name: 'Missing URL', description: 'Fails validation' }
+    ].map(agent => JSON.stringify(agent)).join('\n');
+
+    const bulk = await axios.post(`${BASE_URL}/registry/bulk`, ndjson, {
+      headers: { ...admin, 'Content-Type': 'application/x-ndjson' }
+    });
+    console.log('✅ Bulk registration:', {
+      summary: bulk.data.summary,
+      items: bulk.data.items.map(item => `${item.agentId}: ${item.status}${item.error ? ` ${item.error}` : ''}`)
+    });
+
+    const exported = await axios.get(`${BASE_URL}/export`, { headers: admin, responseType: 'text' });
+    const lines = exported.data.trim().split('\n');
+    console.log('✅ Exported agents:', lines.length);
+
+    // Re-importing the export changes nothing
+    const imported = await axios.post(`${BASE_URL}/import`, exported.data, {
+      headers: { ...admin, 'Content-Type': 'application/x-ndjson' }
+    });
+    console.log('✅ Import:', imported.data.summary);
+
+    const deleted = await axios.post(
+      `${BASE_URL}/registry/bulk/delete`,
+      ['bulk-agent-001', 'bulk-agent-002', 'bulk-agent-404'],
+      { headers: admin }
+    );
+    console.log('✅ Bulk delete:', deleted.data.items.map(item => `${item.agentId}: ${item.status}`));
+  } catch (error) {
+    console.error('❌ Bulk operations failed:', error.response?.data || error.message);
+  }
+}
+
 async function testCacheClear() {
   console.log('\n🧹 Testing Cache Clear...');
   try {
-    const response = await axios.post(`${BASE_URL}/cache/clear`);
-    console.log('✅ Cache cleared:', response.data);
+    const response = await axios.post(`${BASE_URL}/tenants/staging/cache/clear`);
+    console.log('✅ Tenant cache cleared:', response.data);
+
+    const everything = await axios.post(`${BASE_URL}/tenants/*/cache/clear`, null, {
+      headers: { 'X-API-Key': ADMIN_API_KEY }
+    });
+    console.log('✅ Whole cache cleared:', everything.data);
   } catch (error) {
     console.error('❌ Cache clear failed:', error.response?.data || error.message);
   }
 }
 
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Start a registry on in-memory storage when none is running at BASE_URL
+async function ensureServer() {
+  try {
+    await axios.get(`${BASE_URL}/health`);
+    return null;
+  } catch (error) {
+    // Any HTTP response means a registry is already listening
+    if (error.response) {
+      return null;
+    }
+  }
+
+  console.log('⚙️  No registry running, starting one with in-memory storage...');
+  const server = spawn(process.execPath, ['server.js'], {
+    cwd: fileURLToPath(new URL('.', import.meta.url)),
+    env: {
+      ...process.env,
+      STORAGE_BACKEND: 'memory',
+      PORT: new URL(BASE_URL).port || '3000',
+      ADMIN_API_KEY,
+      // Retry failed webhook deliveries quickly, and give up after two tries
+      WEBHOOK_RETRY_BASE_DELAY: '1',
+      WEBHOOK_POLL_INTERVAL: '1',
+      WEBHOOK_MAX_ATTEMPTS: '2',
+      // Test agents listen on loopback, which the egress policy blocks
+      EGRESS_ALLOWLIST: '127.0.0.1,::1',
+      TENANT_API_KEYS: `production:${PRODUCTION_TENANT_KEY}`
+    },
+    stdio: 'ignore'
+  });
+
+  for (let attempt = 0; attempt < 50; attempt++) {
+    await sleep(100);
+    try {
+      await axios.get(`${BASE_URL}/health`);
+      return server;
+    } catch (error) {
+      // Not listening yet
+    }
+  }
+
+  server.kill();
+  throw new Error('Registry did not start');
+}
+
 async function runAllTests() {
   console.log('🚀 Starting Agent Registry & Discovery Platform Tests\n');
-  
+
+  const server = await ensureServer();
+
   await testHealth();
   await testRegistration();
   await testListAgents();
+  await testCursorPagination();
   await testGetAgent();
+  await testLocationFormats();
+  await testHeartbeat();
+  await testEvents();
+  await testWebhooks();
   await testSearch();
+  await testSkillSearch();
+  await testRoute();
   await testCacheStatus();
   await testAgentCard();
+  await testCardCache();
+  await testEgressPolicy();
+  await testSignedRegistration();
+  await testTenants();
   await testUpdateAgent();
+  await testConditionalUpdate();
+  await testPatchAgent();
+  await testVersions();
+  await testOwnershipEnforced();
   await testDeleteAgent();
+  await testAuditTrail();
+  await testBulkAndExport();
   await testCacheClear();
-  
+
+  server?.kill();
   console.log('\n✨ All tests completed!');
 }
 